@@ -0,0 +1,92 @@
+// Animated WebP muxing. Browsers only encode still WebP, so each frame is encoded on its own
+// and the image chunks are wrapped into ANMF frames of an extended (VP8X) container.
+
+/**
+ * Builds an animated WebP from still WebP frames of the same size.
+ * @param {Array<{bytes: Uint8Array, delay: number}>} frames still WebP files, delay in ms
+ * @param {number} width
+ * @param {number} height
+ * @param {{loop?: number}} [options] repeat count, 0 = forever
+ * @returns {Uint8Array}
+ */
+export function muxAnimatedWebp(frames, width, height, { loop = 0 } = {}) {
+    let hasAlpha = false;
+    const anmf = frames.map(frame => {
+        const chunks = readChunks(frame.bytes).filter(chunk => ['ALPH', 'VP8 ', 'VP8L'].includes(chunk.type));
+        if (!chunks.some(chunk => chunk.type !== 'ALPH')) {
+            throw new Error('Frame is not a WebP image');
+        }
+        // Lossless frames carry alpha inside the VP8L bitstream; an ALPH chunk is always alpha
+        if (chunks.some(chunk => chunk.type === 'ALPH' || (chunk.type === 'VP8L' && chunk.data[4] & 0x10))) {
+            hasAlpha = true;
+        }
+
+        const header = new Uint8Array(16);
+        writeU24(header, 0, 0); // X offset / 2
+        writeU24(header, 3, 0); // Y offset / 2
+        writeU24(header, 6, width - 1);
+        writeU24(header, 9, height - 1);
+        writeU24(header, 12, Math.min(Math.round(frame.delay || 0), 0xFFFFFF));
+        header[15] = 0x02; // Frames are full snapshots: no blending, no disposal
+        return chunk('ANMF', concat([header, ...chunks.map(c => chunk(c.type, c.data))]));
+    });
+
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = 0x02 | (hasAlpha ? 0x10 : 0); // Animation, alpha
+    writeU24(vp8x, 4, width - 1);
+    writeU24(vp8x, 7, height - 1);
+
+    const anim = new Uint8Array(6); // Background color (transparent), then loop count
+    anim[4] = loop & 0xFF;
+    anim[5] = (loop >> 8) & 0xFF;
+
+    const body = concat([ascii('WEBP'), chunk('VP8X', vp8x), chunk('ANIM', anim), ...anmf]);
+    return concat([ascii('RIFF'), u32(body.length), body]);
+}
+
+function readChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (String.fromCharCode(...bytes.subarray(0, 4)) !== 'RIFF' || String.fromCharCode(...bytes.subarray(8, 12)) !== 'WEBP') {
+        return [];
+    }
+    const chunks = [];
+    let pos = 12;
+    while (pos + 8 <= bytes.length) {
+        const type = String.fromCharCode(...bytes.subarray(pos, pos + 4));
+        const size = view.getUint32(pos + 4, true);
+        chunks.push({ type, data: bytes.subarray(pos + 8, pos + 8 + size) });
+        pos += 8 + size + (size & 1); // Chunks are padded to an even size
+    }
+    return chunks;
+}
+
+function chunk(type, data) {
+    const padding = data.length & 1 ? [new Uint8Array(1)] : [];
+    return concat([ascii(type), u32(data.length), data, ...padding]);
+}
+
+function writeU24(bytes, offset, value) {
+    bytes[offset] = value & 0xFF;
+    bytes[offset + 1] = (value >> 8) & 0xFF;
+    bytes[offset + 2] = (value >> 16) & 0xFF;
+}
+
+function u32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value, true);
+    return bytes;
+}
+
+function ascii(text) {
+    return Uint8Array.from(text, c => c.charCodeAt(0));
+}
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+}
@@ -0,0 +1,64 @@
+// BMP encoding. canvas.toBlob('image/bmp') silently falls back to PNG in most browsers.
+
+/**
+ * Encodes pixels as a bottom-up BMP: 24-bit when fully opaque, otherwise 32-bit with an
+ * alpha channel (BITMAPV4HEADER with bit masks, which is what readers expect for alpha).
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image RGBA pixels, e.g. ImageData
+ * @returns {Uint8Array}
+ */
+export function encodeBmp({ width, height, data }) {
+    let opaque = true;
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] !== 255) {
+            opaque = false;
+            break;
+        }
+    }
+
+    const bitsPerPixel = opaque ? 24 : 32;
+    const headerSize = opaque ? 40 : 108;
+    const rowSize = Math.ceil(width * bitsPerPixel / 32) * 4; // Rows are padded to 4 bytes
+    const pixelOffset = 14 + headerSize;
+    const fileSize = pixelOffset + rowSize * height;
+
+    const bytes = new Uint8Array(fileSize);
+    const view = new DataView(bytes.buffer);
+
+    // BITMAPFILEHEADER
+    bytes[0] = 0x42; // 'B'
+    bytes[1] = 0x4D; // 'M'
+    view.setUint32(2, fileSize, true);
+    view.setUint32(10, pixelOffset, true);
+
+    // BITMAPINFOHEADER / BITMAPV4HEADER
+    view.setUint32(14, headerSize, true);
+    view.setInt32(18, width, true);
+    view.setInt32(22, height, true); // Positive height: rows stored bottom-up
+    view.setUint16(26, 1, true); // Planes
+    view.setUint16(28, bitsPerPixel, true);
+    view.setUint32(30, opaque ? 0 : 3, true); // BI_RGB or BI_BITFIELDS
+    view.setUint32(34, rowSize * height, true);
+    view.setInt32(38, 2835, true); // 72 DPI in pixels per metre
+    view.setInt32(42, 2835, true);
+    if (!opaque) {
+        view.setUint32(54, 0x00FF0000, true); // Red mask
+        view.setUint32(58, 0x0000FF00, true); // Green mask
+        view.setUint32(62, 0x000000FF, true); // Blue mask
+        view.setUint32(66, 0xFF000000, true); // Alpha mask
+        view.setUint32(70, 0x73524742, true); // 'sRGB' color space
+    }
+
+    const bytesPerPixel = bitsPerPixel / 8;
+    for (let y = 0; y < height; y++) {
+        let out = pixelOffset + (height - 1 - y) * rowSize;
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            bytes[out] = data[i + 2];
+            bytes[out + 1] = data[i + 1];
+            bytes[out + 2] = data[i];
+            if (!opaque) bytes[out + 3] = data[i + 3];
+            out += bytesPerPixel;
+        }
+    }
+    return bytes;
+}
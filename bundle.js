@@ -0,0 +1,168 @@
+// ZIP bundling shared by multi-output conversions (PDF pages, workbook sheets) and
+// "Download all". Entries are streamed through fflate one chunk at a time, so a bundle
+// never needs a second full copy of its contents in memory.
+import { Zip, ZipPassThrough, unzipSync, inflateSync, strFromU8 } from 'fflate';
+
+const ZIP_PART_SIZE = 8 * 1024 * 1024; // Bytes gathered before they are handed to a Blob part
+
+/**
+ * Streams entries into a ZIP archive. Entries are stored, not deflated: almost everything
+ * we bundle (images, PDFs, DOCX/XLSX) is already compressed.
+ * @param {Array<{name: string, blob: Blob}>} entries
+ * @param {(chunk: Uint8Array) => (void|Promise<void>)} write receives the archive in order
+ * @returns {Promise<void>}
+ */
+export async function writeZip(entries, write) {
+    let pending = Promise.resolve();
+    let failure = null;
+
+    const zip = new Zip((error, chunk) => {
+        if (error) {
+            failure = error;
+            return;
+        }
+        pending = pending.then(() => write(chunk));
+    });
+
+    for (const { name, blob } of entries) {
+        const entry = new ZipPassThrough(name);
+        zip.add(entry);
+
+        const reader = blob.stream().getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            entry.push(value);
+            await pending; // Backpressure: let the sink catch up before reading more
+            if (failure) throw failure;
+        }
+        entry.push(new Uint8Array(0), true);
+    }
+
+    zip.end();
+    await pending;
+    if (failure) throw failure;
+}
+
+/**
+ * Builds a ZIP blob. Chunks are gathered into Blob parts as they arrive, so no more than
+ * ZIP_PART_SIZE bytes are held as plain arrays at a time. Whether the finished parts stay in
+ * memory is up to the browser: Chromium moves large blobs to disk, others may keep the whole
+ * archive in RAM. Only the save-picker path of "Download all" is guaranteed to stream.
+ * @param {Array<{name: string, blob: Blob}>} entries
+ * @returns {Promise<Blob>}
+ */
+export async function createZipBlob(entries) {
+    const parts = [];
+    let chunks = [];
+    let buffered = 0;
+    await writeZip(entries, chunk => {
+        chunks.push(chunk);
+        buffered += chunk.length;
+        if (buffered >= ZIP_PART_SIZE) {
+            parts.push(new Blob(chunks));
+            chunks = [];
+            buffered = 0;
+        }
+    });
+    parts.push(new Blob(chunks));
+    return new Blob(parts, { type: 'application/zip' });
+}
+
+/**
+ * Lists the files inside a ZIP blob, e.g. to expand a multi-page result into a folder.
+ * Stored entries (all our own bundles) are slices of `blob`, so nothing is copied; deflated
+ * ones are inflated one at a time. ZIP64 and other unusual archives are unzipped whole.
+ * @param {Blob} blob
+ * @returns {Promise<Array<{name: string, blob: Blob}>>}
+ */
+export async function readZipEntries(blob) {
+    const directory = await readCentralDirectory(blob);
+    if (!directory) {
+        const files = unzipSync(new Uint8Array(await blob.arrayBuffer()));
+        return Object.entries(files)
+            .filter(([name]) => !name.endsWith('/'))
+            .map(([name, data]) => ({ name, blob: new Blob([data]) }));
+    }
+
+    const entries = [];
+    for (const { name, method, compressedSize, headerOffset } of directory) {
+        if (name.endsWith('/')) continue;
+        // The local header's name and extra field can differ in length from the directory's
+        const header = new DataView(await blob.slice(headerOffset, headerOffset + 30).arrayBuffer());
+        if (header.byteLength < 30 || header.getUint32(0, true) !== 0x04034b50) {
+            throw new Error(`The ZIP entry ${name} is damaged`);
+        }
+        const start = headerOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = blob.slice(start, start + compressedSize);
+        if (method === 0) {
+            entries.push({ name, blob: data });
+        } else {
+            entries.push({ name, blob: new Blob([inflateSync(new Uint8Array(await data.arrayBuffer()))]) });
+        }
+    }
+    return entries;
+}
+
+// The central directory's entries, or null when the archive needs the full unzipper
+// (ZIP64, encryption, compression other than deflate)
+async function readCentralDirectory(blob) {
+    // The end record is 22 bytes plus a comment of up to 64 KB
+    const tailStart = Math.max(0, blob.size - 22 - 0xffff);
+    const tail = new Uint8Array(await blob.slice(tailStart).arrayBuffer());
+    const tailView = new DataView(tail.buffer);
+    let end = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+        if (tailView.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw new Error('This is not a ZIP archive');
+
+    const count = tailView.getUint16(end + 10, true);
+    const size = tailView.getUint32(end + 12, true);
+    const offset = tailView.getUint32(end + 16, true);
+    if (count === 0xffff || size === 0xffffffff || offset === 0xffffffff) return null;
+
+    const directory = new Uint8Array(await blob.slice(offset, offset + size).arrayBuffer());
+    const view = new DataView(directory.buffer);
+    const entries = [];
+    for (let pos = 0, i = 0; i < count; i++) {
+        if (pos + 46 > directory.length || view.getUint32(pos, true) !== 0x02014b50) {
+            throw new Error('The ZIP archive is damaged');
+        }
+        const flags = view.getUint16(pos + 8, true);
+        const method = view.getUint16(pos + 10, true);
+        const compressedSize = view.getUint32(pos + 20, true);
+        const headerOffset = view.getUint32(pos + 42, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        if ((flags & 1) || (method !== 0 && method !== 8) ||
+            compressedSize === 0xffffffff || headerOffset === 0xffffffff) {
+            return null;
+        }
+        // Names are UTF-8 when flagged, otherwise the old DOS code page, read as Latin-1 like fflate
+        const name = strFromU8(directory.subarray(pos + 46, pos + 46 + nameLength), !(flags & 0x800));
+        entries.push({ name, method, compressedSize, headerOffset });
+        pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+    }
+    return entries;
+}
+
+/**
+ * Returns `name`, or `name (2)`, `name (3)`... before the extension if it is already taken.
+ * @param {string} name
+ * @param {Set<string>} used names taken so far; the returned name is added to it
+ * @returns {string}
+ */
+export function uniqueName(name, used) {
+    let candidate = name;
+    const dot = name.lastIndexOf('.');
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = `${stem} (${n})${ext}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
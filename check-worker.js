@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// Checks that conversion-worker.js loads and converts without a DOM. A Node worker thread has no
+// `window` or `document`, like a Web Worker, so a library that needs them at load time fails
+// here instead of silently sending every conversion back to the main thread. Run after adding
+// an import to anything the worker loads:
+//   npm run check:worker
+import { register } from 'node:module';
+import { Worker } from 'node:worker_threads';
+
+if (process.argv[2] === '--in-worker') {
+    await runInWorker();
+} else {
+    await check();
+}
+
+async function check() {
+    const worker = new Worker(new URL(import.meta.url), { argv: ['--in-worker'] });
+    const source = new File(['name,size\nreport.pdf,1200\n'], 'sizes.csv', { type: 'text/csv' });
+    const message = await new Promise((resolve, reject) => {
+        worker.on('message', (data) => {
+            if (data.type !== 'progress') resolve(data);
+        });
+        worker.on('error', reject);
+        worker.on('exit', (code) => reject(new Error(`The worker exited with code ${code} before replying`)));
+        // Node clones a File as a plain Blob, so the name goes along for the worker to restore
+        worker.postMessage({ file: source, name: source.name, targetType: 'application/json', options: {} });
+    });
+    await worker.terminate();
+
+    if (message.type === 'error') {
+        throw new Error(`The worker loaded but the conversion failed: ${message.error.message}`);
+    }
+    const json = JSON.parse(await message.blob.text());
+    if (json[0]?.name !== 'report.pdf') {
+        throw new Error(`The worker returned unexpected output: ${JSON.stringify(json)}`);
+    }
+    console.log('conversion-worker.js loads without a DOM and converts files');
+}
+
+// Stands in for what Vite and the browser provide: `?url` imports, the worker's `self`, and
+// the worker globals Node lacks
+async function runInWorker() {
+    const { parentPort } = await import('node:worker_threads');
+    register('data:text/javascript,' + encodeURIComponent(`
+        export async function load(url, context, nextLoad) {
+            if (url.endsWith('?url')) {
+                return { format: 'module', source: 'export default ' + JSON.stringify(url), shortCircuit: true };
+            }
+            return nextLoad(url, context);
+        }
+    `));
+    if ('window' in globalThis || 'document' in globalThis) {
+        throw new Error('The check must run without a DOM');
+    }
+    // Geometry classes every Web Worker has and pdf.js needs at load time
+    const { DOMMatrix, Path2D, ImageData } = await import('@napi-rs/canvas');
+    Object.assign(globalThis, { DOMMatrix, Path2D, ImageData });
+    globalThis.self = globalThis;
+    globalThis.postMessage = (message) => parentPort.postMessage(message);
+    await import('./conversion-worker.js');
+    parentPort.on('message', ({ file, name, ...data }) => {
+        self.onmessage({ data: { ...data, file: new File([file], name, { type: file.type }) } });
+    });
+}
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// formatconv: the converters from the command line, for scripts and CI. Example:
+//   formatconv "scans/**/*.tif" --to pdf --out converted --concurrency 4
+import { openAsBlob } from 'node:fs';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { availableParallelism } from 'node:os';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { glob } from 'tinyglobby';
+import { convertFile, identifyFile, listConverters, parseOptionValue, FILE_EXTENSIONS, MIME_BY_EXTENSION } from './converter.js';
+import { readZipEntries, uniqueName } from './bundle.js';
+import { markdownImagePaths } from './markdown.js';
+import { setPlatform } from './platform.js';
+import { nodePlatform } from './platform-node.js';
+
+setPlatform(nodePlatform);
+
+const USAGE = `Usage: formatconv <input glob>... --to <format> [options]
+
+Options:
+  -t, --to <format>         target format, as an extension (pdf, png, docx...) or a MIME type
+  -o, --out <dir>           output directory (default: current directory)
+  -j, --concurrency <n>     files converted at the same time (default: ${availableParallelism()})
+      --option <key=value>  converter setting, e.g. --option quality=80; repeatable
+  -h, --help                show this help
+
+Multi-page results (e.g. PDF pages as images) are written to a folder named after the input.
+Exits with code 1 if any file fails to convert.`;
+
+// Extensions people type that differ from the ones outputs are written with
+const FORMAT_ALIASES = { jpeg: 'image/jpeg', tiff: 'image/tiff', htm: 'text/html', markdown: 'text/markdown' };
+
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                to: { type: 'string', short: 't' },
+                out: { type: 'string', short: 'o', default: '.' },
+                concurrency: { type: 'string', short: 'j', default: String(availableParallelism()) },
+                option: { type: 'string', multiple: true, default: [] },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        return usageError(error.message);
+    }
+
+    const { values, positionals } = args;
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length === 0) return usageError('No input files given');
+    if (!values.to) return usageError('--to is required');
+
+    const targetType = resolveFormat(values.to);
+    if (!targetType) return usageError(`Unknown format "${values.to}"`);
+    const concurrency = parseInt(values.concurrency, 10);
+    if (!(concurrency > 0)) return usageError('--concurrency must be a positive number');
+
+    let options;
+    try {
+        options = parseOptions(values.option, targetType);
+    } catch (error) {
+        return usageError(error.message);
+    }
+
+    const inputs = await glob(positionals, { onlyFiles: true, expandDirectories: false });
+    if (inputs.length === 0) {
+        console.error('formatconv: no files match the given inputs');
+        return 1;
+    }
+    inputs.sort();
+
+    await mkdir(values.out, { recursive: true });
+    // Inputs count as taken so a same-format conversion can't overwrite its source
+    const used = new Map();
+    inputs.forEach(input => claimPath(path.dirname(input), path.basename(input), used));
+
+    let failed = 0;
+    const queue = [...inputs];
+    const convertNext = async () => {
+        while (queue.length) {
+            const input = queue.shift();
+            try {
+                const written = await convertOne(input, targetType, options, values.out, used);
+                console.log(`${input} -> ${written}`);
+            } catch (error) {
+                failed++;
+                console.error(`${input}: ${error.message}${error.cause ? ` (${error.cause.message})` : ''}`);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, inputs.length) }, convertNext));
+
+    if (failed) {
+        console.error(`formatconv: ${failed} of ${inputs.length} files failed`);
+        return 1;
+    }
+    return 0;
+}
+
+async function convertOne(input, targetType, options, outDir, used) {
+    const name = path.basename(input);
+    const type = MIME_BY_EXTENSION[path.extname(name).slice(1).toLowerCase()] || '';
+    const { file, warning } = await identifyFile(new File([await openAsBlob(input)], name, { type }));
+    if (warning) console.warn(`${input}: ${warning}`);
+
+    const blob = await convertFile(file, targetType, { ...options, ...await readMarkdownImages(input, file) });
+    const baseName = name.replace(/\.[^/.]+$/, '');
+
+    // Bundles are unpacked into a folder of their own, as "Download All" does
+    if (blob.type === 'application/zip') {
+        const folder = claimPath(outDir, baseName, used);
+        for (const entry of await readZipEntries(blob)) {
+            const target = path.join(folder, entry.name);
+            await mkdir(path.dirname(target), { recursive: true });
+            await writeFile(target, new Uint8Array(await entry.blob.arrayBuffer()));
+        }
+        return path.relative('.', folder) + path.sep;
+    }
+
+    const target = claimPath(outDir, `${baseName}.${FILE_EXTENSIONS[blob.type] || FILE_EXTENSIONS[targetType]}`, used);
+    await writeFile(target, new Uint8Array(await blob.arrayBuffer()));
+    return path.relative('.', target);
+}
+
+// Images a Markdown input refers to by relative path are read from beside it; missing ones
+// are left as links
+async function readMarkdownImages(input, file) {
+    if (file.type !== 'text/markdown') return {};
+    const images = {};
+    for (const imagePath of markdownImagePaths(await file.text())) {
+        const ext = path.extname(imagePath).slice(1).toLowerCase();
+        try {
+            const data = await readFile(path.join(path.dirname(input), imagePath));
+            images[imagePath] = new Blob([data], { type: MIME_BY_EXTENSION[ext] || '' });
+        } catch {
+            console.warn(`${input}: image not found: ${imagePath}`);
+        }
+    }
+    return { images };
+}
+
+// Output paths are unique per folder; `used` maps folders to the names taken in them
+function claimPath(dir, name, used) {
+    const folder = path.resolve(dir);
+    if (!used.has(folder)) used.set(folder, new Set());
+    return path.join(folder, uniqueName(name, used.get(folder)));
+}
+
+function resolveFormat(format) {
+    const value = format.toLowerCase().replace(/^\./, '');
+    if (value.includes('/')) return FILE_EXTENSIONS[value] ? value : null;
+    if (FORMAT_ALIASES[value]) return FORMAT_ALIASES[value];
+    return Object.keys(FILE_EXTENSIONS).find(type => FILE_EXTENSIONS[type] === value && type !== 'application/zip') || null;
+}
+
+// Values are read as the type the converters to the target declare for the key, so
+// pageRange=2 stays text while quality=80 becomes a number
+function parseOptions(pairs, targetType) {
+    const declared = Object.assign({}, ...listConverters()
+        .filter(converter => converter.targets.includes(targetType))
+        .map(converter => converter.options));
+    const options = {};
+    pairs.forEach(pair => {
+        const eq = pair.indexOf('=');
+        if (eq <= 0) throw new Error(`--option expects key=value, got "${pair}"`);
+        const key = pair.slice(0, eq);
+        if (!Object.hasOwn(declared, key)) {
+            throw new Error(`Unknown option "${key}" for ${FILE_EXTENSIONS[targetType] || targetType} output`);
+        }
+        try {
+            const value = parseOptionValue(declared[key], pair.slice(eq + 1));
+            if (value !== undefined) options[key] = value;
+        } catch (error) {
+            throw new Error(`--option ${key}: ${error.message}`);
+        }
+    });
+    return options;
+}
+
+function usageError(message) {
+    console.error(`formatconv: ${message}\n\n${USAGE}`);
+    return 2;
+}
+
+main(process.argv.slice(2)).then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(error);
+        process.exitCode = 1;
+    }
+);
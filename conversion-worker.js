@@ -0,0 +1,20 @@
+// Runs DOM-free conversions off the main thread. See worker-pool.js.
+import { convertFile, toErrorData } from './converter.js';
+import { setPlatform } from './platform.js';
+import { browserPlatform } from './platform-browser.js';
+
+setPlatform(browserPlatform);
+
+self.onmessage = async (e) => {
+    const { file, targetType, options } = e.data;
+    // Callbacks can't be posted to a worker, so progress goes back as messages.
+    // Cancellation is handled by the pool terminating this worker.
+    const onProgress = (progress) => self.postMessage({ type: 'progress', progress });
+    try {
+        const blob = await convertFile(file, targetType, { ...options, onProgress });
+        self.postMessage({ type: 'done', blob });
+    } catch (error) {
+        // Errors don't survive structured cloning with their prototype, so send the parts
+        self.postMessage({ type: 'error', error: toErrorData(error) });
+    }
+};
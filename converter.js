@@ -1,291 +1,1542 @@
-import heic2any from 'heic2any';
 import { jsPDF } from 'jspdf';
 import UTIF from 'utif';
 import mammoth from 'mammoth';
 import * as XLSX from 'xlsx';
+import { extractPdfBlocks, blocksToText, blocksToHtml, blocksToMarkdown } from './pdf-text.js';
+import { DOCX_MIME, htmlToDocx, textToDocx } from './docx-writer.js';
+import { createZipBlob } from './bundle.js';
+import { encodeBmp } from './bmp.js';
+import { decodeGif, encodeGif } from './gif.js';
+import { muxAnimatedWebp } from './animated-webp.js';
+import { encodeTiff } from './tiff.js';
+import { readExifOrientation, clearExifOrientation, hasTransforms, planTransform, drawTransformed } from './image-transform.js';
+import { getPlatform } from './platform.js';
+import { sniffFormat, isTextType } from './sniff.js';
+import { rtfToText } from './rtf.js';
+import { markdownToHtml, htmlToMarkdown, rowsToMarkdownTable } from './markdown.js';
+import { htmlToPdf, textToPdf, sheetsToPdf, PAGE_SIZES, PDF_PAGE_OPTIONS } from './pdf-layout.js';
+import { sizeSvg, traceImage, MAX_TRACE_DIMENSION } from './svg.js';
+import { escapeHtml } from './format.js';
+import {
+    extractImageMetadata, embedImageMetadata, describeImageMetadata, imagePdfProperties,
+    readDocxProperties, describeDocxProperties, describePdfInfo
+} from './metadata.js';
 
 /**
- * Converts a file to a target format.
- * @param {File} sourceFile 
- * @param {string} targetMimeType 
- * @returns {Promise<Blob>}
+ * A conversion that failed. `stage` says where: 'read', 'decode', 'render' or 'encode'.
+ * `message` is meant for users; the underlying library error is kept as `cause`.
  */
-export async function convertFile(sourceFile, targetMimeType) {
-    console.log(`Converting ${sourceFile.name} (${sourceFile.type}) to ${targetMimeType}`);
-    const name = sourceFile.name.toLowerCase();
+export class ConversionError extends Error {
+    constructor(message, { stage = 'encode', cause } = {}) {
+        super(message, { cause });
+        this.name = 'ConversionError';
+        this.stage = stage;
+    }
+}
 
-    // Handle DOCX
-    if (name.endsWith('.docx')) {
-        return convertDocx(sourceFile, targetMimeType);
+/**
+ * The source format can't be converted to the requested target. Thrown before any work starts.
+ */
+export class UnsupportedConversionError extends ConversionError {
+    constructor(sourceFile, targetMimeType) {
+        const source = sourceFile.name.includes('.') ? sourceFile.name.split('.').pop().toUpperCase() : (sourceFile.type || 'this file');
+        super(`Converting ${source} to ${describeMimeType(targetMimeType)} is not supported`, { stage: 'read' });
+        this.name = 'UnsupportedConversionError';
+        this.targetMimeType = targetMimeType;
     }
+}
+
+const STAGE_MESSAGES = {
+    read: 'The file could not be read',
+    decode: 'The file could not be decoded; it may be damaged or not what its extension says',
+    render: 'Rendering the document failed',
+    encode: 'Writing the output file failed'
+};
+
+const IMAGE_TARGETS = ['image/jpeg', 'image/png', 'image/webp', 'image/bmp', 'image/gif', 'image/tiff', 'application/pdf'];
+
+const METADATA_OPTION = {
+    type: 'string',
+    default: 'strip',
+    description: "Source metadata in JPEG/PNG/WebP/PDF output: 'strip', 'keep' or 'stripLocation' (keep all but GPS)"
+};
+
+const IMAGE_OPTIONS = {
+    autoOrient: { type: 'boolean', default: true, description: 'Apply the EXIF orientation' },
+    rotate: { type: 'number', default: 0, description: 'Clockwise rotation in 90° steps' },
+    flipH: { type: 'boolean', default: false, description: 'Mirror horizontally' },
+    flipV: { type: 'boolean', default: false, description: 'Mirror vertically' },
+    cropTop: { type: 'number', default: 0, description: 'Percent cut from the top' },
+    cropRight: { type: 'number', default: 0, description: 'Percent cut from the right' },
+    cropBottom: { type: 'number', default: 0, description: 'Percent cut from the bottom' },
+    cropLeft: { type: 'number', default: 0, description: 'Percent cut from the left' },
+    resizeMode: { type: 'string', default: 'none', description: "'none', 'max', 'percent' or 'exact'" },
+    maxDimension: { type: 'number', description: "Longest side in px, for resizeMode 'max'" },
+    scalePercent: { type: 'number', description: "Scale, for resizeMode 'percent'" },
+    width: { type: 'number', description: "Width in px, for resizeMode 'exact'" },
+    height: { type: 'number', description: "Height in px, for resizeMode 'exact'" },
+    keepAspect: { type: 'boolean', default: true, description: "Fit within width × height instead of stretching, for resizeMode 'exact'" },
+    quality: { type: 'number', default: 90, description: 'JPEG/WebP quality, 1-100' },
+    sizeMode: { type: 'string', default: 'quality', description: "'quality', or 'target' to aim for targetSize" },
+    targetSize: { type: 'number', description: "Largest output size in KB, for sizeMode 'target'" },
+    metadata: METADATA_OPTION
+};
+
+const SVG_OPTIONS = {
+    ...IMAGE_OPTIONS,
+    svgWidth: { type: 'number', description: 'Width to draw the SVG at, in px (height follows unless svgHeight is set)' },
+    svgHeight: { type: 'number', description: 'Height to draw the SVG at, in px' },
+    svgScale: { type: 'number', default: 1, description: "Multiple of the SVG's own size, when no width or height is given" }
+};
+
+// Raster formats tracing accepts; everything the image, TIFF and HEIC converters read except SVG
+const RASTER_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'avif', 'ico', 'tif', 'tiff', 'heic', 'heif'];
+const RASTER_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp', 'image/avif', 'image/x-icon', 'image/tiff', 'image/heic', 'image/heif'];
+
+const SPREADSHEET_MIME_TYPES = [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.oasis.opendocument.spreadsheet',
+    'application/vnd.ms-excel'
+];
+
+// Converters in registration order; see registerConverter
+const converters = [];
+
+/**
+ * @typedef {Object} ConverterOption
+ * @property {'boolean' | 'number' | 'string' | 'string[]' | 'object'} type
+ * @property {*} [default]
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} Converter
+ * @property {string} id unique name; registering the same id again replaces the converter
+ * @property {string} category how the app groups sources: 'image', 'document', 'spreadsheet', 'text', 'pdf'...
+ * @property {string[]} extensions source file extensions, lower case and without the dot
+ * @property {string[]} [mimeTypes] source MIME types; 'image/*' matches every image type
+ * @property {string[]} targets MIME types it can produce
+ * @property {Object<string, string>} [labels] target names where the default ("PNG") needs more context
+ * @property {Object<string, ConverterOption>} [options] the settings `convert` reads from its options
+ * @property {(file: File, targetType: string, options: Object) => Promise<Blob>} convert
+ * @property {(file: File, targetType: string) => boolean} [worker] whether it can run in a Web Worker
+ *           (built-in converters only: workers don't see converters registered at runtime)
+ */
 
-    // Handle Spreadsheet (XLSX, XLS, CSV, ODS)
-    if (name.endsWith('.xlsx') || name.endsWith('.xls') || name.endsWith('.csv') || name.endsWith('.ods')) {
-        return convertSpreadsheet(sourceFile, targetMimeType);
+/**
+ * Adds a converter. When several accept a file and target, the closest match wins: file
+ * extension, then exact MIME type, then a wildcard such as image/*. Among equal matches the
+ * one registered last wins, so a converter can take over from a built-in one.
+ * @param {Converter} converter
+ */
+export function registerConverter(converter) {
+    addConverter(converter, false);
+}
+
+function addConverter(converter, builtIn) {
+    if (!converter || !converter.id || !Array.isArray(converter.extensions) ||
+        !Array.isArray(converter.targets) || typeof converter.convert !== 'function') {
+        throw new TypeError('A converter needs an id, extensions, targets and a convert function');
     }
+    const index = converters.findIndex(c => c.id === converter.id);
+    if (index !== -1) converters.splice(index, 1);
+    converters.push({ mimeTypes: [], labels: {}, options: {}, ...converter, builtIn });
+}
+
+/**
+ * Every registered converter, built-in ones first.
+ * @returns {Converter[]}
+ */
+export function listConverters() {
+    return [...converters];
+}
+
+/**
+ * The converter that would handle a file, optionally for a given target.
+ * @param {File} file
+ * @param {string} [targetMimeType]
+ * @returns {Converter | null}
+ */
+export function findConverter(file, targetMimeType) {
+    let best = null;
+    let bestScore = 0;
+    converters.forEach(converter => {
+        if (targetMimeType && !converter.targets.includes(targetMimeType)) return;
+        const score = matchScore(converter, file);
+        if (score > 0 && score >= bestScore) {
+            best = converter;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+function matchScore(converter, file) {
+    const name = file.name.toLowerCase();
+    const ext = name.includes('.') ? name.split('.').pop() : '';
+    const type = (file.type || '').toLowerCase();
+    if (ext && converter.extensions.includes(ext)) return 3;
+    if (!type) return 0;
+    if (converter.mimeTypes.includes(type)) return 2;
+    if (converter.mimeTypes.some(t => t.endsWith('/*') && type.startsWith(t.slice(0, -1)))) return 1;
+    return 0;
+}
+
+/**
+ * Whether any converter can turn this file into the target.
+ * @param {File} file
+ * @param {string} targetMimeType
+ * @returns {boolean}
+ */
+export function canConvert(file, targetMimeType) {
+    return findConverter(file, targetMimeType) !== null;
+}
+
+/**
+ * The formats a file can be converted to, across all converters that accept it.
+ * @param {File} file
+ * @returns {Array<{type: string, label: string}>}
+ */
+export function listTargets(file) {
+    const targets = new Map();
+    converters.forEach(converter => {
+        if (matchScore(converter, file) === 0) return;
+        converter.targets.forEach(type => {
+            if (!targets.has(type)) targets.set(type, converter.labels[type] || describeMimeType(type));
+        });
+    });
+    return [...targets].map(([type, label]) => ({ type, label }));
+}
 
-    // Handle Text/HTML
-    if (name.endsWith('.txt') || name.endsWith('.html') || name.endsWith('.rtf')) {
-        return convertTextHTML(sourceFile, targetMimeType);
+/**
+ * Checks a setting from outside the app (a command line, an imported preset) against the type
+ * its converter declares. Text is read as that type: "80" as a number, "true" as a boolean and
+ * "a,b" as a list; an empty number is no setting at all.
+ * @param {ConverterOption} option
+ * @param {*} value
+ * @returns {*} the value as the declared type, or undefined for an empty number
+ * @throws {TypeError} when the value isn't of that type or the type can't be given this way
+ */
+export function parseOptionValue(option, value) {
+    switch (option.type) {
+        case 'number': {
+            if (value === '') return undefined;
+            const number = typeof value === 'string' ? Number(value.trim() || NaN) : value;
+            if (typeof number === 'number' && Number.isFinite(number)) return number;
+            throw new TypeError(`expected a number, got ${JSON.stringify(value)}`);
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (value === 'true' || value === 'false') return value === 'true';
+            throw new TypeError(`expected true or false, got ${JSON.stringify(value)}`);
+        case 'string':
+            if (typeof value === 'string') return value;
+            throw new TypeError(`expected text, got ${JSON.stringify(value)}`);
+        case 'string[]':
+            if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+            if (Array.isArray(value) && value.every(item => typeof item === 'string')) return value;
+            throw new TypeError(`expected a list of names, got ${JSON.stringify(value)}`);
+        default:
+            throw new TypeError(`${option.type} settings can only be passed in code`);
     }
+}
+
+addConverter({
+    id: 'image',
+    category: 'image',
+    extensions: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'avif', 'ico'],
+    mimeTypes: ['image/*'],
+    targets: IMAGE_TARGETS,
+    options: IMAGE_OPTIONS,
+    convert: (file, targetType, options) => convertImage(file, 'image', targetType, options),
+    worker: () => true
+}, true);
+
+addConverter({
+    id: 'svg',
+    category: 'image',
+    extensions: ['svg'],
+    mimeTypes: ['image/svg+xml'],
+    targets: IMAGE_TARGETS,
+    labels: { 'application/pdf': 'PDF (Vector)' },
+    options: SVG_OPTIONS,
+    convert: convertSvg
+    // SVG only decodes through an <img>, and vector PDF needs the DOM
+}, true);
+
+addConverter({
+    id: 'tiff',
+    category: 'image',
+    extensions: ['tif', 'tiff'],
+    mimeTypes: ['image/tiff'],
+    targets: IMAGE_TARGETS,
+    options: IMAGE_OPTIONS,
+    convert: (file, targetType, options) => convertImage(file, 'tiff', targetType, options),
+    worker: () => true
+}, true);
+
+addConverter({
+    id: 'heic',
+    category: 'image',
+    extensions: ['heic', 'heif'],
+    mimeTypes: ['image/heic', 'image/heif'],
+    targets: IMAGE_TARGETS,
+    options: IMAGE_OPTIONS,
+    convert: (file, targetType, options) => convertImage(file, 'heic', targetType, options)
+}, true);
+
+addConverter({
+    id: 'trace',
+    category: 'image',
+    extensions: RASTER_EXTENSIONS,
+    mimeTypes: RASTER_MIME_TYPES,
+    targets: ['image/svg+xml'],
+    labels: { 'image/svg+xml': 'SVG (Traced)' },
+    options: {
+        ...IMAGE_OPTIONS,
+        colors: { type: 'number', default: 8, description: 'Colours in the traced SVG, 2-64' }
+    },
+    convert: convertTrace,
+    worker: (file) => imageFamily(file) !== 'heic'
+}, true);
+
+addConverter({
+    id: 'docx',
+    category: 'document',
+    extensions: ['docx'],
+    mimeTypes: [DOCX_MIME],
+    targets: ['text/html', 'application/pdf', 'text/markdown'],
+    options: { ...PDF_PAGE_OPTIONS, metadata: METADATA_OPTION },
+    convert: convertDocx,
+    // PDF and Markdown are written by walking mammoth's HTML, which needs a DOM parser
+    worker: (file, targetType) => targetType === 'text/html'
+}, true);
+
+addConverter({
+    id: 'spreadsheet',
+    category: 'spreadsheet',
+    extensions: ['xlsx', 'xls', 'csv', 'ods'],
+    mimeTypes: ['text/csv', ...SPREADSHEET_MIME_TYPES],
+    targets: ['application/pdf', 'text/csv', 'text/plain', 'text/html', 'text/markdown', ...SPREADSHEET_MIME_TYPES, 'application/json'],
+    labels: { 'application/vnd.ms-excel': 'XLS (Excel 97)' },
+    options: {
+        sheets: { type: 'string[]', description: 'Sheets to convert (default: all)' },
+        hasHeader: { type: 'boolean', default: true, description: 'The first row holds column names (JSON keys, table headers, Markdown headers)' },
+        delimiter: { type: 'string', description: 'CSV field separator (default: detected)' },
+        encoding: { type: 'string', default: 'utf-8', description: 'CSV text encoding' },
+        ...PDF_PAGE_OPTIONS
+    },
+    convert: convertSpreadsheet,
+    worker: () => true
+}, true);
+
+addConverter({
+    id: 'text',
+    category: 'text',
+    extensions: ['txt', 'rtf'],
+    mimeTypes: ['text/plain', 'application/rtf', 'text/rtf'],
+    targets: ['application/pdf', DOCX_MIME],
+    options: PDF_PAGE_OPTIONS,
+    convert: convertTextHTML,
+    worker: () => true
+}, true);
+
+addConverter({
+    id: 'html',
+    category: 'text',
+    extensions: ['html', 'htm'],
+    mimeTypes: ['text/html'],
+    targets: ['application/pdf', DOCX_MIME, 'text/markdown'],
+    options: PDF_PAGE_OPTIONS,
+    convert: convertTextHTML
+    // Rendering and parsing HTML needs the DOM, so never in a worker
+}, true);
+
+addConverter({
+    id: 'markdown',
+    category: 'text',
+    extensions: ['md', 'markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    targets: ['text/html', 'application/pdf', DOCX_MIME],
+    options: {
+        images: { type: 'object', description: 'Files for relative image paths, keyed by path from the document ("img/a.png")' },
+        ...PDF_PAGE_OPTIONS
+    },
+    convert: convertMarkdown,
+    worker: (file, targetType) => targetType === 'text/html'
+}, true);
+
+addConverter({
+    id: 'pdf',
+    category: 'pdf',
+    extensions: ['pdf'],
+    mimeTypes: ['application/pdf'],
+    targets: ['text/plain', 'text/html', 'text/markdown', 'image/png', 'image/jpeg', 'image/webp'],
+    labels: {
+        'text/plain': 'Text (TXT)',
+        'image/png': 'PNG (Pages)',
+        'image/jpeg': 'JPEG (Pages)',
+        'image/webp': 'WebP (Pages)'
+    },
+    options: {
+        dpi: { type: 'number', default: 150, description: 'Resolution of page images' },
+        pageRange: { type: 'string', default: '', description: 'Pages to convert, e.g. "1-3, 5" (default: all)' },
+        pageLayout: { type: 'string', default: 'separate', description: "Page images as 'separate' files or 'stitch'ed into one tall image" },
+        quality: { type: 'number', default: 90, description: 'JPEG/WebP quality, 1-100' }
+    },
+    convert: convertPdf
+}, true);
+
+/**
+ * File extension (without the dot) for each output MIME type.
+ * @type {Object<string, string>}
+ */
+export const FILE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/bmp': 'bmp',
+    'image/gif': 'gif',
+    'image/tiff': 'tif',
+    'image/svg+xml': 'svg',
+    'application/pdf': 'pdf',
+    'text/html': 'html',
+    'text/csv': 'csv',
+    'text/plain': 'txt',
+    'text/markdown': 'md',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+    'application/vnd.ms-excel': 'xls',
+    'application/json': 'json',
+    'application/zip': 'zip'
+};
+
+/**
+ * MIME type for input file extensions. Files unpacked from a ZIP or read from disk have no
+ * type, and image detection relies on it.
+ * @type {Object<string, string>}
+ */
+export const MIME_BY_EXTENSION = {
+    jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp',
+    bmp: 'image/bmp', svg: 'image/svg+xml', tif: 'image/tiff', tiff: 'image/tiff', ico: 'image/x-icon',
+    heic: 'image/heic', heif: 'image/heic', avif: 'image/avif',
+    pdf: 'application/pdf', csv: 'text/csv', txt: 'text/plain', html: 'text/html', htm: 'text/html',
+    md: 'text/markdown', markdown: 'text/markdown',
+    rtf: 'application/rtf', docx: DOCX_MIME, doc: 'application/msword', zip: 'application/zip',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ods: 'application/vnd.oasis.opendocument.spreadsheet',
+    xls: 'application/vnd.ms-excel'
+};
+
+// Files identifyFile has checked, so convertFile doesn't read them again (a File can't change)
+const identifiedFiles = new WeakSet();
 
-    // Handle HEIC/HEIF specially
-    if (name.endsWith('.heic') || name.endsWith('.heif')) {
-        return convertHeic(sourceFile, targetMimeType);
+/**
+ * Works out what a file really is from its content. A name that disagrees with the content is
+ * corrected (the extension and type are what the converters route on) and reported as a warning.
+ * @param {File} file
+ * @returns {Promise<{file: File, warning?: string}>} the file as given, or a renamed copy
+ * @throws {ConversionError} (stage 'read') when the file is empty, damaged, in no supported
+ *         format, or in a format that is recognised but can't be converted
+ */
+export async function identifyFile(file) {
+    if (file.size === 0) {
+        throw new ConversionError('The file is empty', { stage: 'read' });
     }
 
-    // Handle PDF target (from Image)
-    if (targetMimeType === 'application/pdf') {
-        return convertToPdf(sourceFile);
+    const name = file.name;
+    const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    const claimedType = MIME_BY_EXTENSION[ext] || file.type || '';
+    const format = await sniffFormat(file);
+    if (!format) {
+        throw new ConversionError(claimedType
+            ? `This is not a valid ${describeMimeType(claimedType)} file; it may be damaged`
+            : 'The file format was not recognised', { stage: 'read' });
+    }
+    if (format.damaged) {
+        // A broken DOCX only shows as a broken ZIP
+        const label = format.type === 'application/zip' && claimedType ? describeMimeType(claimedType) : format.label;
+        throw new ConversionError(`This ${label} file is damaged: ${format.damaged}`, { stage: 'read' });
+    }
+    if (format.unsupported) {
+        throw new ConversionError(`${format.label} files can't be converted; ${format.unsupported}`, { stage: 'read' });
     }
 
-    // Handle TIFF source
-    if (sourceFile.type === 'image/tiff' || name.endsWith('.tiff') || name.endsWith('.tif')) {
-        return convertTiff(sourceFile, targetMimeType);
+    // Text formats are told apart by guesswork, so the name is trusted between them
+    if (format.type === claimedType || (isTextType(format.type) && isTextType(claimedType))) {
+        identifiedFiles.add(file);
+        return { file };
     }
 
-    // Default image conversion handling (Canvas based)
-    return convertImageToImage(sourceFile, targetMimeType);
+    const baseName = ext ? name.slice(0, -ext.length - 1) : name;
+    const renamed = new File([file], `${baseName}.${format.extension}`, { type: format.type, lastModified: file.lastModified });
+    const warning = ext
+        ? `Named .${ext} but the content is ${format.label}; converting it as ${format.label}`
+        : `No file extension; the content is ${format.label}`;
+    identifiedFiles.add(renamed);
+    return { file: renamed, warning };
 }
 
-async function convertDocx(file, targetType) {
-    const arrayBuffer = await file.arrayBuffer();
+/**
+ * Converts a file to a target format. The file is identified first (see identifyFile) unless
+ * it is one identifyFile returned.
+ * @param {File} sourceFile 
+ * @param {string} targetMimeType 
+ * @param {Object} [options] settings for the converter that handles the file, as declared in its
+ *        `options` (see listConverters), e.g. dpi/pageRange/pageLayout for PDF → image
+ * @param {(progress: {stage: string, done: number, total: number, unit: string}) => void} [options.onProgress]
+ *        called as bytes are read, pages rendered, sheets processed, etc.
+ * @param {AbortSignal} [options.signal] cancels the conversion with an AbortError
+ * @returns {Promise<Blob>}
+ * @throws {UnsupportedConversionError} when the source can't produce the target at all
+ * @throws {ConversionError} when any step fails; aborts reject with the signal's AbortError instead
+ */
+export async function convertFile(sourceFile, targetMimeType, options = {}) {
+    throwIfAborted(options);
+
+    if (!identifiedFiles.has(sourceFile)) {
+        ({ file: sourceFile } = await identifyFile(sourceFile));
+    }
+    const converter = findConverter(sourceFile, targetMimeType);
+    if (!converter) {
+        throw new UnsupportedConversionError(sourceFile, targetMimeType);
+    }
+
+    // Progress reports double as a record of how far we got, for the error stage
+    let stage = 'read';
+    const tracked = {
+        ...options,
+        onProgress: (progress) => {
+            stage = progress.stage;
+            if (options.onProgress) options.onProgress(progress);
+        }
+    };
+
+    try {
+        return await converter.convert(sourceFile, targetMimeType, tracked);
+    } catch (error) {
+        if (error.name === 'AbortError' || error instanceof ConversionError) throw error;
+        throw new ConversionError(STAGE_MESSAGES[stage], { stage, cause: error });
+    }
+}
+
+/**
+ * Flattens an error into something postMessage can carry (see fromErrorData).
+ * @param {Error} error
+ */
+export function toErrorData(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        stack: error.stack,
+        stage: error.stage,
+        cause: error.cause ? { name: error.cause.name, message: error.cause.message } : undefined
+    };
+}
+
+/**
+ * Rebuilds an error posted by toErrorData, restoring ConversionError where it applies.
+ * @returns {Error}
+ */
+export function fromErrorData(data) {
+    let error;
+    if (data.stage) {
+        error = new ConversionError(data.message, { stage: data.stage, cause: data.cause });
+    } else {
+        error = new Error(data.message);
+    }
+    error.name = data.name;
+    error.stack = data.stack;
+    return error;
+}
+
+/**
+ * Whether a conversion can run inside a Web Worker. Paths that render HTML (jsPDF .html(),
+ * DOMParser) or depend on page-only APIs (heic2any, pdf.js canvas rendering, SVG via <img>)
+ * must stay on the main thread; converters say so through their `worker` check.
+ * @param {File} sourceFile
+ * @param {string} targetMimeType
+ * @returns {boolean}
+ */
+export function canConvertInWorker(sourceFile, targetMimeType) {
+    const converter = findConverter(sourceFile, targetMimeType);
+    return !!converter && converter.builtIn && !!converter.worker && converter.worker(sourceFile, targetMimeType);
+}
+
+async function convertDocx(file, targetType, options) {
+    const arrayBuffer = await readFileBytes(file, options);
     // mammoth converts to HTML
-    const result = await mammoth.convertToHtml({ arrayBuffer: arrayBuffer });
+    reportProgress(options, 'decode', 0, 1, 'documents');
+    // mammoth's browser build reads `arrayBuffer`, its Node build `buffer`
+    const result = await mammoth.convertToHtml({ arrayBuffer, buffer: arrayBuffer });
     const html = result.value;
+    throwIfAborted(options);
 
     if (targetType === 'text/html') {
         return new Blob([html], { type: 'text/html' });
     }
 
+    if (targetType === 'text/markdown') {
+        reportProgress(options, 'encode', 0, 1, 'documents');
+        return new Blob([htmlToMarkdown(html)], { type: 'text/markdown' });
+    }
+
     if (targetType === 'application/pdf') {
-        // Simple HTML to PDF using jsPDF (might need html2canvas or similar for complex layout)
-        // For now, extract raw text or basics. 
-        // Better: create a temporary element and use .html() if possible, but that's async and complex in worker.
-        // Let's retry: jsPDF .html needs DOM.
-        // Fallback: extract raw text for now or simple HTML container.
-        const doc = new jsPDF();
-        // doc.html is async and renders into canvas.
-        // Simpler approach for "clean": Just text? No user wants formatting.
-        // Let's try to add the HTML to a temporary div and render it.
-
-        return new Promise((resolve) => {
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = html;
-            tempDiv.style.width = '595px'; // A4 width approx in px at 72dpi? No, jsPDF default is mm/A4.
-            // Let's allow jsPDF to handle it.
-            document.body.appendChild(tempDiv);
-
-            doc.html(tempDiv, {
-                callback: function (doc) {
-                    tempDiv.remove();
-                    resolve(doc.output('blob'));
-                },
-                x: 10,
-                y: 10,
-                width: 190, // A4 width - margins
-                windowWidth: 650 // Virtual window width
-            });
-        });
+        reportProgress(options, 'render', 0, 1, 'documents');
+        return htmlToPdf(html, { ...pdfPageOptions(file, options), ...docxPdfProperties(arrayBuffer, options) });
+    }
+
+    throw new UnsupportedConversionError(file, targetType);
+}
+
+// The document's title, author and so on carried into the PDF, when the metadata option keeps them
+function docxPdfProperties(arrayBuffer, options) {
+    if (!keepsMetadata(options)) return {};
+    const properties = readDocxProperties(new Uint8Array(arrayBuffer));
+    const pdfProperties = {
+        subject: properties.subject,
+        author: properties.creator,
+        keywords: properties.keywords,
+        creator: properties.application
+    };
+    return {
+        ...(properties.title ? { title: properties.title } : {}),
+        properties: Object.fromEntries(Object.entries(pdfProperties).filter(([, value]) => value))
+    };
+}
+
+/**
+ * Lists the sheet names of a workbook without parsing the cell data.
+ * @param {File} file
+ * @returns {Promise<string[]>}
+ */
+export async function getSheetNames(file) {
+    if (file.name.toLowerCase().endsWith('.csv')) {
+        return ['Sheet1'];
     }
+    const arrayBuffer = await readFileBytes(file);
+    return XLSX.read(arrayBuffer, { bookSheets: true }).SheetNames;
+}
 
-    throw new Error("Unsupported target for DOCX");
+/**
+ * Reads every sheet of a workbook (or CSV) as rows of cell text, e.g. for a preview.
+ * @param {File} file
+ * @param {Object} [options] `delimiter` and `encoding` for CSV, `maxRows` per sheet
+ * @returns {Promise<Array<{name: string, rows: string[][], totalRows: number}>>}
+ */
+export async function readSheetRows(file, options = {}) {
+    const workbook = await readWorkbook(file, options);
+    return workbook.SheetNames.map(name => {
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: false, defval: '' });
+        return { name, rows: options.maxRows ? rows.slice(0, options.maxRows) : rows, totalRows: rows.length };
+    });
 }
 
-async function convertSpreadsheet(file, targetType) {
-    const arrayBuffer = await file.arrayBuffer();
-    const workbook = XLSX.read(arrayBuffer);
-    const firstSheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[firstSheetName];
+// Workbook formats SheetJS can write, keyed by target MIME type
+const WORKBOOK_TYPES = {
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+    'application/vnd.ms-excel': 'biff8'
+};
+
+async function convertSpreadsheet(file, targetType, options = {}) {
+    const { sheets, hasHeader = true } = options;
+    const workbook = await readWorkbook(file, options);
+    // No selection means every sheet
+    const sheetNames = sheets ? workbook.SheetNames.filter(name => sheets.includes(name)) : workbook.SheetNames;
+    if (sheetNames.length === 0) {
+        throw new ConversionError("No sheets selected", { stage: 'read' });
+    }
+    const baseName = file.name.replace(/\.[^/.]+$/, "");
+    const sheetDone = (i) => reportProgress(options, 'encode', i + 1, sheetNames.length, 'sheets');
 
     if (targetType === 'text/csv' || targetType === 'text/plain') {
-        const csv = XLSX.utils.sheet_to_csv(worksheet);
-        return new Blob([csv], { type: 'text/csv' });
-    }
-
-    if (targetType === 'application/pdf' || targetType === 'text/html') {
-        const html = XLSX.utils.sheet_to_html(worksheet);
-        if (targetType === 'text/html') return new Blob([html], { type: 'text/html' });
-
-        // PDF
-        const doc = new jsPDF();
-        return new Promise((resolve) => {
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = html;
-            document.body.appendChild(tempDiv);
-            doc.html(tempDiv, {
-                callback: function (doc) {
-                    tempDiv.remove();
-                    resolve(doc.output('blob'));
-                },
-                x: 10,
-                y: 10,
-                width: 190,
-                windowWidth: 800
-            });
+        const csvs = sheetNames.map((name, i) => {
+            throwIfAborted(options);
+            const csv = XLSX.utils.sheet_to_csv(workbook.Sheets[name]);
+            sheetDone(i);
+            return csv;
+        });
+        if (csvs.length === 1) {
+            return new Blob([csvs[0]], { type: 'text/csv' });
+        }
+
+        return createZipBlob(sheetNames.map((name, i) => ({
+            name: `${baseName}_${safeFileName(name)}.csv`,
+            blob: new Blob([csvs[i]], { type: 'text/csv' })
+        })));
+    }
+
+    if (WORKBOOK_TYPES[targetType]) {
+        const output = XLSX.utils.book_new();
+        sheetNames.forEach((name, i) => {
+            const worksheet = workbook.Sheets[name];
+            if (hasHeader && worksheet['!ref'] && !worksheet['!autofilter']) {
+                worksheet['!autofilter'] = { ref: worksheet['!ref'] }; // Filter buttons on the header row
+            }
+            XLSX.utils.book_append_sheet(output, worksheet, name);
+            sheetDone(i);
         });
+        const data = XLSX.write(output, { bookType: WORKBOOK_TYPES[targetType], type: 'array' });
+        return new Blob([data], { type: targetType });
     }
 
-    throw new Error("Unsupported target for Spreadsheet");
+    if (targetType === 'application/json') {
+        // Rows become objects keyed by the header row, or by column letter without one
+        const jsons = sheetNames.map((name, i) => {
+            throwIfAborted(options);
+            const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], hasHeader ? {} : { header: 'A' });
+            sheetDone(i);
+            return JSON.stringify(rows, null, 2);
+        });
+        if (jsons.length === 1) {
+            return new Blob([jsons[0]], { type: 'application/json' });
+        }
+
+        return createZipBlob(sheetNames.map((name, i) => ({
+            name: `${baseName}_${safeFileName(name)}.json`,
+            blob: new Blob([jsons[i]], { type: 'application/json' })
+        })));
+    }
+
+    if (targetType === 'text/markdown') {
+        // A heading and a table per sheet; cells are shown as formatted ("1,200", "3/4/25")
+        const sections = sheetNames.map((name, i) => {
+            throwIfAborted(options);
+            const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: false, defval: '' });
+            sheetDone(i);
+            return `## ${name}\n\n${rowsToMarkdownTable(rows, hasHeader)}`;
+        });
+        return new Blob([sections.join('\n\n') + '\n'], { type: 'text/markdown' });
+    }
+
+    if (targetType === 'application/pdf') {
+        const sheetRows = sheetNames.map(name => ({
+            name,
+            rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: false, defval: '' }),
+            hasHeader
+        }));
+        return sheetsToPdf(sheetRows, {
+            ...pdfPageOptions(file, options),
+            onSheet: (i) => {
+                throwIfAborted(options);
+                sheetDone(i);
+            }
+        });
+    }
+
+    if (targetType === 'text/html') {
+        const sections = sheetNames.map((name, i) => {
+            sheetDone(i);
+            return `<section><h2>${escapeHtml(name)}</h2>${XLSX.utils.sheet_to_html(workbook.Sheets[name], { header: '', footer: '' })}</section>`;
+        });
+        const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(baseName)}</title>
+<style>table { border-collapse: collapse; } td, th { border: 1px solid #ccc; padding: 2px 6px; }</style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>
+`;
+        return new Blob([html], { type: 'text/html' });
+    }
+
+    throw new UnsupportedConversionError(file, targetType);
+}
+
+// CSV is text, so the delimiter and encoding come from the options rather than the file
+async function readWorkbook(file, options = {}) {
+    const { delimiter, encoding = 'utf-8' } = options;
+    const arrayBuffer = await readFileBytes(file, options);
+    reportProgress(options, 'decode', 0, 1, 'workbooks');
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+        return XLSX.read(arrayBuffer);
+    }
+
+    const text = new TextDecoder(encoding).decode(arrayBuffer);
+    return XLSX.read(text, { type: 'string', FS: delimiter || undefined });
 }
 
-async function convertTextHTML(file, targetType) {
-    const text = await file.text();
+function isHtmlFile(file) {
+    return /\.html?$/i.test(file.name);
+}
+
+// UTF-8 unless a byte order mark says UTF-16, as Notepad writes "Unicode" files
+function decodeText(bytes) {
+    const head = new Uint8Array(bytes, 0, Math.min(bytes.byteLength, 2));
+    const encoding = head[0] === 0xFF && head[1] === 0xFE ? 'utf-16le'
+        : head[0] === 0xFE && head[1] === 0xFF ? 'utf-16be' : 'utf-8';
+    return new TextDecoder(encoding).decode(bytes);
+}
+
+async function convertTextHTML(file, targetType, options) {
+    const bytes = await readFileBytes(file, options);
+    // RTF escapes are Windows-1252 codes; the text underneath is what gets converted
+    const text = /\.rtf$/i.test(file.name)
+        ? rtfToText(new TextDecoder('windows-1252').decode(bytes))
+        : decodeText(bytes);
 
     if (targetType === 'application/pdf') {
-        const doc = new jsPDF();
-
-        if (file.name.endsWith('.html')) {
-            return new Promise((resolve) => {
-                const tempDiv = document.createElement('div');
-                tempDiv.innerHTML = text;
-                document.body.appendChild(tempDiv);
-                doc.html(tempDiv, {
-                    callback: function (doc) {
-                        tempDiv.remove();
-                        resolve(doc.output('blob'));
-                    },
-                    x: 10,
-                    y: 10,
-                    width: 190,
-                    windowWidth: 800
-                });
-            });
+        reportProgress(options, 'render', 0, 1, 'documents');
+        if (isHtmlFile(file)) {
+            return htmlToPdf(text, pdfPageOptions(file, options));
         }
+        return textToPdf(text, pdfPageOptions(file, options));
+    }
 
-        // Simple text
-        doc.text(text, 10, 10, { maxWidth: 190 });
-        return doc.output('blob');
+    // Mammoth is read-only, so DOCX output goes through our own writer
+    if (targetType === DOCX_MIME) {
+        if (isHtmlFile(file)) {
+            return htmlToDocx(text);
+        }
+        return textToDocx(text);
     }
 
-    // DOCX target from text? 
-    // Mammoth is read-only.
-    // We can't easily write DOCX client side without another massive lib (docx.js).
-    // Let's stick to PDF as primary target for "Document Conversion" request table.
-    // Table says: Source: TXT -> Target: DOCX. 
-    // If strict on DOCX target, we need `docx` library.
-    // implementation_plan said "Word (DOCX) -> PDF, HTML". 
-    // I'll stick to PDF for now as it's the requested safe pair.
+    if (targetType === 'text/markdown' && isHtmlFile(file)) {
+        return new Blob([htmlToMarkdown(text)], { type: 'text/markdown' });
+    }
 
-    throw new Error("Unsupported target for Text/HTML");
+    throw new UnsupportedConversionError(file, targetType);
 }
 
-async function convertTiff(file, targetType) {
-    const arrayBuffer = await file.arrayBuffer();
-    const ifds = UTIF.decode(arrayBuffer);
-    if (!ifds || ifds.length === 0) {
-        throw new Error("Invalid TIFF file");
+// Markdown renders to HTML, which then takes the HTML routes to PDF and DOCX
+async function convertMarkdown(file, targetType, options = {}) {
+    const bytes = await readFileBytes(file, options);
+    reportProgress(options, 'decode', 0, 1, 'documents');
+    const body = await markdownToHtml(new TextDecoder().decode(bytes), options.images);
+    throwIfAborted(options);
+
+    if (targetType === 'text/html') {
+        const title = file.name.replace(/\.[^/.]+$/, '');
+        const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; line-height: 1.5; max-width: 50em; margin: 2em auto; padding: 0 1em; }
+pre { background: #f5f5f5; padding: 0.75em; overflow-x: auto; }
+code { font-family: monospace; }
+table { border-collapse: collapse; } td, th { border: 1px solid #ccc; padding: 2px 6px; }
+img { max-width: 100%; }
+blockquote { color: #555; border-left: 3px solid #ccc; margin-left: 0; padding-left: 1em; }
+</style>
+</head>
+<body>
+${body}</body>
+</html>
+`;
+        return new Blob([html], { type: 'text/html' });
     }
-    UTIF.decodeImage(arrayBuffer, ifds[0]);
-    const rgba = UTIF.toRGBA8(ifds[0]);
-    const width = ifds[0].width;
-    const height = ifds[0].height;
 
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
-    const imgData = ctx.createImageData(width, height);
-    imgData.data.set(rgba);
-    ctx.putImageData(imgData, 0, 0);
+    if (targetType === 'application/pdf') {
+        reportProgress(options, 'render', 0, 1, 'documents');
+        return htmlToPdf(body, pdfPageOptions(file, options));
+    }
 
-    if (targetType === 'image/jpeg' || targetType === 'image/bmp') {
-        const newCanvas = document.createElement('canvas');
-        newCanvas.width = width;
-        newCanvas.height = height;
-        const newCtx = newCanvas.getContext('2d');
-        newCtx.fillStyle = '#FFFFFF';
-        newCtx.fillRect(0, 0, width, height);
-        newCtx.drawImage(canvas, 0, 0);
-        return new Promise(resolve => newCanvas.toBlob(resolve, targetType, 0.9));
+    if (targetType === DOCX_MIME) {
+        return htmlToDocx(body);
     }
 
-    return new Promise(resolve => canvas.toBlob(resolve, targetType, 0.9));
+    throw new UnsupportedConversionError(file, targetType);
 }
 
-async function convertHeic(file, targetType) {
-    // heic2any returns a blob (JPEG or PNG usually, default is PNG)
-    // If target is JPEG or PNG, we can use it directly or re-convert
+async function convertPdf(file, targetType, options) {
+    const pdf = await loadPdfDocument(file, options);
     try {
-        const resultArgs = { blob: file, toType: targetType };
-        // heic2any supports image/jpeg, image/png, image/gif
-        // If target is unsupported by heic2any (e.g. webp directly?), we might get png first then convert
-        const outputBlob = await heic2any(resultArgs);
-
-        // Output can be an array if multiple images in HEIC, we take the first
-        const finalBlob = Array.isArray(outputBlob) ? outputBlob[0] : outputBlob;
-        return finalBlob;
-    } catch (e) {
-        console.error("HEIC conversion failed", e);
-        throw e;
-    }
-}
-
-async function convertToPdf(file) {
-    // Load image to get dimensions
-    const imgData = await readFileAsDataURL(file);
-    const img = await loadImage(imgData);
-
-    // Create PDF with image dimensions (or A4? Let's fit image to page or page to image)
-    // Page to image is better for "converting"
-    // Orientation: p (portrait) or l (landscape)
-    const orientation = img.width > img.height ? 'l' : 'p';
-
-    // Units: px, Format: [width, height]
-    const pdf = new jsPDF({
-        orientation: orientation,
-        unit: 'px',
-        format: [img.width, img.height]
-    });
+        if (targetType.startsWith('image/')) {
+            return await rasterizePdf(pdf, file, targetType, options);
+        }
+
+        const pages = await extractPdfBlocks(pdf, (done, total) => {
+            throwIfAborted(options);
+            reportProgress(options, 'decode', done, total, 'pages');
+        });
+        if (pages.every(blocks => blocks.length === 0)) {
+            throw new ConversionError("PDF has no text layer (scanned documents need OCR)", { stage: 'decode' });
+        }
+
+        if (targetType === 'text/plain') {
+            return new Blob([blocksToText(pages)], { type: 'text/plain' });
+        }
+        if (targetType === 'text/html') {
+            const title = file.name.replace(/\.[^/.]+$/, "");
+            return new Blob([blocksToHtml(pages, title)], { type: 'text/html' });
+        }
+        if (targetType === 'text/markdown') {
+            return new Blob([blocksToMarkdown(pages)], { type: 'text/markdown' });
+        }
+    } finally {
+        pdf.destroy();
+    }
+
+    throw new UnsupportedConversionError(file, targetType);
+}
+
+const MAX_CANVAS_HEIGHT = 32767; // Largest canvas dimension most browsers will allocate
+
+async function rasterizePdf(pdf, file, targetType, options) {
+    const { dpi = 150, pageRange = '', pageLayout = 'separate' } = options;
+    const pageNumbers = parsePageRange(pageRange, pdf.numPages);
+    const scale = Number(dpi) / 72; // PDF user space is 72 units per inch
+
+    const canvases = [];
+    const images = [];
+    const baseName = file.name.replace(/\.[^/.]+$/, "");
+    const ext = targetType.split('/')[1].replace('jpeg', 'jpg');
+    const pad = String(pdf.numPages).length;
+
+    for (const [index, pageNumber] of pageNumbers.entries()) {
+        throwIfAborted(options);
+        const page = await pdf.getPage(pageNumber);
+        const viewport = page.getViewport({ scale });
+        const canvas = createCanvas(Math.floor(viewport.width), Math.floor(viewport.height));
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        page.cleanup();
+        reportProgress(options, 'render', index + 1, pageNumbers.length, 'pages');
+
+        if (pageLayout === 'stitch') {
+            canvases.push(canvas);
+        } else {
+            const blob = await canvasToBlob(canvas, targetType, encodeQuality(options));
+            images.push({ name: `${baseName}_page${String(pageNumber).padStart(pad, '0')}.${ext}`, blob });
+        }
+    }
+
+    if (pageLayout === 'stitch') {
+        const width = Math.max(...canvases.map(c => c.width));
+        const height = canvases.reduce((sum, c) => sum + c.height, 0);
+        if (height > MAX_CANVAS_HEIGHT) {
+            throw new ConversionError(`Stitched image would be ${height}px tall; lower the DPI or the page range`, { stage: 'render' });
+        }
+
+        const sheet = createCanvas(width, height);
+        const ctx = sheet.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, width, height);
+        let y = 0;
+        canvases.forEach(c => {
+            ctx.drawImage(c, Math.floor((width - c.width) / 2), y);
+            y += c.height;
+        });
+        return canvasToBlob(sheet, targetType, encodeQuality(options));
+    }
+
+    if (images.length === 1) {
+        return images[0].blob;
+    }
+    return createZipBlob(images);
+}
+
+// Every image source (plain images, TIFF, HEIC) is decoded, drawn once through the requested
+// adjustments (see image-transform.js) and encoded from that canvas
+async function convertImage(file, family, targetType, options) {
+    // The HEIC decoder encodes JPEG/PNG/GIF itself; nothing to gain from a canvas round-trip
+    if (family === 'heic' && !hasTransforms(options) && ['image/jpeg', 'image/png', 'image/gif'].includes(targetType)) {
+        reportProgress(options, 'decode', 0, 1, 'images');
+        const images = await decodeHeic(file, targetType);
+        if (images.length === 1) {
+            return images[0];
+        }
+        return createZipBlob(images.map((blob, index) => ({ name: pageFileName(file, index, images.length, targetType), blob })));
+    }
+
+    // Animated GIFs keep every frame when the target can animate
+    if (family === 'image' && ANIMATED_TARGETS.includes(targetType) && (file.type === 'image/gif' || /\.gif$/i.test(file.name))) {
+        const gif = decodeGif(new Uint8Array(await readFileBytes(file, options)));
+        if (gif.frames.length > 1) {
+            return convertAnimation(gif, targetType, options);
+        }
+    }
 
-    pdf.addImage(imgData, 'JPEG', 0, 0, img.width, img.height);
+    const pages = await loadImagePages(file, family, options);
+    if (pages.length > 1) {
+        return convertPages(file, pages, targetType, options);
+    }
+
+    const lossless = isLosslessSource(file);
+    const canvas = renderTransformed(await pages[0](), options, flattenColor(targetType, lossless));
+    throwIfAborted(options);
+    reportProgress(options, 'encode', 0, 1, targetType === 'application/pdf' ? 'pages' : 'images');
+
+    const metadata = await sourceMetadata(file, options);
+    if (targetType === 'application/pdf') {
+        const pdf = await addPdfImagePage(null, canvas, lossless, options);
+        if (metadata) pdf.setProperties(imagePdfProperties(metadata));
+        return pdf.output('blob');
+    }
+    return withMetadata(await encodeOutput(canvas, targetType, options), targetType, metadata, options);
+}
+
+// EXIF, ICC profile and XMP of an image source, when the metadata option keeps any of it
+async function sourceMetadata(file, options) {
+    if (!keepsMetadata(options)) return null;
+    return extractImageMetadata(new Uint8Array(await readFileBytes(file)));
+}
+
+function keepsMetadata(options) {
+    return options.metadata === 'keep' || options.metadata === 'stripLocation';
+}
+
+// The canvas encodes no metadata of its own; the source's is written into the file afterwards
+async function withMetadata(blob, targetType, metadata, options) {
+    if (!metadata || !METADATA_TARGETS.includes(targetType)) return blob;
+    const bytes = embedImageMetadata(new Uint8Array(await blob.arrayBuffer()), targetType, metadata, options.metadata);
+    return new Blob([bytes], { type: targetType });
+}
+
+const METADATA_TARGETS = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Raster targets go through the image pipeline at the chosen size; PDF keeps the vectors
+async function convertSvg(file, targetType, options) {
+    if (targetType !== 'application/pdf') {
+        return convertImage(file, 'svg', targetType, options);
+    }
+
+    const text = new TextDecoder().decode(await readFileBytes(file, options));
+    const { svg, width, height } = sizeSvg(text, options);
+    // One PDF point per CSS pixel at 96 DPI, the page the size of the drawing
+    const pageWidth = width * 72 / 96;
+    const pageHeight = height * 72 / 96;
+    const pdf = new jsPDF({ unit: 'pt', format: [pageWidth, pageHeight], orientation: pageWidth > pageHeight ? 'landscape' : 'portrait' });
+    reportProgress(options, 'render', 0, 1, 'pages');
+    await getPlatform().renderSvgToPdf(pdf, svg, { x: 0, y: 0, width: pageWidth, height: pageHeight });
     return pdf.output('blob');
 }
 
-async function convertImageToImage(file, targetType) {
-    const dataUrl = await readFileAsDataURL(file);
-    const img = await loadImage(dataUrl);
+async function convertTrace(file, targetType, options) {
+    const pages = await loadImagePages(file, imageFamily(file), options);
+    const svgs = [];
+    for (const [index, loadPage] of pages.entries()) {
+        throwIfAborted(options);
+        let canvas = renderTransformed(await loadPage(), options, null);
+        const { width, height } = canvas;
+        const scale = Math.min(1, MAX_TRACE_DIMENSION / Math.max(width, height));
+        if (scale < 1) {
+            const small = createCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+            small.getContext('2d').drawImage(canvas, 0, 0, small.width, small.height);
+            canvas = small;
+        }
+        const pixels = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const svg = traceImage(pixels, { colors: Number(options.colors) || 8, width, height });
+        svgs.push({ name: pageFileName(file, index, pages.length, targetType), blob: new Blob([svg], { type: 'image/svg+xml' }) });
+        reportProgress(options, 'encode', index + 1, pages.length, 'pages');
+    }
+    return svgs.length === 1 ? svgs[0].blob : createZipBlob(svgs);
+}
+
+// Which loader in loadImagePages reads an image file
+function imageFamily(file) {
+    if (/\.svg$/i.test(file.name) || file.type === 'image/svg+xml') return 'svg';
+    if (/\.tiff?$/i.test(file.name) || file.type === 'image/tiff') return 'tiff';
+    if (/\.hei[cf]$/i.test(file.name) || file.type === 'image/heic' || file.type === 'image/heif') return 'heic';
+    return 'image';
+}
+
+// Multi-page TIFFs and HEIC collections: one image per page (bundled), or every page in a
+// single PDF or TIFF
+async function convertPages(file, pages, targetType, options) {
+    const lossless = isLosslessSource(file);
+    const metadata = await sourceMetadata(file, options);
+    const images = [];
+    let pdf = null;
 
-    const canvas = document.createElement('canvas');
-    canvas.width = img.width;
-    canvas.height = img.height;
+    for (const [index, loadPage] of pages.entries()) {
+        throwIfAborted(options);
+        const canvas = renderTransformed(await loadPage(), options, flattenColor(targetType, lossless));
+        if (targetType === 'application/pdf') {
+            pdf = await addPdfImagePage(pdf, canvas, lossless, options);
+        } else if (targetType === 'image/tiff') {
+            images.push(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height));
+        } else {
+            const blob = await withMetadata(await encodeOutput(canvas, targetType, options), targetType, metadata, options);
+            images.push({ name: pageFileName(file, index, pages.length, targetType), blob });
+        }
+        reportProgress(options, 'encode', index + 1, pages.length, 'pages');
+    }
+
+    if (pdf) {
+        if (metadata) pdf.setProperties(imagePdfProperties(metadata));
+        return pdf.output('blob');
+    }
+    if (targetType === 'image/tiff') {
+        return new Blob([encodeTiff(images)], { type: 'image/tiff' });
+    }
+    return createZipBlob(images);
+}
+
+// JPEG has no alpha, and neither do photos placed in a PDF: flatten onto white
+function flattenColor(targetType, lossless) {
+    const opaque = targetType === 'image/jpeg' || (targetType === 'application/pdf' && !lossless);
+    return opaque ? '#FFFFFF' : null;
+}
+
+function pageFileName(file, index, count, targetType) {
+    const baseName = file.name.replace(/\.[^/.]+$/, '');
+    const ext = targetType.split('/')[1].replace('jpeg', 'jpg');
+    return `${baseName}_page${String(index + 1).padStart(String(count).length, '0')}.${ext}`;
+}
+
+function encodeOutput(canvas, targetType, options) {
+    if (options.sizeMode === 'target' && LOSSY_TYPES.includes(targetType) && Number(options.targetSize) > 0) {
+        return encodeToTargetSize(canvas, targetType, Number(options.targetSize) * 1024, options);
+    }
+    return encodeCanvas(canvas, targetType, options);
+}
+
+const ANIMATED_TARGETS = ['image/gif', 'image/webp'];
+
+async function convertAnimation(gif, targetType, options) {
+    const source = createCanvas(gif.width, gif.height);
+    const sourceCtx = source.getContext('2d');
+    const pixels = sourceCtx.createImageData(gif.width, gif.height);
+
+    const frames = [];
+    for (const [index, frame] of gif.frames.entries()) {
+        throwIfAborted(options);
+        pixels.data.set(frame.data);
+        sourceCtx.putImageData(pixels, 0, 0);
+        const canvas = renderTransformed({ image: source, width: gif.width, height: gif.height, orientation: 1 }, options, null);
+
+        if (targetType === 'image/gif') {
+            const ctx = canvas.getContext('2d');
+            frames.push({ data: ctx.getImageData(0, 0, canvas.width, canvas.height).data, delay: frame.delay, width: canvas.width, height: canvas.height });
+        } else {
+            const blob = await canvasToBlob(canvas, 'image/webp', encodeQuality(options));
+            if (blob.type !== 'image/webp') {
+                throw new ConversionError('This browser cannot encode WebP', { stage: 'encode' });
+            }
+            frames.push({ bytes: new Uint8Array(await blob.arrayBuffer()), delay: frame.delay, width: canvas.width, height: canvas.height });
+        }
+        reportProgress(options, 'encode', index + 1, gif.frames.length, 'frames');
+    }
+
+    const { width, height } = frames[0];
+    const bytes = targetType === 'image/gif'
+        ? encodeGif(frames, width, height, { loop: gif.loop })
+        : muxAnimatedWebp(frames, width, height, { loop: gif.loop === null ? 1 : gif.loop });
+    return new Blob([bytes], { type: targetType });
+}
 
+// Canvas encoders only reliably cover PNG, JPEG and WebP; BMP, GIF and TIFF are encoded here
+function encodeCanvas(canvas, type, options) {
+    if (type === 'image/bmp' || type === 'image/gif' || type === 'image/tiff') {
+        const pixels = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const bytes = type === 'image/bmp' ? encodeBmp(pixels) :
+            type === 'image/gif' ? encodeGif([{ data: pixels.data }], canvas.width, canvas.height) :
+            encodeTiff([pixels]);
+        return new Blob([bytes], { type });
+    }
+    return canvasToBlob(canvas, type, encodeQuality(options));
+}
+
+const LOSSY_TYPES = ['image/jpeg', 'image/webp'];
+const MIN_TARGET_QUALITY = 0.4; // Below this, shrinking the image looks better than more compression
+const MIN_TARGET_DIMENSION = 16;
+
+// Highest quality that fits the byte budget; once even MIN_TARGET_QUALITY is too big,
+// the image is scaled down by the overshoot and the search starts again
+async function encodeToTargetSize(canvas, targetType, maxBytes, options) {
+    let current = canvas;
+    let attempts = 0;
+    for (;;) {
+        let low = MIN_TARGET_QUALITY;
+        let high = encodeQuality(options);
+        let best = null;
+
+        const floor = await canvasToBlob(current, targetType, low);
+        reportProgress(options, 'encode', ++attempts, attempts + 1, 'attempts');
+        if (floor.size <= maxBytes) {
+            best = floor;
+            // Seven halvings narrow the quality down to under 1%
+            for (let i = 0; i < 7 && high - low > 0.01; i++) {
+                throwIfAborted(options);
+                const quality = (low + high) / 2;
+                const blob = await canvasToBlob(current, targetType, quality);
+                reportProgress(options, 'encode', ++attempts, attempts + 1, 'attempts');
+                if (blob.size <= maxBytes) {
+                    best = blob;
+                    low = quality;
+                } else {
+                    high = quality;
+                }
+            }
+            const top = await canvasToBlob(current, targetType, high);
+            return top.size <= maxBytes ? top : best;
+        }
+
+        throwIfAborted(options);
+        const scale = Math.sqrt(maxBytes / floor.size) * 0.95;
+        const width = Math.round(current.width * scale);
+        const height = Math.round(current.height * scale);
+        if (Math.min(width, height) < MIN_TARGET_DIMENSION) {
+            throw new ConversionError(`Could not get the image under ${Math.round(maxBytes / 1024)} KB`, { stage: 'encode' });
+        }
+        const smaller = createCanvas(width, height);
+        const ctx = smaller.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(current, 0, 0, width, height);
+        current = smaller;
+    }
+}
+
+/**
+ * Lists the pages of an image as loaders, so multi-page sources are decoded one page at a time.
+ * @returns {Promise<Array<() => Promise<{image: CanvasImageSource, width: number, height: number, orientation: number}>>>}
+ */
+async function loadImagePages(file, family, options) {
+    if (family === 'tiff') {
+        const buffer = await readFileBytes(file, options);
+        const ifds = readTiffPages(buffer);
+        return ifds.map((ifd, index) => async () => {
+            const page = decodeTiffPage(buffer, ifd);
+            reportProgress(options, 'decode', index + 1, ifds.length, 'pages');
+            return page;
+        });
+    }
+    if (family === 'svg') {
+        // Drawn at the size asked for, not scaled up afterwards
+        const { svg } = sizeSvg(new TextDecoder().decode(await readFileBytes(file, options)), options);
+        return [() => decodeOrientedImage(new File([svg], file.name, { type: 'image/svg+xml' }), options)];
+    }
+    if (family === 'heic') {
+        reportProgress(options, 'decode', 0, 1, 'images');
+        const images = await decodeHeic(file, 'image/png');
+        return images.map(image => () => decodeOrientedImage(image, options));
+    }
+    return [() => decodeOrientedImage(file, options)];
+}
+
+function renderTransformed(source, options, background) {
+    const plan = planTransform(source.width, source.height, options, source.orientation);
+    const canvas = createCanvas(plan.width, plan.height);
     const ctx = canvas.getContext('2d');
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, plan.width, plan.height);
+    }
+    drawTransformed(ctx, source.image, plan);
+    return canvas;
+}
 
-    // Handle transparency for non-transparent targets (JPEG, BMP)
-    if (targetType === 'image/jpeg' || targetType === 'image/bmp') {
-        ctx.fillStyle = '#FFFFFF'; // White background
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+// Page to image: a page exactly the size of the picture. Starts a document when `pdf` is null.
+async function addPdfImagePage(pdf, canvas, lossless, options) {
+    const image = await encodePdfImage(canvas, lossless, options);
+    const { width, height } = canvas;
+    const orientation = width > height ? 'l' : 'p';
+
+    if (pdf) {
+        pdf.addPage([width, height], orientation);
+    } else {
+        pdf = new jsPDF({ orientation, unit: 'px', format: [width, height] });
     }
+    pdf.addImage(image.data, image.format, 0, 0, width, height, undefined, 'FAST');
+    return pdf;
+}
+
+// Screenshots, scans saved as PNG and other lossless sources keep their sharpness and
+// transparency in a PDF; photos are embedded as JPEG to keep the document small
+function isLosslessSource(file) {
+    return ['image/png', 'image/gif', 'image/bmp', 'image/tiff', 'image/svg+xml'].includes(file.type) ||
+        /\.(png|gif|bmp|tiff?|svg)$/i.test(file.name);
+}
+
+async function encodePdfImage(canvas, lossless, options) {
+    const type = lossless ? 'image/png' : 'image/jpeg';
+    const blob = await canvasToBlob(canvas, type, encodeQuality(options));
+    return { data: new Uint8Array(await blob.arrayBuffer()), format: lossless ? 'PNG' : 'JPEG' };
+}
+
+const PX_TO_MM = 25.4 / 96;
+
+/**
+ * Combines images into one PDF with a page per image, in the given order.
+ * @param {Array<{file: File, options?: Object}>} items images, each with its own adjustments
+ * @param {Object} [options]
+ * @param {'a4' | 'letter' | 'fit'} [options.pageSize] 'fit' makes every page the size of its image
+ * @param {'auto' | 'portrait' | 'landscape'} [options.orientation] 'auto' follows each image
+ * @param {number} [options.margin] in mm
+ * @param {(progress: {stage: string, done: number, total: number, unit: string}) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Blob>}
+ * @throws {UnsupportedConversionError} when an item is not an image
+ * @throws {ConversionError} naming the image that failed
+ */
+export async function mergeImagesToPdf(items, options = {}) {
+    let pdf = null;
+    for (const [index, item] of items.entries()) {
+        throwIfAborted(options);
+        if (findConverter(item.file)?.category !== 'image') {
+            throw new UnsupportedConversionError(item.file, 'application/pdf');
+        }
+        const family = imageFamily(item.file);
 
-    ctx.drawImage(img, 0, 0);
+        try {
+            // Multi-page TIFF/HEIC sources contribute every page
+            const itemOptions = { ...item.options, signal: options.signal };
+            const lossless = isLosslessSource(item.file);
+            for (const loadPage of await loadImagePages(item.file, family, itemOptions)) {
+                throwIfAborted(options);
+                const canvas = renderTransformed(await loadPage(), itemOptions, lossless ? null : '#FFFFFF');
+                const image = await encodePdfImage(canvas, lossless, itemOptions);
 
-    return new Promise((resolve, reject) => {
-        canvas.toBlob((blob) => {
-            if (blob) {
-                resolve(blob);
-            } else {
-                reject(new Error('Canvas toBlob failed'));
+                const page = layoutPdfPage(canvas.width, canvas.height, options);
+                const orientation = page.width > page.height ? 'l' : 'p';
+                if (!pdf) {
+                    pdf = new jsPDF({ unit: 'mm', format: [page.width, page.height], orientation });
+                } else {
+                    pdf.addPage([page.width, page.height], orientation);
+                }
+                pdf.addImage(image.data, image.format, page.x, page.y, page.imageWidth, page.imageHeight, undefined, 'FAST');
             }
-        }, targetType, 0.9); // 0.9 quality
-    });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            const stage = error.stage || 'decode';
+            throw new ConversionError(`${item.file.name}: ${error.message || STAGE_MESSAGES[stage]}`, { stage, cause: error.cause || error });
+        }
+        reportProgress(options, 'render', index + 1, items.length, 'images');
+    }
+
+    if (!pdf) {
+        throw new ConversionError('No images to merge', { stage: 'read' });
+    }
+    return pdf.output('blob');
+}
+
+// Page size and image placement in mm: the image is fitted inside the margins and centered
+function layoutPdfPage(width, height, { pageSize = 'a4', orientation = 'auto', margin = 10 } = {}) {
+    const m = Math.max(Number(margin) || 0, 0);
+    if (pageSize === 'fit') {
+        const imageWidth = width * PX_TO_MM;
+        const imageHeight = height * PX_TO_MM;
+        return { width: imageWidth + 2 * m, height: imageHeight + 2 * m, x: m, y: m, imageWidth, imageHeight };
+    }
+
+    let [pageWidth, pageHeight] = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+    if (orientation === 'landscape' || (orientation === 'auto' && width > height)) {
+        [pageWidth, pageHeight] = [pageHeight, pageWidth];
+    }
+    const scale = Math.min(Math.max(pageWidth - 2 * m, 1) / width, Math.max(pageHeight - 2 * m, 1) / height);
+    const imageWidth = width * scale;
+    const imageHeight = height * scale;
+    return {
+        width: pageWidth,
+        height: pageHeight,
+        x: (pageWidth - imageWidth) / 2,
+        y: (pageHeight - imageHeight) / 2,
+        imageWidth,
+        imageHeight
+    };
+}
+
+function readTiffPages(buffer) {
+    // Reduced-resolution copies (thumbnails) are flagged in NewSubfileType and aren't pages
+    const ifds = UTIF.decode(buffer).filter(ifd => !(ifd.t254 && ifd.t254[0] & 1));
+    if (ifds.length === 0) {
+        throw new ConversionError("Invalid TIFF file", { stage: 'decode' });
+    }
+    return ifds;
+}
+
+function decodeTiffPage(buffer, ifd) {
+    UTIF.decodeImage(buffer, ifd);
+    const rgba = UTIF.toRGBA8(ifd);
+    const { width, height } = ifd;
+    ifd.data = null; // The canvas holds the pixels now
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const imgData = ctx.createImageData(width, height);
+    imgData.data.set(rgba);
+    ctx.putImageData(imgData, 0, 0);
+
+    const orientation = ifd.t274 ? ifd.t274[0] : 1;
+    return { image: canvas, width, height, orientation };
+}
+
+// Every image in the file: bursts and collections hold several. libheif has already applied
+// the HEIF rotation/mirror properties.
+async function decodeHeic(file, toType) {
+    const blobs = await getPlatform().decodeHeic(file, toType);
+    const baseName = file.name.replace(/\.[^/.]+$/, '');
+    const ext = toType.split('/')[1];
+    return blobs.map((blob, index) =>
+        new File([blob], blobs.length > 1 ? `${baseName}_${index + 1}.${ext}` : `${baseName}.${ext}`, { type: toType })
+    );
+}
+
+// Browsers disagree on whether EXIF orientation is applied when drawing to a canvas, so the
+// tag is reset before decoding and applied by planTransform instead
+async function decodeOrientedImage(file, options) {
+    let orientation = 1;
+    let input = file;
+    if (file.type === 'image/jpeg' || /\.jpe?g$/i.test(file.name)) {
+        const bytes = new Uint8Array(await readFileBytes(file, options));
+        const tag = readExifOrientation(bytes);
+        if (tag && tag.value !== 1) {
+            orientation = tag.value;
+            input = new File([clearExifOrientation(bytes, tag)], file.name, { type: 'image/jpeg' });
+        }
+    }
+    const image = await decodeImage(input, options);
+    return { image, width: image.naturalWidth || image.width, height: image.naturalHeight || image.height, orientation };
 }
 
 // Helpers
-function readFileAsDataURL(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = reject;
-        reader.readAsDataURL(file);
-    });
+
+/**
+ * Short display name for a format, e.g. "PDF" or "XLSX".
+ * @param {string} mimeType
+ * @returns {string}
+ */
+export function describeMimeType(mimeType) {
+    const labels = {
+        'image/jpeg': 'JPEG',
+        'image/webp': 'WebP',
+        'image/svg+xml': 'SVG',
+        'application/pdf': 'PDF',
+        'text/plain': 'TXT',
+        'text/markdown': 'Markdown',
+        [DOCX_MIME]: 'DOCX',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'XLSX',
+        'application/vnd.oasis.opendocument.spreadsheet': 'ODS',
+        'application/vnd.ms-excel': 'XLS'
+    };
+    return labels[mimeType] || (mimeType.split('/')[1] || mimeType).toUpperCase();
 }
 
-function loadImage(src) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.onload = () => resolve(img);
-        img.onerror = reject;
-        img.src = src;
+function reportProgress(options, stage, done, total, unit) {
+    if (options && options.onProgress) {
+        options.onProgress({ stage, done, total, unit });
+    }
+}
+
+function throwIfAborted(options) {
+    if (options && options.signal) {
+        options.signal.throwIfAborted();
+    }
+}
+
+// file.arrayBuffer() without progress; streaming lets us report bytes read and stop early
+async function readFileBytes(file, options = {}) {
+    if (!file.stream) {
+        return file.arrayBuffer();
+    }
+
+    const bytes = new Uint8Array(file.size);
+    const reader = file.stream().getReader();
+    let offset = 0;
+    try {
+        for (;;) {
+            throwIfAborted(options);
+            const { done, value } = await reader.read();
+            if (done) break;
+            bytes.set(value, offset);
+            offset += value.length;
+            reportProgress(options, 'read', offset, file.size, 'bytes');
+        }
+    } finally {
+        reader.releaseLock();
+    }
+    return bytes.buffer;
+}
+
+// The page setup for documents written as PDF; the file name becomes the document title
+function pdfPageOptions(file, options) {
+    const { pageSize, orientation, margin, header, pageNumbers } = options;
+    return { pageSize, orientation, margin, header, pageNumbers, title: file.name.replace(/\.[^/.]+$/, '') };
+}
+
+function safeFileName(name) {
+    return name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'untitled';
+}
+
+function createCanvas(width, height) {
+    return getPlatform().createCanvas(width, height);
+}
+
+// options.quality is a 1-100 percentage from the UI
+function encodeQuality(options) {
+    const quality = Number(options && options.quality);
+    return quality > 0 ? Math.min(quality, 100) / 100 : 0.9;
+}
+
+function canvasToBlob(canvas, type, quality = 0.9) {
+    return getPlatform().canvasToBlob(canvas, type, quality);
+}
+
+/**
+ * Parses a page range such as "1-3, 5, 8-" into sorted, unique 1-based page numbers.
+ * An empty range selects every page.
+ * @param {string} range
+ * @param {number} numPages
+ * @returns {number[]}
+ * @throws {ConversionError} when the range is malformed or selects nothing
+ */
+export function parsePageRange(range, numPages) {
+    if (!range || !range.trim()) {
+        return Array.from({ length: numPages }, (_, i) => i + 1);
+    }
+
+    const pages = new Set();
+    range.split(',').forEach(part => {
+        const match = part.trim().match(/^(\d*)\s*(-?)\s*(\d*)$/);
+        if (!match || (!match[1] && !match[3])) {
+            throw new ConversionError(`Invalid page range "${part.trim()}"`, { stage: 'read' });
+        }
+        const start = match[1] ? parseInt(match[1], 10) : 1;
+        const end = match[2] ? (match[3] ? parseInt(match[3], 10) : numPages) : start;
+        for (let p = Math.max(start, 1); p <= Math.min(end, numPages); p++) {
+            pages.add(p);
+        }
     });
+
+    if (pages.size === 0) {
+        throw new ConversionError(`Page range "${range}" selects no pages (document has ${numPages})`, { stage: 'read' });
+    }
+    return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * What a file records about itself: the EXIF, GPS, ICC profile and XMP of images, the info
+ * dictionary of PDFs and the core properties of DOCX files.
+ * @param {File} file
+ * @returns {Promise<import('./metadata.js').MetadataSection[]>} empty when there is none
+ */
+export async function readFileMetadata(file) {
+    const converter = findConverter(file);
+    if (converter?.id === 'pdf') {
+        const pdf = await loadPdfDocument(file);
+        try {
+            const { info, metadata } = await pdf.getMetadata();
+            return describePdfInfo(info || {}, !!metadata);
+        } finally {
+            pdf.destroy();
+        }
+    }
+    const bytes = new Uint8Array(await readFileBytes(file));
+    if (converter?.id === 'docx') return describeDocxProperties(readDocxProperties(bytes));
+    if (converter?.category === 'image') return describeImageMetadata(extractImageMetadata(bytes));
+    return [];
+}
+
+/**
+ * Opens a PDF with pdf.js, e.g. to render pages.
+ * @param {File} file
+ * @param {Object} [options] onProgress/signal while reading
+ * @returns {Promise<import('pdfjs-dist').PDFDocumentProxy>}
+ */
+export async function loadPdfDocument(file, options) {
+    const data = new Uint8Array(await readFileBytes(file, options));
+    return getPlatform().pdfjs.getDocument({ data }).promise;
+}
+
+// Returns something drawImage accepts, with width/height
+function decodeImage(file, options) {
+    return getPlatform().decodeImage(file, (stage, done, total, unit) => reportProgress(options, stage, done, total, unit));
 }
@@ -0,0 +1,472 @@
+// Minimal DOCX (WordprocessingML) writer. mammoth can only read DOCX, so HTML and plain
+// text are turned into document.xml here and zipped together with styles and numbering.
+import { zipSync, strToU8 } from 'fflate';
+import { getPlatform } from './platform.js';
+
+export const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const NS = {
+    w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+    r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+    wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+    a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+    pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture',
+    rels: 'http://schemas.openxmlformats.org/package/2006/relationships'
+};
+
+const REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const EMU_PER_PX = 9525;
+const MAX_IMAGE_WIDTH_PX = 600; // Fits the A4 text column with 1" margins
+
+const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION',
+    'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN',
+    'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD', 'TR', 'UL'
+]);
+const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'HEAD', 'TITLE', 'META', 'LINK', 'NOSCRIPT', 'TEMPLATE']);
+
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpeg',
+    'image/gif': 'gif',
+    'image/bmp': 'bmp'
+};
+
+/**
+ * Builds a DOCX from plain text, one paragraph per line.
+ * @param {string} text
+ * @returns {Blob}
+ */
+export function textToDocx(text) {
+    const writer = new DocxWriter();
+    const body = text.replace(/\r\n?/g, '\n').split('\n')
+        .map(line => writer.paragraph([{ text: line }], { preserve: true }));
+    return writer.build(body);
+}
+
+/**
+ * Builds a DOCX from an HTML string. Headings, paragraphs, inline formatting, lists,
+ * tables, links and images are mapped to their WordprocessingML equivalents. Only data: and
+ * blob: images are embedded; remote images become links, so nothing is downloaded.
+ * @param {string} html
+ * @returns {Promise<Blob>}
+ */
+export async function htmlToDocx(html) {
+    const doc = getPlatform().parseHtml(html);
+    const writer = new DocxWriter();
+    await writer.loadImages(Array.from(doc.querySelectorAll('img')));
+    return writer.build(writer.blocks(doc.body, {}));
+}
+
+class DocxWriter {
+    constructor() {
+        this.relationships = [];
+        this.media = {};
+        this.lists = []; // abstractNum id per num instance
+        this.images = new Map(); // <img> element -> { rId, width, height }
+        this.drawingId = 0;
+    }
+
+    addRelationship(type, target, external = false) {
+        const id = `rId${this.relationships.length + 10}`; // rId1-9 reserved for fixed parts
+        this.relationships.push({ id, type, target, external });
+        return id;
+    }
+
+    async loadImages(elements) {
+        for (const img of elements) {
+            try {
+                const image = await fetchImage(img.getAttribute('src'));
+                if (!image) continue;
+
+                const name = `image${Object.keys(this.media).length + 1}.${image.ext}`;
+                this.media[`word/media/${name}`] = image.bytes;
+                const rId = this.addRelationship('image', `media/${name}`);
+
+                let width = parseInt(img.getAttribute('width'), 10) || image.width;
+                let height = parseInt(img.getAttribute('height'), 10) || Math.round(width * image.height / image.width);
+                if (width > MAX_IMAGE_WIDTH_PX) {
+                    height = Math.round(height * MAX_IMAGE_WIDTH_PX / width);
+                    width = MAX_IMAGE_WIDTH_PX;
+                }
+                this.images.set(img, { rId, width, height });
+            } catch {
+                // An image that can't be read is written as its alt text, as a remote one is
+            }
+        }
+    }
+
+    // Walks block content. Inline nodes between blocks are gathered into paragraphs.
+    blocks(node, ctx) {
+        const out = [];
+        let runs = [];
+        const flush = () => {
+            if (runs.some(run => run.br || run.image || (run.text && run.text.trim()) || (ctx.pre && run.text))) {
+                out.push(this.paragraph(runs, ctx));
+            }
+            runs = [];
+        };
+
+        node.childNodes.forEach(child => {
+            if (child.nodeType === 1 && BLOCK_TAGS.has(child.tagName)) {
+                flush();
+                out.push(...this.block(child, ctx));
+            } else {
+                runs.push(...this.inline(child, {}, ctx));
+            }
+        });
+        flush();
+        return out;
+    }
+
+    block(el, ctx) {
+        const tag = el.tagName;
+
+        if (/^H[1-6]$/.test(tag)) {
+            return this.blocks(el, { ...ctx, style: `Heading${tag[1]}` });
+        }
+        if (tag === 'UL' || tag === 'OL') {
+            const numId = this.lists.push(tag === 'OL' ? 1 : 0);
+            const ilvl = ctx.list ? Math.min(ctx.list.ilvl + 1, 8) : 0;
+            return Array.from(el.children).flatMap(item =>
+                this.blocks(item, { ...ctx, list: { numId, ilvl, used: false } })
+            );
+        }
+        if (tag === 'TABLE') {
+            return [this.table(el, ctx)];
+        }
+        if (tag === 'BLOCKQUOTE') {
+            return this.blocks(el, { ...ctx, style: 'Quote' });
+        }
+        if (tag === 'PRE') {
+            return this.blocks(el, { ...ctx, pre: true });
+        }
+        if (tag === 'HR') {
+            return [`<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr></w:pPr></w:p>`];
+        }
+        if (tag === 'DD') {
+            return this.blocks(el, { ...ctx, indent: (ctx.indent || 0) + 720 });
+        }
+        if (tag === 'DT') {
+            return this.blocks(el, { ...ctx, bold: true });
+        }
+        return this.blocks(el, ctx);
+    }
+
+    inline(node, fmt, ctx) {
+        if (node.nodeType === 3) {
+            const text = ctx.pre ? node.nodeValue : node.nodeValue.replace(/\s+/g, ' ');
+            if (!ctx.pre) return [{ ...fmt, text }];
+            // Keep line breaks inside <pre>
+            return text.replace(/\n$/, '').split('\n').flatMap((line, i) =>
+                i === 0 ? [{ ...fmt, text: line }] : [{ br: true }, { ...fmt, text: line }]
+            );
+        }
+        if (node.nodeType !== 1 || SKIP_TAGS.has(node.tagName)) return [];
+
+        const tag = node.tagName;
+        if (tag === 'BR') return [{ br: true }];
+        if (tag === 'IMG') {
+            const image = this.images.get(node);
+            const alt = node.getAttribute('alt') || '';
+            if (image) return [{ ...fmt, image: { ...image, alt } }];
+            const src = (node.getAttribute('src') || '').trim();
+            if (/^https?:/i.test(src)) {
+                const link = fmt.link || this.addRelationship('hyperlink', src, true);
+                return [{ ...fmt, link, text: alt || src }];
+            }
+            return alt ? [{ ...fmt, text: alt }] : [];
+        }
+
+        const next = { ...fmt };
+        if (tag === 'B' || tag === 'STRONG') next.bold = true;
+        if (tag === 'I' || tag === 'EM' || tag === 'CITE' || tag === 'VAR') next.italic = true;
+        if (tag === 'U' || tag === 'INS') next.underline = true;
+        if (tag === 'S' || tag === 'STRIKE' || tag === 'DEL') next.strike = true;
+        if (tag === 'CODE' || tag === 'KBD' || tag === 'SAMP' || tag === 'TT') next.mono = true;
+        if (tag === 'SUP') next.vert = 'superscript';
+        if (tag === 'SUB') next.vert = 'subscript';
+        if (tag === 'A') {
+            const href = node.getAttribute('href');
+            if (href && /^(https?:|mailto:)/i.test(href)) {
+                next.link = this.addRelationship('hyperlink', href, true);
+            }
+        }
+
+        const style = node.getAttribute('style') || '';
+        if (/font-weight\s*:\s*(bold|[6-9]00)/i.test(style)) next.bold = true;
+        if (/font-style\s*:\s*italic/i.test(style)) next.italic = true;
+        if (/text-decoration[^;]*underline/i.test(style)) next.underline = true;
+
+        return Array.from(node.childNodes).flatMap(child => this.inline(child, next, ctx));
+    }
+
+    paragraph(runs, ctx) {
+        const props = [];
+        if (ctx.style) props.push(`<w:pStyle w:val="${ctx.style}"/>`);
+        if (ctx.list) {
+            if (!ctx.list.used) {
+                props.push(`<w:numPr><w:ilvl w:val="${ctx.list.ilvl}"/><w:numId w:val="${ctx.list.numId}"/></w:numPr>`);
+                ctx.list.used = true;
+            } else {
+                // Later paragraphs of the same list item line up with its text
+                props.push(`<w:ind w:left="${720 * (ctx.list.ilvl + 1)}"/>`);
+            }
+        } else if (ctx.indent) {
+            props.push(`<w:ind w:left="${ctx.indent}"/>`);
+        }
+        if (ctx.pre || ctx.cell || ctx.preserve) props.push('<w:spacing w:after="0"/>');
+
+        const base = { bold: ctx.bold, mono: ctx.pre };
+        const trimmed = ctx.pre || ctx.preserve ? runs : trimRuns(runs);
+
+        let xml = '';
+        let link = null;
+        let linkXml = '';
+        trimmed.forEach(run => {
+            const merged = { ...base, ...run };
+            if (merged.link !== link) {
+                if (link) xml += `<w:hyperlink r:id="${link}">${linkXml}</w:hyperlink>`;
+                link = merged.link || null;
+                linkXml = '';
+            }
+            const runXml = this.run(merged);
+            if (link) linkXml += runXml;
+            else xml += runXml;
+        });
+        if (link) xml += `<w:hyperlink r:id="${link}">${linkXml}</w:hyperlink>`;
+
+        return `<w:p>${props.length ? `<w:pPr>${props.join('')}</w:pPr>` : ''}${xml}</w:p>`;
+    }
+
+    run(run) {
+        if (run.br) return '<w:r><w:br/></w:r>';
+
+        const props = [];
+        if (run.link) props.push('<w:rStyle w:val="Hyperlink"/>');
+        if (run.mono) props.push('<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>');
+        if (run.bold) props.push('<w:b/>');
+        if (run.italic) props.push('<w:i/>');
+        if (run.strike) props.push('<w:strike/>');
+        if (run.underline) props.push('<w:u w:val="single"/>');
+        if (run.vert) props.push(`<w:vertAlign w:val="${run.vert}"/>`);
+        const rPr = props.length ? `<w:rPr>${props.join('')}</w:rPr>` : '';
+
+        if (run.image) {
+            return `<w:r>${rPr}${this.drawing(run.image)}</w:r>`;
+        }
+        if (!run.text) return '';
+        return `<w:r>${rPr}<w:t xml:space="preserve">${escapeXml(run.text)}</w:t></w:r>`;
+    }
+
+    drawing({ rId, width, height, alt }) {
+        const id = ++this.drawingId;
+        const cx = width * EMU_PER_PX;
+        const cy = height * EMU_PER_PX;
+        return `<w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">` +
+            `<wp:extent cx="${cx}" cy="${cy}"/>` +
+            `<wp:docPr id="${id}" name="Picture ${id}" descr="${escapeXml(alt)}"/>` +
+            `<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>` +
+            `<a:graphic><a:graphicData uri="${NS.pic}"><pic:pic>` +
+            `<pic:nvPicPr><pic:cNvPr id="${id}" name="Picture ${id}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+            `<pic:blipFill><a:blip r:embed="${rId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+            `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>` +
+            `<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+            `</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing>`;
+    }
+
+    table(el, ctx) {
+        const rows = tableRows(el);
+        const columns = Math.max(1, ...rows.map(row =>
+            tableCells(row).reduce((sum, cell) => sum + colSpan(cell), 0)
+        ));
+        const cellCtx = { style: ctx.style, cell: true };
+
+        const rowsXml = rows.map(row => {
+            const isHeader = row.parentElement.tagName === 'THEAD' ||
+                tableCells(row).every(cell => cell.tagName === 'TH');
+            const cells = tableCells(row).map(cell => {
+                const span = colSpan(cell) > 1 ? `<w:gridSpan w:val="${colSpan(cell)}"/>` : '';
+                const content = this.blocks(cell, { ...cellCtx, bold: cell.tagName === 'TH' });
+                // Every cell needs at least one paragraph
+                return `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/>${span}</w:tcPr>${content.join('') || '<w:p/>'}</w:tc>`;
+            }).join('');
+            return `<w:tr>${isHeader ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells}</w:tr>`;
+        }).join('');
+
+        const grid = '<w:gridCol/>'.repeat(columns);
+        return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>` +
+            `<w:tblGrid>${grid}</w:tblGrid>${rowsXml}</w:tbl><w:p/>`;
+    }
+
+    build(body) {
+        const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${NS.w}" xmlns:r="${NS.r}" xmlns:wp="${NS.wp}" xmlns:a="${NS.a}" xmlns:pic="${NS.pic}">
+<w:body>${body.join('')}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`;
+
+        const rels = [
+            { id: 'rId1', type: 'styles', target: 'styles.xml' },
+            { id: 'rId2', type: 'numbering', target: 'numbering.xml' },
+            ...this.relationships
+        ].map(rel =>
+            `<Relationship Id="${rel.id}" Type="${REL_TYPE}/${rel.type}" Target="${escapeXml(rel.target)}"${rel.external ? ' TargetMode="External"' : ''}/>`
+        ).join('');
+
+        const files = {
+            '[Content_Types].xml': strToU8(contentTypesXml()),
+            '_rels/.rels': strToU8(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${NS.rels}"><Relationship Id="rId1" Type="${REL_TYPE}/officeDocument" Target="word/document.xml"/></Relationships>`),
+            'word/document.xml': strToU8(documentXml),
+            'word/_rels/document.xml.rels': strToU8(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${NS.rels}">${rels}</Relationships>`),
+            'word/styles.xml': strToU8(stylesXml()),
+            'word/numbering.xml': strToU8(numberingXml(this.lists)),
+            ...this.media
+        };
+
+        return new Blob([zipSync(files)], { type: DOCX_MIME });
+    }
+}
+
+// Rows of this table only, not of tables nested in its cells
+function tableRows(table) {
+    return Array.from(table.children).flatMap(child =>
+        child.tagName === 'TR' ? [child] : Array.from(child.children).filter(row => row.tagName === 'TR')
+    );
+}
+
+function tableCells(row) {
+    return Array.from(row.children).filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH');
+}
+
+function colSpan(cell) {
+    return parseInt(cell.getAttribute('colspan'), 10) || 1;
+}
+
+// Drop whitespace at the edges of a paragraph left over from HTML source formatting
+function trimRuns(runs) {
+    const result = runs.map(run => ({ ...run }));
+    const textRuns = result.filter(run => typeof run.text === 'string');
+    if (textRuns.length) {
+        textRuns[0].text = textRuns[0].text.replace(/^\s+/, '');
+        textRuns[textRuns.length - 1].text = textRuns[textRuns.length - 1].text.replace(/\s+$/, '');
+    }
+    return result;
+}
+
+// Only images carried in the document itself are embedded. Remote ones are never requested, so
+// converting stays offline; they are written as links instead (see inline).
+async function fetchImage(src) {
+    if (!src || !isEmbeddedImage(src)) return null;
+
+    const response = await fetch(src);
+    let blob = await response.blob();
+    const platform = getPlatform();
+    const image = await platform.decodeImage(blob);
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+
+    // Word only renders a handful of raster formats; anything else is re-encoded as PNG
+    if (!IMAGE_EXTENSIONS[blob.type]) {
+        const canvas = platform.createCanvas(width, height);
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        blob = await platform.canvasToBlob(canvas, 'image/png');
+    }
+    if (image.close) image.close();
+
+    return {
+        bytes: new Uint8Array(await blob.arrayBuffer()),
+        ext: IMAGE_EXTENSIONS[blob.type] || 'png',
+        width,
+        height
+    };
+}
+
+function isEmbeddedImage(src) {
+    return /^(data|blob):/i.test(src.trim());
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '') // Not allowed in XML 1.0
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function contentTypesXml() {
+    const images = Object.values(IMAGE_EXTENSIONS).map(ext =>
+        `<Default Extension="${ext}" ContentType="image/${ext}"/>`
+    ).join('');
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+${images}
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+</Types>`;
+}
+
+function stylesXml() {
+    const headingSizes = [32, 26, 24, 22, 22, 22]; // half-points
+    const headings = headingSizes.map((size, i) => `
+<w:style w:type="paragraph" w:styleId="Heading${i + 1}">
+<w:name w:val="heading ${i + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="${i}"/></w:pPr>
+<w:rPr><w:b/>${i >= 4 ? '<w:i/>' : ''}<w:sz w:val="${size}"/></w:rPr>
+</w:style>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${NS.w}">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="259" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>${headings}
+<w:style w:type="paragraph" w:styleId="Quote">
+<w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/>
+<w:pPr><w:ind w:left="720" w:right="720"/></w:pPr><w:rPr><w:i/><w:color w:val="404040"/></w:rPr>
+</w:style>
+<w:style w:type="character" w:styleId="Hyperlink">
+<w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr>
+</w:style>
+<w:style w:type="table" w:styleId="TableGrid">
+<w:name w:val="Table Grid"/>
+<w:tblPr><w:tblBorders>
+<w:top w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:left w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+<w:bottom w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:right w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+<w:insideH w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+</w:tblBorders><w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr>
+</w:style>
+</w:styles>`;
+}
+
+// Abstract list 0 is bulleted, 1 is numbered. Every <ul>/<ol> gets its own num instance
+// so numbering restarts at 1 for each list.
+function numberingXml(lists) {
+    const bullets = ['•', '◦', '▪'];
+    const formats = ['decimal', 'lowerLetter', 'lowerRoman'];
+    const levels = ordered => Array.from({ length: 9 }, (_, ilvl) => {
+        const fmt = ordered ? formats[ilvl % 3] : 'bullet';
+        const text = ordered ? `%${ilvl + 1}.` : bullets[ilvl % 3];
+        return `<w:lvl w:ilvl="${ilvl}"><w:start w:val="1"/><w:numFmt w:val="${fmt}"/><w:lvlText w:val="${text}"/>` +
+            `<w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (ilvl + 1)}" w:hanging="360"/></w:pPr></w:lvl>`;
+    }).join('');
+
+    const nums = lists.map((abstractId, i) =>
+        `<w:num w:numId="${i + 1}"><w:abstractNumId w:val="${abstractId}"/>` +
+        `<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>`
+    ).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${NS.w}">
+<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels(false)}</w:abstractNum>
+<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels(true)}</w:abstractNum>
+${nums}
+</w:numbering>`;
+}
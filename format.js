@@ -0,0 +1,26 @@
+// Text helpers shared by the converters and the page.
+
+/**
+ * Escapes text for use in HTML content and double-quoted attributes.
+ * @param {*} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * A byte count as "12.3 KB" or "4.5 MB".
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    }
+    return (bytes / 1024).toFixed(1) + ' KB';
+}
@@ -0,0 +1,567 @@
+// GIF decoding (all frames, composited the way browsers play them) and encoding (median-cut
+// palette, Floyd–Steinberg dithering, LZW). Canvas can't do either: toBlob('image/gif') is
+// unsupported almost everywhere and drawing a GIF only ever gives the first frame.
+
+const MIN_DELAY = 20; // Browsers play delays below 20ms at 100ms
+const DEFAULT_DELAY = 100;
+
+/**
+ * Decodes every frame of a GIF.
+ * @param {Uint8Array} bytes
+ * @returns {{width: number, height: number, loop: number | null, frames: Array<{data: Uint8ClampedArray, delay: number}>}}
+ *          frames are full-size RGBA snapshots; loop is the NETSCAPE repeat count (0 = forever), null when absent
+ */
+export function decodeGif(bytes) {
+    const signature = String.fromCharCode(...bytes.subarray(0, 6));
+    if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+        throw new Error('Not a GIF file');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const width = view.getUint16(6, true);
+    const height = view.getUint16(8, true);
+    const packed = bytes[10];
+    let pos = 13;
+
+    let globalPalette = null;
+    if (packed & 0x80) {
+        const size = 3 << ((packed & 7) + 1);
+        globalPalette = bytes.subarray(pos, pos + size);
+        pos += size;
+    }
+
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+    let loop = null;
+    let control = { disposal: 0, delay: 0, transparent: -1 };
+
+    const readSubBlocks = () => {
+        const chunks = [];
+        let length = 0;
+        while (pos < bytes.length && bytes[pos] !== 0) {
+            const size = bytes[pos];
+            chunks.push(bytes.subarray(pos + 1, pos + 1 + size));
+            length += size;
+            pos += size + 1;
+        }
+        pos++; // Block terminator
+        const data = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return data;
+    };
+
+    while (pos < bytes.length) {
+        const block = bytes[pos++];
+
+        if (block === 0x3B) break; // Trailer
+
+        if (block === 0x21) {
+            const label = bytes[pos++];
+            const data = readSubBlocks();
+            if (label === 0xF9 && data.length >= 4) {
+                control = {
+                    disposal: (data[0] >> 2) & 7,
+                    delay: (data[1] | (data[2] << 8)) * 10,
+                    transparent: data[0] & 1 ? data[3] : -1
+                };
+            } else if (label === 0xFF && data.length >= 14 &&
+                String.fromCharCode(...data.subarray(0, 11)) === 'NETSCAPE2.0' && data[11] === 1) {
+                loop = data[12] | (data[13] << 8);
+            }
+            continue;
+        }
+
+        if (block !== 0x2C) {
+            throw new Error('Unexpected block in GIF data');
+        }
+
+        const left = view.getUint16(pos, true);
+        const top = view.getUint16(pos + 2, true);
+        const frameWidth = view.getUint16(pos + 4, true);
+        const frameHeight = view.getUint16(pos + 6, true);
+        const framePacked = bytes[pos + 8];
+        pos += 9;
+
+        let palette = globalPalette;
+        if (framePacked & 0x80) {
+            const size = 3 << ((framePacked & 7) + 1);
+            palette = bytes.subarray(pos, pos + size);
+            pos += size;
+        }
+        if (!palette) {
+            throw new Error('GIF frame has no color table');
+        }
+
+        const minCodeSize = bytes[pos++];
+        let indices = lzwDecode(minCodeSize, readSubBlocks(), frameWidth * frameHeight);
+        if (framePacked & 0x40) {
+            indices = deinterlace(indices, frameWidth, frameHeight);
+        }
+
+        const previous = control.disposal === 3 ? canvas.slice() : null;
+
+        for (let y = 0; y < frameHeight; y++) {
+            const canvasY = top + y;
+            if (canvasY >= height) break;
+            for (let x = 0; x < frameWidth; x++) {
+                const canvasX = left + x;
+                if (canvasX >= width) break;
+                const index = indices[y * frameWidth + x];
+                if (index === control.transparent || index * 3 >= palette.length) continue;
+                const out = (canvasY * width + canvasX) * 4;
+                canvas[out] = palette[index * 3];
+                canvas[out + 1] = palette[index * 3 + 1];
+                canvas[out + 2] = palette[index * 3 + 2];
+                canvas[out + 3] = 255;
+            }
+        }
+
+        frames.push({
+            data: canvas.slice(),
+            delay: control.delay < MIN_DELAY ? DEFAULT_DELAY : control.delay
+        });
+
+        // Disposal applies before the next frame is drawn
+        if (control.disposal === 2) {
+            for (let y = top; y < Math.min(top + frameHeight, height); y++) {
+                canvas.fill(0, (y * width + left) * 4, (y * width + Math.min(left + frameWidth, width)) * 4);
+            }
+        } else if (previous) {
+            canvas.set(previous);
+        }
+        control = { disposal: 0, delay: 0, transparent: -1 };
+    }
+
+    if (frames.length === 0) {
+        throw new Error('GIF has no frames');
+    }
+    return { width, height, loop, frames };
+}
+
+function lzwDecode(minCodeSize, data, pixelCount) {
+    const out = new Uint8Array(pixelCount);
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const prefix = new Int16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const stack = new Uint8Array(4097);
+    for (let i = 0; i < clearCode; i++) {
+        prefix[i] = -1;
+        suffix[i] = i;
+    }
+
+    let codeSize = minCodeSize + 1;
+    let codeMask = (1 << codeSize) - 1;
+    let next = endCode + 1;
+    let prev = -1;
+    let first = 0;
+    let datum = 0;
+    let bits = 0;
+    let pos = 0;
+    let op = 0;
+
+    while (op < pixelCount) {
+        while (bits < codeSize && pos < data.length) {
+            datum |= data[pos++] << bits;
+            bits += 8;
+        }
+        if (bits < codeSize) break; // Truncated data: leave the rest transparent/background
+
+        const code = datum & codeMask;
+        datum >>>= codeSize;
+        bits -= codeSize;
+
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1;
+            codeMask = (1 << codeSize) - 1;
+            next = endCode + 1;
+            prev = -1;
+            continue;
+        }
+        if (code === endCode) break;
+
+        if (prev === -1) {
+            out[op++] = suffix[code];
+            prev = code;
+            first = code;
+            continue;
+        }
+
+        let sp = 0;
+        let c = code;
+        if (code >= next) {
+            // KwKwK: the code being defined right now
+            stack[sp++] = first;
+            c = prev;
+        }
+        while (c >= clearCode) {
+            stack[sp++] = suffix[c];
+            c = prefix[c];
+        }
+        stack[sp++] = c;
+        first = c;
+
+        if (next < 4096) {
+            prefix[next] = prev;
+            suffix[next] = first;
+            next++;
+            if ((next & codeMask) === 0 && next < 4096) {
+                codeSize++;
+                codeMask = (1 << codeSize) - 1;
+            }
+        }
+
+        while (sp > 0 && op < pixelCount) {
+            out[op++] = stack[--sp];
+        }
+        prev = code;
+    }
+    return out;
+}
+
+function deinterlace(indices, width, height) {
+    const out = new Uint8Array(indices.length);
+    const passes = [[0, 8], [4, 8], [2, 4], [1, 2]];
+    let row = 0;
+    passes.forEach(([start, step]) => {
+        for (let y = start; y < height; y += step) {
+            out.set(indices.subarray(row * width, (row + 1) * width), y * width);
+            row++;
+        }
+    });
+    return out;
+}
+
+/**
+ * Encodes RGBA frames as a GIF. All frames share one palette so colors don't flicker
+ * between frames; pixels with alpha below 128 become transparent.
+ * @param {Array<{data: Uint8ClampedArray, delay?: number}>} frames full-size RGBA, delay in ms
+ * @param {number} width
+ * @param {number} height
+ * @param {{loop?: number | null, dither?: boolean}} [options] loop: repeat count (0 = forever) for animations
+ * @returns {Uint8Array}
+ */
+export function encodeGif(frames, width, height, { loop = 0, dither = true } = {}) {
+    const hasAlpha = frames.some(frame => {
+        for (let i = 3; i < frame.data.length; i += 4) {
+            if (frame.data[i] < 128) return true;
+        }
+        return false;
+    });
+
+    const maxColors = hasAlpha ? 255 : 256;
+    const { palette, exact } = buildPalette(frames, maxColors);
+    const transparentIndex = hasAlpha ? palette.length : -1;
+    const colorCount = palette.length + (hasAlpha ? 1 : 0);
+    let sizeBits = 1;
+    while ((1 << sizeBits) < colorCount) sizeBits++;
+
+    const out = new ByteWriter();
+    out.string('GIF89a');
+    out.u16(width);
+    out.u16(height);
+    out.byte(0x80 | ((sizeBits - 1) << 4) | (sizeBits - 1));
+    out.byte(0); // Background color index
+    out.byte(0); // Pixel aspect ratio
+    for (let i = 0; i < (1 << sizeBits); i++) {
+        const color = palette[i] || 0;
+        out.byte((color >> 16) & 0xFF);
+        out.byte((color >> 8) & 0xFF);
+        out.byte(color & 0xFF);
+    }
+
+    if (frames.length > 1 && loop !== null) {
+        out.bytes([0x21, 0xFF, 0x0B]);
+        out.string('NETSCAPE2.0');
+        out.bytes([0x03, 0x01]);
+        out.u16(loop);
+        out.byte(0);
+    }
+
+    const minCodeSize = Math.max(sizeBits, 2);
+    const mapper = createColorMapper(palette, exact);
+    frames.forEach(frame => {
+        // Frames are full snapshots; with transparency the previous one has to be cleared first
+        const disposal = hasAlpha ? 2 : 1;
+        out.bytes([0x21, 0xF9, 0x04, (disposal << 2) | (hasAlpha ? 1 : 0)]);
+        out.u16(Math.round((frame.delay || 0) / 10));
+        out.byte(hasAlpha ? transparentIndex : 0);
+        out.byte(0);
+
+        out.byte(0x2C);
+        out.u16(0);
+        out.u16(0);
+        out.u16(width);
+        out.u16(height);
+        out.byte(0); // No local color table, not interlaced
+
+        const indices = mapPixels(frame.data, width, height, palette, mapper, transparentIndex, dither && !exact);
+        out.byte(minCodeSize);
+        const data = lzwEncode(indices, minCodeSize);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            out.byte(block.length);
+            out.bytes(block);
+        }
+        out.byte(0);
+    });
+
+    out.byte(0x3B);
+    return out.result();
+}
+
+// Exact colors when there are few enough, else median cut over a 15-bit histogram
+function buildPalette(frames, maxColors) {
+    const exactColors = new Set();
+    outer: for (const frame of frames) {
+        const data = frame.data;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < 128) continue;
+            exactColors.add((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+            if (exactColors.size > maxColors) break outer;
+        }
+    }
+    if (exactColors.size <= maxColors) {
+        return { palette: exactColors.size ? [...exactColors] : [0], exact: true };
+    }
+
+    const histogram = new Uint32Array(32768);
+    const totalPixels = frames.length * frames[0].data.length / 4;
+    const step = Math.max(1, Math.floor(totalPixels / 1000000)) * 4; // Sample big animations
+    frames.forEach(frame => {
+        const data = frame.data;
+        for (let i = 0; i < data.length; i += step) {
+            if (data[i + 3] < 128) continue;
+            histogram[((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3)]++;
+        }
+    });
+
+    const colors = [];
+    histogram.forEach((count, key) => {
+        if (count) colors.push(key);
+    });
+
+    const channel = (key, axis) => (key >> (10 - axis * 5)) & 31;
+    const describe = (box) => {
+        let best = 0;
+        let bestRange = -1;
+        for (let axis = 0; axis < 3; axis++) {
+            let min = 31;
+            let max = 0;
+            box.colors.forEach(key => {
+                const value = channel(key, axis);
+                if (value < min) min = value;
+                if (value > max) max = value;
+            });
+            if (max - min > bestRange) {
+                bestRange = max - min;
+                best = axis;
+            }
+        }
+        box.axis = best;
+        box.range = bestRange;
+        box.count = box.colors.reduce((sum, key) => sum + histogram[key], 0);
+        return box;
+    };
+
+    const boxes = [describe({ colors })];
+    while (boxes.length < maxColors) {
+        // Split the box with the most spread-out pixels
+        let target = null;
+        boxes.forEach(box => {
+            if (box.colors.length > 1 && (!target || box.range * box.count > target.range * target.count)) {
+                target = box;
+            }
+        });
+        if (!target) break;
+
+        const axis = target.axis;
+        target.colors.sort((a, b) => channel(a, axis) - channel(b, axis));
+        let seen = 0;
+        let cut = 1;
+        for (; cut < target.colors.length - 1; cut++) {
+            seen += histogram[target.colors[cut - 1]];
+            if (seen >= target.count / 2) break;
+        }
+        const rest = target.colors.splice(cut);
+        describe(target);
+        boxes.push(describe({ colors: rest }));
+    }
+
+    const palette = boxes.map(box => {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        box.colors.forEach(key => {
+            const count = histogram[key];
+            r += (channel(key, 0) * 8 + 4) * count;
+            g += (channel(key, 1) * 8 + 4) * count;
+            b += (channel(key, 2) * 8 + 4) * count;
+        });
+        const n = box.count || 1;
+        return (Math.round(r / n) << 16) | (Math.round(g / n) << 8) | Math.round(b / n);
+    });
+    return { palette, exact: false };
+}
+
+function createColorMapper(palette, exact) {
+    if (exact) {
+        const lookup = new Map(palette.map((color, i) => [color, i]));
+        return (r, g, b) => lookup.get((r << 16) | (g << 8) | b) ?? 0;
+    }
+
+    const cache = new Int16Array(32768).fill(-1);
+    return (r, g, b) => {
+        const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        if (cache[key] !== -1) return cache[key];
+
+        let best = 0;
+        let bestDistance = Infinity;
+        palette.forEach((color, i) => {
+            const dr = ((color >> 16) & 0xFF) - r;
+            const dg = ((color >> 8) & 0xFF) - g;
+            const db = (color & 0xFF) - b;
+            const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3; // Rough perceptual weights
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        });
+        cache[key] = best;
+        return best;
+    };
+}
+
+function mapPixels(data, width, height, palette, mapper, transparentIndex, dither) {
+    const indices = new Uint8Array(width * height);
+    let errors = new Float32Array((width + 2) * 3);
+    let nextErrors = new Float32Array((width + 2) * 3);
+    const clamp = (value) => value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            if (transparentIndex >= 0 && data[i + 3] < 128) {
+                indices[y * width + x] = transparentIndex;
+                continue;
+            }
+            if (!dither) {
+                indices[y * width + x] = mapper(data[i], data[i + 1], data[i + 2]);
+                continue;
+            }
+
+            const e = (x + 1) * 3;
+            const r = clamp(data[i] + errors[e]);
+            const g = clamp(data[i + 1] + errors[e + 1]);
+            const b = clamp(data[i + 2] + errors[e + 2]);
+            const index = mapper(r, g, b);
+            indices[y * width + x] = index;
+
+            // Floyd–Steinberg: 7/16 right, 3/16 down-left, 5/16 down, 1/16 down-right
+            const color = palette[index];
+            const diff = [r - ((color >> 16) & 0xFF), g - ((color >> 8) & 0xFF), b - (color & 0xFF)];
+            for (let c = 0; c < 3; c++) {
+                errors[e + 3 + c] += diff[c] * 7 / 16;
+                nextErrors[e - 3 + c] += diff[c] * 3 / 16;
+                nextErrors[e + c] += diff[c] * 5 / 16;
+                nextErrors[e + 3 + c] += diff[c] / 16;
+            }
+        }
+        [errors, nextErrors] = [nextErrors, errors];
+        nextErrors.fill(0);
+    }
+    return indices;
+}
+
+function lzwEncode(indices, minCodeSize) {
+    const out = new ByteWriter();
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let next = endCode + 1;
+    let table = new Map();
+    let buffer = 0;
+    let bits = 0;
+
+    const emit = (code) => {
+        buffer |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) {
+            out.byte(buffer & 0xFF);
+            buffer >>>= 8;
+            bits -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (next === 4096) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            next = endCode + 1;
+        } else {
+            if (next >= (1 << codeSize)) codeSize++;
+            table.set(key, next++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bits > 0) out.byte(buffer & 0xFF);
+    return out.result();
+}
+
+class ByteWriter {
+    constructor() {
+        this.buffer = new Uint8Array(4096);
+        this.length = 0;
+    }
+
+    reserve(count) {
+        if (this.length + count <= this.buffer.length) return;
+        let size = this.buffer.length * 2;
+        while (size < this.length + count) size *= 2;
+        const grown = new Uint8Array(size);
+        grown.set(this.buffer.subarray(0, this.length));
+        this.buffer = grown;
+    }
+
+    byte(value) {
+        this.reserve(1);
+        this.buffer[this.length++] = value;
+    }
+
+    bytes(values) {
+        this.reserve(values.length);
+        this.buffer.set(values, this.length);
+        this.length += values.length;
+    }
+
+    u16(value) {
+        this.byte(value & 0xFF);
+        this.byte((value >> 8) & 0xFF);
+    }
+
+    string(text) {
+        for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+    }
+
+    result() {
+        return this.buffer.slice(0, this.length);
+    }
+}
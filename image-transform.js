@@ -0,0 +1,191 @@
+// Geometry for the image adjustments (EXIF auto-orient, rotate/flip, crop, resize). Everything
+// is folded into one affine transform so the source is drawn onto the output canvas exactly once.
+
+/**
+ * Finds the EXIF Orientation tag of a JPEG.
+ * @param {Uint8Array} bytes
+ * @returns {{value: number, offset: number, littleEndian: boolean} | null} offset of the tag value,
+ *          so it can be rewritten (see clearExifOrientation)
+ */
+export function readExifOrientation(bytes) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let pos = 2;
+    while (pos + 4 <= bytes.length && bytes[pos] === 0xFF) {
+        const marker = bytes[pos + 1];
+        const length = view.getUint16(pos + 2);
+        if (marker === 0xDA) break; // Start of scan: no more metadata
+
+        // APP1 "Exif\0\0"
+        if (marker === 0xE1 && view.getUint32(pos + 4) === 0x45786966 && view.getUint16(pos + 8) === 0) {
+            return findOrientationTag(view, pos + 10);
+        }
+        pos += 2 + length;
+    }
+    return null;
+}
+
+function findOrientationTag(view, tiffStart) {
+    const littleEndian = view.getUint16(tiffStart) === 0x4949;
+    const ifd = tiffStart + view.getUint32(tiffStart + 4, littleEndian);
+    if (ifd + 2 > view.byteLength) return null;
+
+    const count = view.getUint16(ifd, littleEndian);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > view.byteLength) break;
+        if (view.getUint16(entry, littleEndian) === 0x0112) {
+            const offset = entry + 8;
+            return { value: view.getUint16(offset, littleEndian), offset: view.byteOffset + offset, littleEndian };
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns a copy of a JPEG with its Orientation tag set to 1, so browsers decode the stored
+ * pixels as-is and the orientation can be applied (or not) by us.
+ * @param {Uint8Array} bytes
+ * @param {{offset: number, littleEndian: boolean}} tag from readExifOrientation
+ * @returns {Uint8Array}
+ */
+export function clearExifOrientation(bytes, tag) {
+    const copy = bytes.slice();
+    new DataView(copy.buffer).setUint16(tag.offset, 1, tag.littleEndian);
+    return copy;
+}
+
+// EXIF orientation → steps that turn the stored pixels upright
+const ORIENTATION_STEPS = {
+    1: [],
+    2: ['flipH'],
+    3: ['rotate180'],
+    4: ['flipV'],
+    5: ['rotate90', 'flipH'],
+    6: ['rotate90'],
+    7: ['rotate270', 'flipH'],
+    8: ['rotate270']
+};
+
+/**
+ * True when the options ask for more than a straight copy (auto-orient aside).
+ * @param {Object} options
+ * @returns {boolean}
+ */
+export function hasTransforms(options = {}) {
+    return Number(options.rotate) % 360 !== 0 ||
+        !!options.flipH || !!options.flipV ||
+        ['cropTop', 'cropRight', 'cropBottom', 'cropLeft'].some(key => Number(options[key]) > 0) ||
+        (!!options.resizeMode && options.resizeMode !== 'none');
+}
+
+/**
+ * Works out the output size and the transform that maps source pixels onto it.
+ * @param {number} width source width in stored pixels
+ * @param {number} height source height in stored pixels
+ * @param {Object} options autoOrient, rotate (90° steps), flipH, flipV, cropTop/Right/Bottom/Left (%),
+ *        resizeMode ('none' | 'max' | 'percent' | 'exact'), maxDimension, scalePercent, width, height, keepAspect
+ * @param {number} [orientation] EXIF orientation of the source (1-8)
+ * @returns {{width: number, height: number, matrix: number[]}} matrix is [a, b, c, d, e, f] for setTransform
+ */
+export function planTransform(width, height, options = {}, orientation = 1) {
+    const steps = [];
+    if (options.autoOrient !== false) {
+        steps.push(...(ORIENTATION_STEPS[orientation] || []));
+    }
+    const rotate = ((Math.round(Number(options.rotate) / 90) * 90 || 0) % 360 + 360) % 360;
+    if (rotate) steps.push('rotate' + rotate);
+    if (options.flipH) steps.push('flipH');
+    if (options.flipV) steps.push('flipV');
+
+    // Orient: a transform from stored pixels to the upright image
+    let matrix = [1, 0, 0, 1, 0, 0];
+    let w = width;
+    let h = height;
+    steps.forEach(step => {
+        let m;
+        switch (step) {
+            case 'rotate90': m = [0, 1, -1, 0, h, 0]; [w, h] = [h, w]; break;
+            case 'rotate180': m = [-1, 0, 0, -1, w, h]; break;
+            case 'rotate270': m = [0, -1, 1, 0, 0, w]; [w, h] = [h, w]; break;
+            case 'flipH': m = [-1, 0, 0, 1, w, 0]; break;
+            case 'flipV': m = [1, 0, 0, -1, 0, h]; break;
+        }
+        matrix = multiply(m, matrix);
+    });
+
+    // Crop: insets in percent of the upright image
+    const inset = (key, size) => Math.min(Math.max(Number(options[key]) || 0, 0), 100) / 100 * size;
+    const left = inset('cropLeft', w);
+    const top = inset('cropTop', h);
+    const cropWidth = Math.max(w - left - inset('cropRight', w), 1);
+    const cropHeight = Math.max(h - top - inset('cropBottom', h), 1);
+    matrix = multiply([1, 0, 0, 1, -left, -top], matrix);
+
+    // Resize
+    const [scaleX, scaleY] = resizeScale(cropWidth, cropHeight, options);
+    const outWidth = Math.max(Math.round(cropWidth * scaleX), 1);
+    const outHeight = Math.max(Math.round(cropHeight * scaleY), 1);
+    matrix = multiply([outWidth / cropWidth, 0, 0, outHeight / cropHeight, 0, 0], matrix);
+
+    return { width: outWidth, height: outHeight, matrix };
+}
+
+function resizeScale(width, height, options) {
+    switch (options.resizeMode) {
+        case 'max': {
+            const max = Number(options.maxDimension);
+            const scale = max > 0 ? Math.min(max / Math.max(width, height), 1) : 1; // Never upscale
+            return [scale, scale];
+        }
+        case 'percent': {
+            const scale = Number(options.scalePercent) > 0 ? Number(options.scalePercent) / 100 : 1;
+            return [scale, scale];
+        }
+        case 'exact': {
+            const targetWidth = Number(options.width) > 0 ? Number(options.width) / width : 0;
+            const targetHeight = Number(options.height) > 0 ? Number(options.height) / height : 0;
+            if (!targetWidth && !targetHeight) return [1, 1];
+            if (!targetWidth) return [targetHeight, targetHeight];
+            if (!targetHeight) return [targetWidth, targetWidth];
+            if (options.keepAspect !== false) {
+                // Fit inside the box
+                const scale = Math.min(targetWidth, targetHeight);
+                return [scale, scale];
+            }
+            return [targetWidth, targetHeight];
+        }
+        default:
+            return [1, 1];
+    }
+}
+
+// m2 · m1: apply m1, then m2
+function multiply(m2, m1) {
+    const [a2, b2, c2, d2, e2, f2] = m2;
+    const [a1, b1, c1, d1, e1, f1] = m1;
+    return [
+        a2 * a1 + c2 * b1,
+        b2 * a1 + d2 * b1,
+        a2 * c1 + c2 * d1,
+        b2 * c1 + d2 * d1,
+        a2 * e1 + c2 * f1 + e2,
+        b2 * e1 + d2 * f1 + f2
+    ];
+}
+
+/**
+ * Draws the source through a planned transform.
+ * @param {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} ctx sized plan.width × plan.height
+ * @param {CanvasImageSource} source
+ * @param {{matrix: number[]}} plan from planTransform
+ */
+export function drawTransformed(ctx, source, plan) {
+    ctx.save();
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.setTransform(...plan.matrix);
+    ctx.drawImage(source, 0, 0);
+    ctx.restore();
+}
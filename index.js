@@ -0,0 +1,30 @@
+// Library entry point. Converters need a platform for canvases, image decoding and HTML; install
+// one before converting:
+//
+//   import { setPlatform, convert } from 'formatconv';
+//   import { nodePlatform } from 'formatconv/platform-node';  // or browserPlatform from 'formatconv/platform-browser'
+//   setPlatform(nodePlatform);
+//   const pdf = await convert(file, 'application/pdf', { onProgress, signal });
+//
+// platform-browser imports the pdf.js worker with Vite's `?url` suffix, so it needs Vite (or a
+// bundler that understands it).
+export {
+    convertFile as convert,
+    canConvert,
+    listTargets,
+    registerConverter,
+    listConverters,
+    findConverter,
+    describeMimeType,
+    identifyFile,
+    getSheetNames,
+    readFileMetadata,
+    mergeImagesToPdf,
+    parsePageRange,
+    ConversionError,
+    UnsupportedConversionError,
+    FILE_EXTENSIONS,
+    MIME_BY_EXTENSION
+} from './converter.js';
+export { runPdfOperation } from './pdf-tools.js';
+export { setPlatform, getPlatform } from './platform.js';
@@ -1,5 +1,21 @@
-import { convertFile } from './converter.js';
+import {
+    getSheetNames, mergeImagesToPdf, parsePageRange, FILE_EXTENSIONS, MIME_BY_EXTENSION,
+    listConverters, findConverter, listTargets, describeMimeType, identifyFile, readFileMetadata
+} from './converter.js';
+import { runPdfOperation, renderPdfThumbnails } from './pdf-tools.js';
+import { renderPreview } from './preview.js';
+import { createConversionPool } from './worker-pool.js';
+import { writeZip, createZipBlob, readZipEntries, uniqueName } from './bundle.js';
+import { escapeHtml, formatSize } from './format.js';
 import { saveAs } from 'file-saver';
+import { setPlatform } from './platform.js';
+import { browserPlatform } from './platform-browser.js';
+import {
+    listPresets, savePreset, deletePreset, exportPresets, importPresets,
+    listHistory, addHistoryEntry, deleteHistoryEntry, clearHistory
+} from './storage.js';
+
+setPlatform(browserPlatform);
 
 // DOM Elements
 const dropZone = document.getElementById('drop-zone');
@@ -9,64 +25,106 @@ const fileList = document.getElementById('file-list');
 const globalFormatSelect = document.getElementById('global-format-select');
 const convertAllBtn = document.getElementById('convert-all-btn');
 const clearAllBtn = document.getElementById('clear-all-btn');
+const cancelAllBtn = document.getElementById('cancel-all-btn');
+const downloadAllBtn = document.getElementById('download-all-btn');
+const skippedNotice = document.getElementById('skipped-notice');
+const globalImageOptionsPanel = document.getElementById('global-image-options');
+const globalImageOptionsBody = globalImageOptionsPanel.querySelector('.global-options-body');
+const mergePanel = document.getElementById('merge-options');
+const mergeBtn = document.getElementById('merge-btn');
+const mergePageSize = document.getElementById('merge-page-size');
+const mergeOrientation = document.getElementById('merge-orientation');
+const mergeMargin = document.getElementById('merge-margin');
+const mergeStatus = document.getElementById('merge-status');
+const pageSetupPanel = document.getElementById('page-setup');
+const pageSize = document.getElementById('page-size');
+const pageOrientation = document.getElementById('page-orientation');
+const pageMargin = document.getElementById('page-margin');
+const pageHeader = document.getElementById('page-header');
+const pageNumbers = document.getElementById('page-numbers');
+const pdfToolsPanel = document.getElementById('pdf-tools');
+const pdfOperation = document.getElementById('pdf-operation');
+const pdfSource = document.getElementById('pdf-source');
+const pdfSplitMode = document.getElementById('pdf-split-mode');
+const pdfPages = document.getElementById('pdf-pages');
+const pdfAngle = document.getElementById('pdf-angle');
+const pdfRunBtn = document.getElementById('pdf-run-btn');
+const pdfThumbnails = document.getElementById('pdf-thumbnails');
+const pdfStatus = document.getElementById('pdf-status');
+const presetSelect = document.getElementById('preset-select');
+const presetName = document.getElementById('preset-name');
+const presetSaveBtn = document.getElementById('preset-save-btn');
+const presetExportBtn = document.getElementById('preset-export-btn');
+const presetImportBtn = document.getElementById('preset-import-btn');
+const presetImportInput = document.getElementById('preset-import-input');
+const presetList = document.getElementById('preset-list');
+const presetStatus = document.getElementById('preset-status');
+const historyList = document.getElementById('history-list');
+const historyClearBtn = document.getElementById('history-clear-btn');
+const historyStatus = document.getElementById('history-status');
+const previewPane = document.getElementById('preview-pane');
+const previewTitle = document.getElementById('preview-title');
+const previewZoom = document.getElementById('preview-zoom');
+const previewCompareOption = document.getElementById('preview-compare-option');
+const previewCompare = document.getElementById('preview-compare');
+const previewCloseBtn = document.getElementById('preview-close-btn');
+const previewDiff = document.getElementById('preview-diff');
+const previewSides = document.getElementById('preview-sides');
+const previewSource = document.getElementById('preview-source');
+const previewResultSide = document.getElementById('preview-result-side');
+const previewResult = document.getElementById('preview-result');
+const previewCompareView = document.getElementById('preview-compare-view');
+const compareStage = document.getElementById('compare-stage');
+const compareBefore = document.getElementById('compare-before');
+const compareAfter = document.getElementById('compare-after');
+const compareSlider = document.getElementById('compare-slider');
 
-// Conversion Rules
-const CONVERSION_RULES = {
-    'image': [
-        { value: 'image/jpeg', label: 'JPEG' },
-        { value: 'image/png', label: 'PNG' },
-        { value: 'image/webp', label: 'WebP' },
-        { value: 'image/bmp', label: 'BMP' },
-        { value: 'image/gif', label: 'GIF' },
-        { value: 'application/pdf', label: 'PDF' }
-    ],
-    'document': [
-        { value: 'application/pdf', label: 'PDF' },
-        { value: 'text/html', label: 'HTML' }
-    ],
-    'spreadsheet': [
-        { value: 'application/pdf', label: 'PDF' },
-        { value: 'text/csv', label: 'CSV' },
-        { value: 'text/html', label: 'HTML' }
-    ],
-    'text': [
-        { value: 'application/pdf', label: 'PDF' },
-        { value: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', label: 'DOCX (Basic)' }
-    ],
-    'pdf': [
-        { value: 'text/plain', label: 'Text (TXT)' }
-    ]
-};
+// Target formats per category ('image', 'pdf'...), from the converter registry
+const CONVERSION_RULES = buildConversionRules();
 
-function getFileCategory(file) {
-    const name = file.name.toLowerCase();
-    const type = file.type;
+function buildConversionRules() {
+    const rules = {};
+    listConverters().forEach(converter => {
+        const targets = rules[converter.category] || (rules[converter.category] = []);
+        converter.targets.forEach(type => {
+            if (!targets.some(target => target.value === type)) {
+                targets.push({ value: type, label: converter.labels[type] || describeMimeType(type) });
+            }
+        });
+    });
+    return rules;
+}
 
-    if (type.startsWith('image/') || name.endsWith('.heic') || name.endsWith('.heif') || name.endsWith('.tiff') || name.endsWith('.tif')) {
-        return 'image';
-    }
-    if (name.endsWith('.docx') || name.endsWith('.doc')) {
-        return 'document';
-    }
-    if (name.endsWith('.xlsx') || name.endsWith('.xls') || name.endsWith('.csv') || name.endsWith('.ods')) {
-        return 'spreadsheet';
-    }
-    if (type.startsWith('text/') || name.endsWith('.txt') || name.endsWith('.html') || name.endsWith('.rtf')) {
-        return 'text';
-    }
-    if (type === 'application/pdf' || name.endsWith('.pdf')) {
-        return 'pdf';
-    }
-    return null;
+function getFileCategory(file) {
+    const converter = findConverter(file);
+    return converter ? converter.category : null;
 }
 
 function getCompatibleFormats(file) {
-    const category = getFileCategory(file);
-    return CONVERSION_RULES[category] || [];
+    return listTargets(file).map(({ type, label }) => ({ value: type, label }));
 }
 
+// The name a target is listed under in the format selects
+function formatLabel(type) {
+    const option = Object.values(CONVERSION_RULES).flat().find(opt => opt.value === type);
+    return option ? option.label : describeMimeType(type);
+}
+
+// Documents, spreadsheets and text laid out as PDF share the page setup panel
+const PAGE_SETUP_CATEGORIES = ['document', 'spreadsheet', 'text'];
+
+// Conversions are queued here instead of all starting at once
+const conversionPool = createConversionPool();
+
 // State
-let files = []; // Array of { id, file, targetFormat, status, resultBlob }
+let files = []; // Array of { id, file, path, warning?, targetFormat, options, status, resultBlob, error?, sheetNames?, progress?, abortController?, adjustOpen?, metadata?, metadataOpen?, selected?, outputName?, thumbnailUrl? }
+let mergeInProgress = false;
+let pdfToolInProgress = false;
+let thumbnailJob = null; // { id, controller, urls } for the PDF whose pages are shown
+let globalImageOptions = {}; // Image adjustments set from the global panel
+let presets = []; // Saved presets, sorted by name (see storage.js)
+let history = []; // Finished jobs, newest first
+let previewJob = null; // { id, controller, previews } for the file shown in the preview pane
 
 // Event Listeners
 dropZone.addEventListener('click', () => fileInput.click());
@@ -81,6 +139,29 @@ fileInput.addEventListener('change', handleFileSelect);
 globalFormatSelect.addEventListener('change', updateAllFormats);
 convertAllBtn.addEventListener('click', convertAllFiles);
 clearAllBtn.addEventListener('click', clearAllFiles);
+cancelAllBtn.addEventListener('click', cancelAllFiles);
+downloadAllBtn.addEventListener('click', downloadAllFiles);
+mergeBtn.addEventListener('click', mergeSelectedFiles);
+pdfOperation.addEventListener('change', renderPdfTools);
+pdfSource.addEventListener('change', renderPdfTools);
+pdfSplitMode.addEventListener('change', renderPdfTools);
+pdfPages.addEventListener('input', highlightSelectedPages);
+pdfRunBtn.addEventListener('click', runPdfTool);
+presetSelect.addEventListener('change', applySelectedPreset);
+presetSaveBtn.addEventListener('click', saveCurrentPreset);
+presetExportBtn.addEventListener('click', () => saveAs(exportPresets(presets), 'sleekconvert-presets.json'));
+presetImportBtn.addEventListener('click', () => presetImportInput.click());
+presetImportInput.addEventListener('change', importPresetFile);
+historyClearBtn.addEventListener('click', clearAllHistory);
+previewCloseBtn.addEventListener('click', closePreview);
+previewZoom.addEventListener('change', applyPreviewZoom);
+previewCompare.addEventListener('change', showPreviewMode);
+compareSlider.addEventListener('input', () => {
+    compareAfter.style.clipPath = `inset(0 0 0 ${compareSlider.value}%)`;
+});
+
+loadPresets();
+loadHistory();
 
 // Handlers
 function handleDrop(e) {
@@ -96,54 +177,95 @@ function handleFileSelect(e) {
     fileInput.value = ''; // Reset input to allow same file selection again
 }
 
-function addFiles(newFiles) {
-    if (newFiles.length === 0) return;
+// The content decides the format (see identifyFile); anything no converter takes is skipped
+// with the reason. Returns the queue item, or null when skipped.
+async function identifyForQueue(file, path, skipped) {
+    const label = path ? `${path}/${file.name}` : file.name;
+    try {
+        const identified = await identifyFile(file);
+        if (identified.file.type === 'application/zip' || findConverter(identified.file)) {
+            return { file: identified.file, path, warning: identified.warning };
+        }
+        skipped.push(`${label} (unsupported format)`);
+    } catch (error) {
+        skipped.push(`${label} (${error.message})`);
+    }
+    return null;
+}
 
-    const supportedTypes = [
-        'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp',
-        'image/tiff', 'image/svg+xml', 'application/pdf',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // .docx
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
-        'application/vnd.ms-excel', // .xls
-        'text/csv', 'text/plain', 'text/html'
-    ];
+// Expands an archive into { file, path, warning } items, keeping each entry's folder
+async function unpackZip(zipFile, skipped) {
+    let entries;
+    try {
+        entries = await readZipEntries(zipFile);
+    } catch (error) {
+        console.error(error);
+        skipped.push(`${zipFile.name} (could not be opened)`);
+        return [];
+    }
+
+    const items = [];
+    for (const entry of entries) {
+        const parts = entry.name.split('/');
+        const name = parts.pop();
+        // Archive tool metadata, not user files
+        if (parts[0] === '__MACOSX' || name.startsWith('.')) continue;
 
-    const supportedExtensions = ['.heic', '.heif', '.tiff', '.tif', '.docx', '.xlsx', '.xls', '.csv', '.txt', '.html'];
+        const type = MIME_BY_EXTENSION[name.split('.').pop().toLowerCase()] || '';
+        const item = await identifyForQueue(new File([entry.blob], name, { type }), parts.join('/'), skipped);
+        if (!item) continue;
+        if (item.file.type === 'application/zip') {
+            skipped.push(`${zipFile.name}: ${entry.name} (archives inside archives are not unpacked)`);
+        } else {
+            items.push(item);
+        }
+    }
+    return items;
+}
+
+async function addFiles(newFiles) {
+    if (newFiles.length === 0) return;
 
     const validFiles = [];
-    let hasUnsupported = false;
+    const skipped = [];
 
-    newFiles.forEach(file => {
-        const ext = '.' + file.name.split('.').pop().toLowerCase();
-        // Check mime type OR extension (mime types can be tricky/missing)
-        if (supportedTypes.includes(file.type) || supportedExtensions.includes(ext) || file.type.startsWith('image/')) {
-            validFiles.push(file);
+    for (const file of newFiles) {
+        const item = await identifyForQueue(file, '', skipped);
+        if (!item) continue;
+        if (item.file.type === 'application/zip') {
+            validFiles.push(...await unpackZip(item.file, skipped));
         } else {
-            hasUnsupported = true;
+            validFiles.push(item);
         }
-    });
-
-    if (hasUnsupported) {
-        alert("Unsupported Format: Only images and documents (DOCX, XLS, PDF, TXT) are allowed.");
     }
 
+    showSkippedFiles(skipped);
+
     if (validFiles.length === 0) return;
 
-    validFiles.forEach(file => {
-        const id = Date.now() + Math.random().toString(36).substr(2, 9);
+    validFiles.forEach(({ file, path, warning }) => {
+        const id = createFileId();
         // Default target? Maybe none initially, or first compatible.
         // Let's set it to empty and let user choose, or auto-pick first.
         // Auto-picking first is nice.
         const compatible = getCompatibleFormats(file);
         const defaultTarget = compatible.length > 0 ? compatible[0].value : '';
 
-        files.push({
+        const fileObj = {
             id,
             file,
+            path,
+            warning,
             targetFormat: defaultTarget,
+            options: getFileCategory(file) === 'image' ? { ...globalImageOptions } : {},
             status: 'pending',
             resultBlob: null
-        });
+        };
+        files.push(fileObj);
+
+        if (getFileCategory(file) === 'spreadsheet') {
+            loadSheetNames(fileObj);
+        }
     });
 
     renderFileList();
@@ -151,6 +273,38 @@ function addFiles(newFiles) {
     updateGlobalFormatOptions(); // Update global dropdown based on current mix
 }
 
+function createFileId() {
+    return Date.now() + Math.random().toString(36).substr(2, 9);
+}
+
+// Fills in the sheet list shown in the row; every sheet starts selected unless the row
+// already has a choice (a re-run from the history)
+async function loadSheetNames(fileObj) {
+    try {
+        fileObj.sheetNames = await getSheetNames(fileObj.file);
+        fileObj.options.sheets = fileObj.options.sheets || [...fileObj.sheetNames];
+        renderFileList();
+    } catch (error) {
+        console.error(error);
+    }
+}
+
+// Lists what was left out of the queue instead of interrupting with an alert
+function showSkippedFiles(skipped) {
+    if (skipped.length === 0) {
+        skippedNotice.hidden = true;
+        return;
+    }
+    skippedNotice.innerHTML = `
+        <div class="skipped-header">
+            <span>Skipped ${skipped.length} file${skipped.length === 1 ? '' : 's'}</span>
+            <button class="remove-btn" onclick="this.closest('.skipped-notice').hidden = true" title="Dismiss">✕</button>
+        </div>
+        <ul>${skipped.map(name => `<li>${escapeHtml(name)}</li>`).join('')}</ul>
+    `;
+    skippedNotice.hidden = false;
+}
+
 function updateUIState() {
     if (files.length > 0) {
         fileListContainer.classList.remove('hidden');
@@ -170,6 +324,20 @@ function updateUIState() {
     } else {
         convertAllBtn.textContent = 'Convert All';
     }
+    cancelAllBtn.hidden = convertingCount === 0;
+    downloadAllBtn.hidden = !files.some(f => f.status === 'done');
+
+    const images = files.filter(f => getFileCategory(f.file) === 'image');
+    const selectedCount = images.filter(f => f.selected).length;
+    mergePanel.hidden = images.length === 0;
+    if (!mergeInProgress) {
+        mergeBtn.disabled = selectedCount === 0;
+        mergeBtn.textContent = `Merge selected (${selectedCount})`;
+    }
+
+    pageSetupPanel.hidden = !files.some(f => PAGE_SETUP_CATEGORIES.includes(getFileCategory(f.file)));
+
+    renderPdfTools();
 }
 
 function updateGlobalFormatOptions() {
@@ -187,11 +355,11 @@ function updateGlobalFormatOptions() {
         return;
     }
 
-    const firstFileFormats = getCompatibleFormats(pendingFiles[0]).map(f => f.value);
+    const firstFileFormats = getCompatibleFormats(pendingFiles[0].file).map(f => f.value);
     let commonFormats = new Set(firstFileFormats);
 
     for (let i = 1; i < pendingFiles.length; i++) {
-        const currentFormats = new Set(getCompatibleFormats(pendingFiles[i]).map(f => f.value));
+        const currentFormats = new Set(getCompatibleFormats(pendingFiles[i].file).map(f => f.value));
         commonFormats = new Set([...commonFormats].filter(x => currentFormats.has(x)));
     }
 
@@ -207,17 +375,10 @@ function updateGlobalFormatOptions() {
         globalFormatSelect.appendChild(opt);
     } else {
         globalFormatSelect.disabled = false;
-        // We need labels. We can look them up from any rule set that has them.
-        // Or just map known values to labels.
-        const allOptionsMap = {};
-        Object.values(CONVERSION_RULES).flat().forEach(opt => {
-            allOptionsMap[opt.value] = opt.label;
-        });
-
         commonFormats.forEach(val => {
             const opt = document.createElement('option');
             opt.value = val;
-            opt.text = allOptionsMap[val] || val;
+            opt.text = formatLabel(val);
             globalFormatSelect.appendChild(opt);
         });
     }
@@ -228,16 +389,22 @@ function renderFileList() {
     files.forEach(fileObj => {
         const li = document.createElement('li');
         li.className = 'file-item';
+        li.dataset.id = fileObj.id;
+        attachReorderHandlers(li);
 
         // Preview handling
         let previewSrc = '';
         if (fileObj.file.type.startsWith('image/')) {
-            previewSrc = URL.createObjectURL(fileObj.file);
+            previewSrc = thumbnailUrl(fileObj);
         } else {
             previewSrc = 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSIyNCIgaGVpZ2h0PSIyNCIgdmlld0JveD0iMCAwIDI0IDI0IiBmaWxsPSJub25lIiBzdHJva2U9IiM5NGEzYjgiIHN0cm9rZS13aWR0aD0iMiIgc3Ryb2tlLWxpbmVjYXA9InJvdW5kIiBzdHJva2UtbGluZWpvaW49InJvdW5kIj48cGF0aCBkPSJNMTMgMmgyYTIgMiAwIDAgMSAybTJ2NGgyIi8+PHBvbHlsaW5lIHBvaW50cz0iMTcgOCAxMiAzIDcgOCIvPjxsaW5lIHgxPSIxMiIgeTE9IjMiIHgyPSIxMiIgeTI9IjE1Ii8+PC9zdmc+'; // Simple file icon
         }
 
-        const fileSize = (fileObj.file.size / 1024).toFixed(1) + ' KB';
+        // Converted files show the output size next to the original
+        let fileSize = formatSize(fileObj.file.size);
+        if (fileObj.status === 'done' && fileObj.resultBlob) {
+            fileSize += ` → ${formatSize(fileObj.resultBlob.size)}`;
+        }
 
         // Action area content depends on status
         let actionContent = '';
@@ -247,38 +414,54 @@ function renderFileList() {
                 <button class="btn-primary" onclick="downloadFile('${fileObj.id}')">Download</button>
             `;
         } else if (fileObj.status === 'error') {
+            // Let the user pick another target before retrying
             actionContent = `
-                <span class="status-badge status-error">Error</span>
+                <span class="status-badge status-error" title="${escapeHtml(fileObj.error.detail || '')}">Error</span>
+                <select class="item-format-select" onchange="updateFileFormat('${fileObj.id}', this.value)">
+                    ${renderFormatOptions(fileObj)}
+                </select>
+                <button class="btn-primary" onclick="retryFile('${fileObj.id}')">Retry</button>
             `;
         } else if (fileObj.status === 'converting') {
+            const { percent, label } = describeProgress(fileObj.progress);
             actionContent = `
-                <span class="status-badge status-converting">Running...</span>
+                <div class="progress" data-progress-id="${fileObj.id}">
+                    <div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>
+                    <span class="progress-label">${label}</span>
+                </div>
+                <button class="btn-secondary" onclick="cancelFile('${fileObj.id}')">Cancel</button>
             `;
         } else {
-            // Generate dynamic options
-            const compatible = getCompatibleFormats(fileObj.file);
-            const optionsHtml = compatible.map(opt =>
-                `<option value="${opt.value}" ${fileObj.targetFormat === opt.value ? 'selected' : ''}>${opt.label}</option>`
-            ).join('');
-
             actionContent = `
+                ${renderFileOptions(fileObj)}
+                ${renderMetadataPanel(fileObj)}
                 <select class="item-format-select" onchange="updateFileFormat('${fileObj.id}', this.value)">
                     <option value="" disabled ${!fileObj.targetFormat ? 'selected' : ''}>Target...</option>
-                    ${optionsHtml}
+                    ${renderFormatOptions(fileObj)}
                 </select>
             `;
         }
 
         li.innerHTML = `
             <div class="file-info">
+                <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
+                ${['image', 'pdf'].includes(getFileCategory(fileObj.file)) ? `
+                    <input type="checkbox" class="select-box" title="Select for merging into one PDF"
+                        ${fileObj.selected ? 'checked' : ''} onchange="toggleFileSelected('${fileObj.id}', this.checked)">
+                ` : ''}
                 <img src="${previewSrc}" alt="preview" class="file-preview">
                 <div class="file-details">
-                    <h4>${fileObj.file.name}</h4>
-                    <p>${fileSize} • ${fileObj.file.type || 'Unknown'}</p>
+                    <h4>${escapeHtml(fileObj.file.name)}</h4>
+                    <p>${fileObj.path ? `${escapeHtml(fileObj.path)}/ • ` : ''}${fileSize} • ${escapeHtml(fileObj.file.type || 'Unknown')}</p>
+                    ${fileObj.warning ? `<p class="warning-message">⚠ ${escapeHtml(fileObj.warning)}</p>` : ''}
+                    ${fileObj.status === 'error' ? `<p class="error-message">${escapeHtml(fileObj.error.message)}</p>` : ''}
                 </div>
             </div>
             <div class="file-actions">
                 ${actionContent}
+                ${fileObj.status !== 'converting' ? `
+                    <button class="btn-secondary" onclick="openPreview('${fileObj.id}')" title="Preview the source and the result">Preview</button>
+                ` : ''}
                 <button class="remove-btn" onclick="removeFile('${fileObj.id}')" title="Remove">✕</button>
             </div>
         `;
@@ -290,13 +473,383 @@ function renderFileList() {
         // For this simple app, we might let the browser handle it or clear on clearAll.
     });
 
+    const hasImages = files.some(f => getFileCategory(f.file) === 'image');
+    globalImageOptionsPanel.hidden = !hasImages;
+    if (hasImages) {
+        globalImageOptionsBody.innerHTML = renderImageOptions(globalImageOptions,
+            (key, value) => `updateGlobalImageOption('${key}', ${value})`);
+    }
+
     // Re-attach global functions
     window.removeFile = removeFile;
     window.updateFileFormat = updateFileFormat;
+    window.updateFileOption = updateFileOption;
+    window.setAdjustOpen = setAdjustOpen;
+    window.setMetadataOpen = setMetadataOpen;
+    window.toggleFileSelected = toggleFileSelected;
+    window.updateGlobalImageOption = updateGlobalImageOption;
+    window.toggleFileSheet = toggleFileSheet;
+    window.cancelFile = cancelFile;
+    window.retryFile = retryFile;
     window.downloadFile = downloadFile;
+    window.openPreview = openPreview;
+}
+
+// Rows are reordered by dragging their handle; the order is the page order when merging
+function attachReorderHandlers(li) {
+    const handle = () => li.querySelector('.drag-handle');
+    li.addEventListener('mousedown', (e) => {
+        li.draggable = e.target === handle();
+    });
+    li.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('application/x-queue-item', li.dataset.id);
+        e.dataTransfer.effectAllowed = 'move';
+        li.classList.add('dragging');
+    });
+    li.addEventListener('dragend', () => {
+        li.draggable = false;
+        li.classList.remove('dragging');
+    });
+    li.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('application/x-queue-item')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+    });
+    li.addEventListener('drop', (e) => {
+        const id = e.dataTransfer.getData('application/x-queue-item');
+        if (!id) return;
+        e.preventDefault();
+        const rect = li.getBoundingClientRect();
+        moveFile(id, li.dataset.id, e.clientY > rect.top + rect.height / 2);
+    });
+}
+
+function moveFile(id, targetId, after) {
+    if (id === targetId) return;
+    const fileObj = files.find(f => f.id === id);
+    if (!fileObj) return;
+    files = files.filter(f => f.id !== id);
+    const index = files.findIndex(f => f.id === targetId);
+    files.splice(after ? index + 1 : index, 0, fileObj);
+    renderFileList();
+}
+
+// Generate dynamic options
+function renderFormatOptions(fileObj) {
+    const compatible = getCompatibleFormats(fileObj.file);
+    return compatible.map(opt =>
+        `<option value="${opt.value}" ${fileObj.targetFormat === opt.value ? 'selected' : ''}>${opt.label}</option>`
+    ).join('');
+}
+
+// Extra settings shown next to the target select for conversions that take options
+function renderFileOptions(fileObj) {
+    const category = getFileCategory(fileObj.file);
+    const opts = fileObj.options;
+
+    if (category === 'image') {
+        const open = fileObj.adjustOpen ? 'open' : '';
+        return `
+            <details class="item-options image-options" ${open} ontoggle="setAdjustOpen('${fileObj.id}', this.open)">
+                <summary>Adjust</summary>
+                ${renderSvgOptions(fileObj)}
+                ${renderImageOptions(opts, (key, value) => `updateFileOption('${fileObj.id}', '${key}', ${value})`, fileObj.targetFormat)}
+            </details>
+        `;
+    }
+
+    if (category === 'pdf' && fileObj.targetFormat.startsWith('image/')) {
+        const dpi = opts.dpi || 150;
+        const dpiOptions = [72, 150, 300].map(value =>
+            `<option value="${value}" ${Number(dpi) === value ? 'selected' : ''}>${value} DPI</option>`
+        ).join('');
+        return `
+            <div class="item-options">
+                <select title="Resolution" onchange="updateFileOption('${fileObj.id}', 'dpi', this.value)">${dpiOptions}</select>
+                <input type="text" placeholder="Pages (e.g. 1-3,5)" title="Page range (empty = all)"
+                    value="${escapeHtml(opts.pageRange || '')}" onchange="updateFileOption('${fileObj.id}', 'pageRange', this.value)">
+                <select title="Output layout" onchange="updateFileOption('${fileObj.id}', 'pageLayout', this.value)">
+                    <option value="separate" ${opts.pageLayout !== 'stitch' ? 'selected' : ''}>Image per page</option>
+                    <option value="stitch" ${opts.pageLayout === 'stitch' ? 'selected' : ''}>One tall image</option>
+                </select>
+                ${LOSSY_FORMATS.includes(fileObj.targetFormat) ? renderQualitySlider(opts, (key, value) => `updateFileOption('${fileObj.id}', '${key}', ${value})`) : ''}
+            </div>
+        `;
+    }
+
+    if (category === 'spreadsheet' && fileObj.file.name.toLowerCase().endsWith('.csv')) {
+        const delimiters = [['', 'Auto'], [',', 'Comma'], [';', 'Semicolon'], ['\t', 'Tab'], ['|', 'Pipe']];
+        const encodings = [['utf-8', 'UTF-8'], ['windows-1252', 'Windows-1252'], ['iso-8859-1', 'ISO-8859-1'], ['utf-16le', 'UTF-16'], ['shift_jis', 'Shift-JIS'], ['gbk', 'GBK']];
+        const delimiterOptions = delimiters.map(([value, label]) =>
+            `<option value="${value}" ${(opts.delimiter || '') === value ? 'selected' : ''}>${label}</option>`
+        ).join('');
+        const encodingOptions = encodings.map(([value, label]) =>
+            `<option value="${value}" ${(opts.encoding || 'utf-8') === value ? 'selected' : ''}>${label}</option>`
+        ).join('');
+        return `
+            <div class="item-options">
+                <select title="Delimiter" onchange="updateFileOption('${fileObj.id}', 'delimiter', this.value)">${delimiterOptions}</select>
+                <select title="Encoding" onchange="updateFileOption('${fileObj.id}', 'encoding', this.value)">${encodingOptions}</select>
+                <label class="sheet-option" title="First row is a header">
+                    <input type="checkbox" ${opts.hasHeader !== false ? 'checked' : ''}
+                        onchange="updateFileOption('${fileObj.id}', 'hasHeader', this.checked)">
+                    Header
+                </label>
+            </div>
+        `;
+    }
+
+    if (category === 'spreadsheet' && fileObj.sheetNames && fileObj.sheetNames.length > 1) {
+        const checkboxes = fileObj.sheetNames.map((name, i) => `
+            <label class="sheet-option">
+                <input type="checkbox" ${opts.sheets.includes(name) ? 'checked' : ''}
+                    onchange="toggleFileSheet('${fileObj.id}', ${i}, this.checked)">
+                ${escapeHtml(name)}
+            </label>
+        `).join('');
+        return `<div class="item-options sheet-list" title="Sheets to convert">${checkboxes}</div>`;
+    }
+
+    return '';
+}
+
+const LOSSY_FORMATS = ['image/jpeg', 'image/webp'];
+
+// Categories whose sources carry metadata worth showing (see readFileMetadata)
+const METADATA_CATEGORIES = ['image', 'pdf', 'document'];
+const METADATA_MODES = [['strip', 'Strip all'], ['keep', 'Keep all'], ['stripLocation', 'Strip location']];
+
+// What the source records about itself, read when the panel is first opened, and what the
+// conversion keeps of it where the converter can write it
+function renderMetadataPanel(fileObj) {
+    if (!METADATA_CATEGORIES.includes(getFileCategory(fileObj.file))) return '';
+
+    let content = '<p class="metadata-note">Reading...</p>';
+    if (fileObj.metadata instanceof Error) {
+        content = `<p class="metadata-note">Could not read the metadata: ${escapeHtml(fileObj.metadata.message)}</p>`;
+    } else if (Array.isArray(fileObj.metadata)) {
+        content = fileObj.metadata.length === 0 ? '<p class="metadata-note">No metadata found</p>' : `
+            <table class="metadata-table">
+                ${fileObj.metadata.map(section => `
+                    <tr><th colspan="2">${escapeHtml(section.title)}</th></tr>
+                    ${section.rows.map(([label, value]) => `
+                        <tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>
+                    `).join('')}
+                `).join('')}
+            </table>
+        `;
+    }
+
+    const converter = fileObj.targetFormat && findConverter(fileObj.file, fileObj.targetFormat);
+    const writesMetadata = converter && 'metadata' in converter.options &&
+        ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'].includes(fileObj.targetFormat);
+    const mode = fileObj.options.metadata || 'strip';
+    const modeSelect = writesMetadata ? `
+        <div class="image-options-grid">
+            <select title="Metadata in the converted file" onchange="updateFileOption('${fileObj.id}', 'metadata', this.value)">
+                ${METADATA_MODES.map(([value, label]) =>
+                    `<option value="${value}" ${mode === value ? 'selected' : ''}>${label}</option>`
+                ).join('')}
+            </select>
+        </div>
+    ` : '';
+
+    return `
+        <details class="item-options image-options" ${fileObj.metadataOpen ? 'open' : ''} ontoggle="setMetadataOpen('${fileObj.id}', this.open)">
+            <summary>Metadata</summary>
+            ${modeSelect}
+            ${fileObj.metadataOpen ? content : ''}
+        </details>
+    `;
+}
+
+function renderQualitySlider(opts, setter) {
+    const quality = opts.quality || 90;
+    return `
+        <label class="sheet-option" title="JPEG/WebP quality">
+            Quality
+            <input type="range" min="10" max="100" step="1" value="${escapeHtml(quality)}"
+                oninput="this.nextElementSibling.textContent = this.value + '%'"
+                onchange="${setter('quality', 'this.value')}">
+            <span class="range-value">${escapeHtml(quality)}%</span>
+        </label>
+    `;
+}
+
+// Quality slider, or a byte budget the encoder searches quality and dimensions to meet
+function renderCompressionOptions(opts, setter) {
+    const target = opts.sizeMode === 'target';
+    return `
+        <div class="image-options-grid">
+            <select title="Compression" onchange="${setter('sizeMode', 'this.value')}">
+                <option value="quality" ${!target ? 'selected' : ''}>Quality</option>
+                <option value="target" ${target ? 'selected' : ''}>Target size</option>
+            </select>
+            ${renderQualitySlider(opts, setter)}
+            ${target ? `
+                <input type="number" min="1" placeholder="KB" title="Largest output size in KB"
+                    value="${escapeHtml(opts.targetSize || '')}" onchange="${setter('targetSize', 'this.value')}">
+                <span>KB max</span>
+            ` : ''}
+        </div>
+    `;
+}
+
+// SVG sources pick the size they are drawn at; raster sources traced to SVG pick a palette size
+function renderSvgOptions(fileObj) {
+    const opts = fileObj.options;
+    const setter = (key) => `updateFileOption('${fileObj.id}', '${key}', this.value)`;
+
+    if (fileObj.targetFormat === 'image/svg+xml') {
+        const colors = [2, 4, 8, 16, 32].map(value =>
+            `<option value="${value}" ${Number(opts.colors || 8) === value ? 'selected' : ''}>${value} colours</option>`
+        ).join('');
+        return `
+            <div class="image-options-grid">
+                <span>Trace with</span>
+                <select title="Fewer colours give simpler shapes" onchange="${setter('colors')}">${colors}</select>
+            </div>
+        `;
+    }
+
+    if (findConverter(fileObj.file)?.id !== 'svg') return '';
+    return `
+        <div class="image-options-grid" title="Drawn at this size, so it stays sharp">
+            <span>Render at</span>
+            <input type="number" min="0" placeholder="Width" title="Width in pixels"
+                value="${escapeHtml(opts.svgWidth || '')}" onchange="${setter('svgWidth')}">
+            <input type="number" min="0" placeholder="Height" title="Height in pixels"
+                value="${escapeHtml(opts.svgHeight || '')}" onchange="${setter('svgHeight')}">
+            <input type="number" min="0" step="0.5" placeholder="Scale ×" title="Multiple of the SVG's own size"
+                value="${escapeHtml(opts.svgScale || '')}" onchange="${setter('svgScale')}">
+        </div>
+    `;
+}
+
+// Resize/crop/rotate controls, used per file and in the global panel. `setter(key, valueExpr)`
+// returns the inline handler that stores a value. Without a target (global panel) the
+// JPEG/WebP compression settings are always shown.
+function renderImageOptions(opts, setter, targetFormat = null) {
+    const rotations = [0, 90, 180, 270].map(value =>
+        `<option value="${value}" ${Number(opts.rotate || 0) === value ? 'selected' : ''}>${value}°</option>`
+    ).join('');
+    const modes = [['none', 'Original size'], ['max', 'Max dimension'], ['percent', 'Percentage'], ['exact', 'Exact size']];
+    const mode = opts.resizeMode || 'none';
+    const modeOptions = modes.map(([value, label]) =>
+        `<option value="${value}" ${mode === value ? 'selected' : ''}>${label}</option>`
+    ).join('');
+    const number = (key, placeholder, title) => `
+        <input type="number" min="0" placeholder="${placeholder}" title="${title}"
+            value="${escapeHtml(opts[key] || '')}" onchange="${setter(key, 'this.value')}">
+    `;
+
+    let sizeInputs = '';
+    if (mode === 'max') {
+        sizeInputs = number('maxDimension', 'px', 'Longest side in pixels');
+    } else if (mode === 'percent') {
+        sizeInputs = number('scalePercent', '%', 'Scale in percent');
+    } else if (mode === 'exact') {
+        sizeInputs = `
+            ${number('width', 'Width', 'Width in pixels')}
+            ${number('height', 'Height', 'Height in pixels')}
+            <label class="sheet-option" title="Fit inside the size instead of stretching">
+                <input type="checkbox" ${opts.keepAspect !== false ? 'checked' : ''}
+                    onchange="${setter('keepAspect', 'this.checked')}">
+                Keep aspect
+            </label>
+        `;
+    }
+
+    return `
+        <div class="image-options-grid">
+            <label class="sheet-option" title="Rotate photos the way the camera recorded them">
+                <input type="checkbox" ${opts.autoOrient !== false ? 'checked' : ''}
+                    onchange="${setter('autoOrient', 'this.checked')}">
+                Auto-orient
+            </label>
+            <select title="Rotate clockwise" onchange="${setter('rotate', 'this.value')}">${rotations}</select>
+            <label class="sheet-option">
+                <input type="checkbox" ${opts.flipH ? 'checked' : ''} onchange="${setter('flipH', 'this.checked')}">
+                Flip H
+            </label>
+            <label class="sheet-option">
+                <input type="checkbox" ${opts.flipV ? 'checked' : ''} onchange="${setter('flipV', 'this.checked')}">
+                Flip V
+            </label>
+        </div>
+        <div class="image-options-grid" title="Crop, in percent from each edge">
+            <span>Crop %</span>
+            ${number('cropTop', 'Top', 'Crop from the top (%)')}
+            ${number('cropRight', 'Right', 'Crop from the right (%)')}
+            ${number('cropBottom', 'Bottom', 'Crop from the bottom (%)')}
+            ${number('cropLeft', 'Left', 'Crop from the left (%)')}
+        </div>
+        <div class="image-options-grid">
+            <select title="Resize" onchange="${setter('resizeMode', 'this.value')}">${modeOptions}</select>
+            ${sizeInputs}
+        </div>
+        ${!targetFormat || LOSSY_FORMATS.includes(targetFormat) ? renderCompressionOptions(opts, setter) : ''}
+    `;
+}
+
+const STAGE_LABELS = {
+    read: 'Reading',
+    decode: 'Decoding',
+    render: 'Rendering',
+    encode: 'Encoding'
+};
+
+function describeProgress(progress) {
+    if (!progress) {
+        return { percent: 0, label: 'Queued' };
+    }
+    const { stage, done, total, unit } = progress;
+    const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+    const verb = STAGE_LABELS[stage] || 'Working';
+    if (unit === 'bytes') {
+        return { percent, label: `${verb} ${percent}%` };
+    }
+    return { percent, label: `${verb} ${done}/${total} ${unit}` };
+}
+
+// Progress events are frequent, so only the row's bar is touched instead of re-rendering the list
+function updateFileProgress(fileObj, progress) {
+    fileObj.progress = progress;
+    const container = fileList.querySelector(`[data-progress-id="${fileObj.id}"]`);
+    if (!container) return;
+
+    const { percent, label } = describeProgress(progress);
+    container.querySelector('.progress-fill').style.width = `${percent}%`;
+    container.querySelector('.progress-label').textContent = label;
+}
+
+function cancelFile(id) {
+    const file = files.find(f => f.id === id);
+    if (file && file.abortController) {
+        file.abortController.abort();
+    }
+}
+
+function cancelAllFiles() {
+    files.forEach(f => {
+        if (f.abortController) f.abortController.abort();
+    });
+}
+
+// Made once per image, when its row first renders, and revoked when it leaves the queue
+function thumbnailUrl(fileObj) {
+    if (!fileObj.thumbnailUrl) fileObj.thumbnailUrl = URL.createObjectURL(fileObj.file);
+    return fileObj.thumbnailUrl;
+}
+
+function releaseThumbnail(fileObj) {
+    if (fileObj.thumbnailUrl) URL.revokeObjectURL(fileObj.thumbnailUrl);
 }
 
 function removeFile(id) {
+    cancelFile(id);
+    if (previewJob && previewJob.id === id) closePreview();
+    files.filter(f => f.id === id).forEach(releaseThumbnail);
     files = files.filter(f => f.id !== id);
     renderFileList();
     updateUIState();
@@ -307,10 +860,75 @@ function updateFileFormat(id, format) {
     const file = files.find(f => f.id === id);
     if (file) {
         file.targetFormat = format;
+        renderFileList(); // Option controls depend on the target
+        updateUIState();
+    }
+}
+
+// Options whose value changes which other inputs are shown
+const RERENDER_OPTIONS = ['resizeMode', 'sizeMode'];
+
+function updateFileOption(id, key, value) {
+    const file = files.find(f => f.id === id);
+    if (file) {
+        file.options[key] = value;
+        if (RERENDER_OPTIONS.includes(key)) renderFileList();
+    }
+}
+
+function toggleFileSelected(id, checked) {
+    const file = files.find(f => f.id === id);
+    if (file) {
+        file.selected = checked;
         updateUIState();
     }
 }
 
+function setAdjustOpen(id, open) {
+    const file = files.find(f => f.id === id);
+    if (file) {
+        file.adjustOpen = open;
+    }
+}
+
+async function setMetadataOpen(id, open) {
+    const file = files.find(f => f.id === id);
+    if (!file || file.metadataOpen === open) return;
+    file.metadataOpen = open;
+    renderFileList();
+    if (!open || file.metadata) return;
+
+    try {
+        file.metadata = await readFileMetadata(file.file);
+    } catch (error) {
+        console.error(error);
+        file.metadata = error;
+    }
+    renderFileList();
+}
+
+// Global image adjustments apply to every image still waiting, and to images added later
+function updateGlobalImageOption(key, value) {
+    globalImageOptions[key] = value;
+    files.forEach(f => {
+        if ((f.status === 'pending' || f.status === 'error') && getFileCategory(f.file) === 'image') {
+            f.options[key] = value;
+        }
+    });
+    renderFileList();
+}
+
+function toggleFileSheet(id, index, checked) {
+    const file = files.find(f => f.id === id);
+    if (file) {
+        const name = file.sheetNames[index];
+        // Keep workbook order so outputs list sheets the way the file does
+        file.options.sheets = file.sheetNames.filter(n =>
+            n === name ? checked : file.options.sheets.includes(n)
+        );
+    }
+}
+
 function updateAllFormats() {
     const format = globalFormatSelect.value;
     if (!format) return;
@@ -330,6 +948,9 @@ function updateAllFormats() {
 }
 
 function clearAllFiles() {
+    cancelAllFiles();
+    closePreview();
+    files.forEach(releaseThumbnail);
     files = [];
     renderFileList();
     updateUIState();
@@ -340,46 +961,696 @@ async function convertAllFiles() {
     // Only convert pending files that have a target format
     const jobs = files.filter(f => f.status === 'pending' && f.targetFormat);
     if (jobs.length === 0) return;
+    await convertFiles(jobs);
+}
 
-    jobs.forEach(f => f.status = 'converting');
+function retryFile(id) {
+    const file = files.find(f => f.id === id);
+    if (file && file.status === 'error' && file.targetFormat) {
+        convertFiles([file]);
+    }
+}
+
+async function convertFiles(jobs) {
+    jobs.forEach(f => {
+        f.status = 'converting';
+        f.error = null;
+        f.progress = null;
+        f.abortController = new AbortController();
+    });
     renderFileList();
     updateUIState();
 
-    // Process parallel or sequential? Parallel is fine for JS
+    // The pool limits how many run at once; rows update as each one finishes
     await Promise.all(jobs.map(async (fileObj) => {
         try {
-            const blob = await convertFile(fileObj.file, fileObj.targetFormat);
+            const blob = await conversionPool.run(fileObj.file, fileObj.targetFormat, {
+                ...fileObj.options,
+                ...markdownImages(fileObj),
+                ...pageSetup(fileObj),
+                signal: fileObj.abortController.signal,
+                onProgress: (progress) => updateFileProgress(fileObj, progress)
+            });
             fileObj.resultBlob = blob;
             fileObj.status = 'done';
+            recordHistory(fileObj);
         } catch (error) {
-            console.error(error);
-            fileObj.status = 'error';
+            if (error.name === 'AbortError') {
+                fileObj.status = 'pending'; // Cancelled jobs can simply be converted again
+            } else {
+                console.error(error);
+                fileObj.status = 'error';
+                fileObj.error = describeError(error);
+            }
         }
+        fileObj.progress = null;
+        fileObj.abortController = null;
+        if (previewJob && previewJob.id === fileObj.id) openPreview(fileObj.id);
+        renderFileList();
+        updateUIState();
+        updateGlobalFormatOptions();
     }));
+}
+
+// Page setup from the panel, for conversions that lay documents out as PDF
+function pageSetup(fileObj) {
+    if (fileObj.targetFormat !== 'application/pdf' || !PAGE_SETUP_CATEGORIES.includes(getFileCategory(fileObj.file))) {
+        return {};
+    }
+    return readPageSetup();
+}
+
+function readPageSetup() {
+    return {
+        pageSize: pageSize.value,
+        orientation: pageOrientation.value,
+        margin: Number(pageMargin.value) || 0,
+        header: pageHeader.value,
+        pageNumbers: pageNumbers.checked
+    };
+}
+
+// Puts a saved page setup (from a preset or a history entry) back into the panel
+function applyPageSetup(setup) {
+    if (!setup) return;
+    if (setup.pageSize) pageSize.value = setup.pageSize;
+    if (setup.orientation) pageOrientation.value = setup.orientation;
+    if (setup.margin !== undefined) pageMargin.value = setup.margin;
+    if (setup.header !== undefined) pageHeader.value = setup.header;
+    if (setup.pageNumbers !== undefined) pageNumbers.checked = setup.pageNumbers;
+}
+
+// Images a Markdown file refers to by relative path come from the queue: those in its folder
+// (or below it), keyed by their path from the document. Files dropped loose share the top level.
+function markdownImages(fileObj) {
+    if (findConverter(fileObj.file)?.id !== 'markdown') return {};
+    const prefix = fileObj.path ? fileObj.path + '/' : '';
+    const images = {};
+    files.forEach(f => {
+        const fullPath = (f.path ? f.path + '/' : '') + f.file.name;
+        if (f !== fileObj && getFileCategory(f.file) === 'image' && fullPath.startsWith(prefix)) {
+            images[fullPath.slice(prefix.length)] = f.file;
+        }
+    });
+    return { images };
+}
+
+// The preview pane shows a file's source next to its result, once there is one. Two images
+// can also be laid over each other and compared with a slider.
+async function openPreview(id) {
+    const fileObj = files.find(f => f.id === id);
+    if (!fileObj) return;
+    closePreview();
+
+    const job = { id, controller: new AbortController(), previews: [] };
+    previewJob = job;
+    previewTitle.textContent = fileObj.file.name;
+    previewDiff.textContent = '';
+    previewCompare.checked = false;
+    previewCompareOption.hidden = true;
+    previewSource.innerHTML = '<p class="preview-note">Loading...</p>';
+    previewResult.innerHTML = fileObj.resultBlob ? '<p class="preview-note">Loading...</p>' : '';
+    previewResultSide.hidden = !fileObj.resultBlob;
+    previewPane.hidden = false;
+    showPreviewMode();
+    previewPane.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+    const { signal } = job.controller;
+    const render = async (container, file, options) => {
+        const preview = await renderPreview(container, file, { options, signal });
+        job.previews.push(preview);
+        return preview;
+    };
+    try {
+        const result = fileObj.resultBlob
+            ? new File([fileObj.resultBlob], getDownloadName(fileObj), { type: fileObj.resultBlob.type })
+            : null;
+        const [before, after] = await Promise.all([
+            render(previewSource, fileObj.file, fileObj.options),
+            result ? render(previewResult, result, {}) : null
+        ]);
+        if (previewJob !== job) return;
+
+        previewDiff.textContent = describePreviewDiff(fileObj.file, before, result, after);
+        if (after && before.kind === 'image' && after.kind === 'image') {
+            compareBefore.src = before.imageUrl;
+            compareAfter.src = after.imageUrl;
+            compareBefore.dataset.width = before.width;
+            compareAfter.style.clipPath = `inset(0 0 0 ${compareSlider.value}%)`;
+            previewCompareOption.hidden = false;
+        }
+        applyPreviewZoom();
+    } catch (error) {
+        if (error.name !== 'AbortError') console.error(error);
+    }
+}
+
+function closePreview() {
+    if (previewJob) {
+        previewJob.controller.abort();
+        previewJob.previews.forEach(preview => preview.dispose());
+        previewJob = null;
+    }
+    previewPane.hidden = true;
+    previewSource.innerHTML = '';
+    previewResult.innerHTML = '';
+    compareBefore.removeAttribute('src');
+    compareAfter.removeAttribute('src');
+}
+
+function showPreviewMode() {
+    const compare = previewCompare.checked && !previewCompareOption.hidden;
+    previewSides.hidden = compare;
+    previewCompareView.hidden = !compare;
+}
+
+// Images and PDF pages are drawn at a multiple of their pixel size, or fitted to the pane
+function applyPreviewZoom() {
+    const zoom = previewZoom.value === 'fit' ? null : Number(previewZoom.value);
+    [previewSource, previewResult, previewCompareView].forEach(body => body.classList.toggle('zoomed', !!zoom));
+    previewPane.querySelectorAll('.preview-image, .preview-page').forEach(image => {
+        image.style.width = zoom ? `${image.naturalWidth * zoom}px` : '';
+    });
+    // Fitted, the pair may shrink to the pane but isn't stretched past its own size
+    const width = Number(compareBefore.dataset.width) || 0;
+    compareStage.style.width = zoom ? `${width * zoom}px` : '';
+    compareStage.style.maxWidth = zoom || !width ? '' : `${width}px`;
+}
+
+// "2.4 MB → 310 KB (−87%) • 4000×3000 → 1200×900"
+function describePreviewDiff(source, before, result, after) {
+    const parts = [];
+    const dimensions = info => info.width ? `${info.width}×${info.height}` : '';
+    const counts = info => {
+        if (info.pages) return `${info.pages} page${info.pages === 1 ? '' : 's'}`;
+        if (info.sheets) return `${info.sheets} sheet${info.sheets === 1 ? '' : 's'}`;
+        if (info.entries) return `${info.entries} files`;
+        return '';
+    };
+
+    if (!result) {
+        return [formatSize(source.size), dimensions(before), counts(before)].filter(Boolean).join(' • ');
+    }
+    const change = Math.round((result.size / source.size - 1) * 100);
+    parts.push(`${formatSize(source.size)} → ${formatSize(result.size)} (${change > 0 ? '+' : change < 0 ? '−' : '±'}${Math.abs(change)}%)`);
+    if (dimensions(before) || dimensions(after)) {
+        parts.push(`${dimensions(before) || '—'} → ${dimensions(after) || '—'}`);
+    }
+    if (counts(before) || counts(after)) {
+        parts.push(`${counts(before) || '—'} → ${counts(after) || '—'}`);
+    }
+    return parts.join(' • ');
+}
+
+// Presets and history (storage.js). A preset is a target plus the settings to convert with,
+// applied from the global bar to every file still waiting that can take it.
+
+// Settings that only make sense for the file they were picked on
+const FILE_SPECIFIC_OPTIONS = ['sheets'];
+
+async function loadPresets() {
+    try {
+        presets = await listPresets();
+    } catch (error) {
+        console.error(error);
+        showStatus(presetStatus, 'Presets can not be stored in this browser');
+    }
+    renderPresets();
+}
+
+function renderPresets() {
+    presetSelect.innerHTML = '<option value="" selected>Apply preset...</option>' + presets.map((preset, i) =>
+        `<option value="${i}">${escapeHtml(preset.name)}</option>`
+    ).join('');
+    presetSelect.hidden = presets.length === 0;
+    presetExportBtn.disabled = presets.length === 0;
+    presetList.innerHTML = presets.map((preset, i) => `
+        <li>
+            <span class="saved-name">${escapeHtml(preset.name)}</span>
+            <span>${escapeHtml(formatLabel(preset.target))}</span>
+            <button class="remove-btn" onclick="removePreset(${i})" title="Delete preset">✕</button>
+        </li>
+    `).join('') || '<li>No presets yet</li>';
+
+    window.removePreset = removePreset;
+}
+
+function showStatus(element, message) {
+    element.textContent = message;
+    element.hidden = !message;
+}
+
+// Saves the target picked in "Convert all to..." with the settings of a row converting to it,
+// so what was tuned on one file carries over. Settings no converter to the target takes (the
+// global image panel's, for a document target) stay behind.
+async function saveCurrentPreset() {
+    const name = presetName.value.trim();
+    const target = globalFormatSelect.value;
+    if (!name) {
+        showStatus(presetStatus, 'Give the preset a name');
+        return;
+    }
+    if (!target) {
+        showStatus(presetStatus, 'Pick a target in "Convert all to..." first');
+        return;
+    }
+
+    const source = files.find(f => f.targetFormat === target);
+    const declared = Object.assign({}, ...listConverters()
+        .filter(converter => converter.targets.includes(target))
+        .map(converter => converter.options));
+    const options = Object.fromEntries(Object.entries(source ? source.options : globalImageOptions)
+        .filter(([key]) => key in declared && !FILE_SPECIFIC_OPTIONS.includes(key)));
+    const preset = { name, target, options };
+    if (target === 'application/pdf' && !pageSetupPanel.hidden) {
+        preset.pageSetup = readPageSetup();
+    }
+
+    try {
+        await savePreset(preset);
+        presetName.value = '';
+        showStatus(presetStatus, '');
+    } catch (error) {
+        console.error(error);
+        showStatus(presetStatus, `Could not save the preset: ${error.message}`);
+    }
+    loadPresets();
+}
+
+async function removePreset(index) {
+    const preset = presets[index];
+    if (!preset) return;
+    try {
+        await deletePreset(preset.name);
+    } catch (error) {
+        console.error(error);
+        showStatus(presetStatus, `Could not delete the preset: ${error.message}`);
+    }
+    loadPresets();
+}
+
+// Each waiting file that can be converted to the preset's target gets it, with the preset's
+// settings its converter understands
+function applySelectedPreset() {
+    const preset = presets[presetSelect.value];
+    presetSelect.value = '';
+    if (!preset) return;
+
+    let applied = 0;
+    files.forEach(f => {
+        if (f.status !== 'pending' && f.status !== 'error') return;
+        const converter = findConverter(f.file, preset.target);
+        if (!converter) return;
+        f.targetFormat = preset.target;
+        Object.entries(preset.options).forEach(([key, value]) => {
+            if (key in converter.options && !FILE_SPECIFIC_OPTIONS.includes(key)) {
+                f.options[key] = value;
+            }
+        });
+        applied++;
+    });
+    applyPageSetup(preset.pageSetup);
+    showStatus(presetStatus, applied === 0 ? `No waiting file can be converted to ${formatLabel(preset.target)}` : '');
+    if (applied > 0 && [...globalFormatSelect.options].some(opt => opt.value === preset.target)) {
+        globalFormatSelect.value = preset.target;
+    }
 
     renderFileList();
     updateUIState();
 }
 
+async function importPresetFile() {
+    const file = presetImportInput.files[0];
+    presetImportInput.value = ''; // Allow importing the same file again
+    if (!file) return;
+    try {
+        await importPresets(await file.text());
+        showStatus(presetStatus, '');
+    } catch (error) {
+        console.error(error);
+        showStatus(presetStatus, `Could not import ${file.name}: ${error.message}`);
+    }
+    loadPresets();
+}
+
+async function loadHistory() {
+    try {
+        history = await listHistory();
+    } catch (error) {
+        console.error(error);
+        showStatus(historyStatus, 'The history can not be stored in this browser');
+    }
+    renderHistory();
+}
+
+function renderHistory() {
+    historyList.innerHTML = history.map(entry => `
+        <li>
+            <span class="saved-name" title="${escapeHtml(entry.outputName)}">
+                ${escapeHtml(entry.source.name)} → ${escapeHtml(formatLabel(entry.target))}
+            </span>
+            <span>${formatSize(entry.result.size)} • ${new Date(entry.date).toLocaleString()}</span>
+            <button class="btn-secondary" onclick="downloadHistoryEntry(${entry.id})">Download</button>
+            <button class="btn-secondary" onclick="rerunHistoryEntry(${entry.id})" title="Convert the original again with the same settings">Re-run</button>
+            <button class="remove-btn" onclick="removeHistoryEntry(${entry.id})" title="Remove from history">✕</button>
+        </li>
+    `).join('') || '<li>No conversions yet</li>';
+    historyClearBtn.hidden = history.length === 0;
+
+    window.downloadHistoryEntry = downloadHistoryEntry;
+    window.rerunHistoryEntry = rerunHistoryEntry;
+    window.removeHistoryEntry = removeHistoryEntry;
+}
+
+// Keeps the source, the settings and the result of a finished job. A full disk only costs
+// the history entry, not the conversion.
+async function recordHistory(fileObj) {
+    const setup = pageSetup(fileObj);
+    try {
+        await addHistoryEntry({
+            date: Date.now(),
+            source: fileObj.file,
+            path: fileObj.path,
+            target: fileObj.targetFormat,
+            options: { ...fileObj.options },
+            pageSetup: Object.keys(setup).length > 0 ? setup : undefined,
+            result: fileObj.resultBlob,
+            outputName: getDownloadName(fileObj)
+        });
+    } catch (error) {
+        console.error(error);
+        showStatus(historyStatus, `Could not add ${fileObj.file.name} to the history: ${error.message}`);
+    }
+    loadHistory();
+}
+
+function downloadHistoryEntry(id) {
+    const entry = history.find(e => e.id === id);
+    if (entry) {
+        saveAs(entry.result, entry.outputName);
+    }
+}
+
+// The original goes back into the queue with its old settings and converts straight away
+function rerunHistoryEntry(id) {
+    const entry = history.find(e => e.id === id);
+    if (!entry) return;
+
+    const fileObj = {
+        id: createFileId(),
+        file: entry.source,
+        path: entry.path,
+        targetFormat: entry.target,
+        options: { ...entry.options },
+        status: 'pending',
+        resultBlob: null
+    };
+    files.push(fileObj);
+    if (getFileCategory(fileObj.file) === 'spreadsheet') {
+        loadSheetNames(fileObj);
+    }
+    applyPageSetup(entry.pageSetup);
+    updateGlobalFormatOptions();
+    convertFiles([fileObj]);
+}
+
+async function removeHistoryEntry(id) {
+    try {
+        await deleteHistoryEntry(id);
+    } catch (error) {
+        console.error(error);
+    }
+    loadHistory();
+}
+
+async function clearAllHistory() {
+    try {
+        await clearHistory();
+        showStatus(historyStatus, '');
+    } catch (error) {
+        console.error(error);
+        showStatus(historyStatus, `Could not clear the history: ${error.message}`);
+    }
+    loadHistory();
+}
+
+// Selected images become one PDF, in queue order; the result is added to the queue as a finished item
+async function mergeSelectedFiles() {
+    const selected = files.filter(f => f.selected && getFileCategory(f.file) === 'image');
+    if (selected.length === 0) return;
+
+    mergeInProgress = true;
+    mergeBtn.disabled = true;
+    mergeBtn.textContent = 'Merging...';
+    mergeStatus.hidden = true;
+    try {
+        const blob = await mergeImagesToPdf(selected.map(f => ({ file: f.file, options: f.options })), {
+            pageSize: mergePageSize.value,
+            orientation: mergeOrientation.value,
+            margin: mergeMargin.value,
+            onProgress: ({ done, total }) => {
+                mergeBtn.textContent = `Merging ${done}/${total}...`;
+            }
+        });
+        addResultFile(blob, 'merged.pdf');
+    } catch (error) {
+        console.error(error);
+        mergeStatus.textContent = describeError(error).message;
+        mergeStatus.hidden = false;
+    } finally {
+        mergeInProgress = false;
+        updateUIState();
+    }
+}
+
+// Results of merges and PDF tools join the queue as finished items, so the usual
+// Download / Download All flow picks them up
+function addResultFile(blob, name) {
+    files.push({
+        id: createFileId(),
+        file: new File([blob], name, { type: blob.type }),
+        path: '',
+        targetFormat: blob.type,
+        options: {},
+        status: 'done',
+        resultBlob: blob,
+        outputName: name
+    });
+    renderFileList();
+    updateUIState();
+}
+
+// Shows the controls the chosen operation needs and keeps the source list in sync with the queue
+function renderPdfTools() {
+    const pdfs = files.filter(f => getFileCategory(f.file) === 'pdf');
+    pdfToolsPanel.hidden = pdfs.length === 0;
+
+    const current = pdfSource.value;
+    pdfSource.innerHTML = pdfs.map(f =>
+        `<option value="${f.id}" ${f.id === current ? 'selected' : ''}>${escapeHtml(f.file.name)}</option>`
+    ).join('');
+
+    const operation = pdfOperation.value;
+    const merge = operation === 'merge';
+    pdfSource.hidden = merge;
+    pdfSplitMode.hidden = operation !== 'split';
+    pdfPages.hidden = merge || (operation === 'split' && pdfSplitMode.value === 'single');
+    pdfPages.placeholder = operation === 'split' ? 'Ranges (e.g. 1-3,4-6,7-)' : 'Pages (empty = all)';
+    pdfAngle.hidden = operation !== 'rotate';
+    pdfThumbnails.hidden = merge;
+
+    if (!pdfToolInProgress) {
+        const selectedPdfs = pdfs.filter(f => f.selected).length;
+        pdfRunBtn.textContent = merge ? `Merge selected (${selectedPdfs})` : 'Run';
+        pdfRunBtn.disabled = merge ? selectedPdfs < 2 : pdfs.length === 0;
+    }
+
+    loadThumbnails(merge ? null : pdfs.find(f => f.id === pdfSource.value));
+}
+
+function loadThumbnails(fileObj) {
+    const id = fileObj ? fileObj.id : null;
+    if (thumbnailJob && thumbnailJob.id === id) return;
+
+    if (thumbnailJob) {
+        thumbnailJob.controller.abort();
+        thumbnailJob.urls.forEach(url => URL.revokeObjectURL(url));
+    }
+    pdfThumbnails.innerHTML = '';
+    thumbnailJob = id ? { id, controller: new AbortController(), urls: [] } : null;
+    if (!thumbnailJob) return;
+
+    const job = thumbnailJob;
+    renderPdfThumbnails(fileObj.file, (pageNumber, blob) => {
+        const url = URL.createObjectURL(blob);
+        job.urls.push(url);
+        const thumb = document.createElement('button');
+        thumb.type = 'button';
+        thumb.className = 'pdf-thumbnail';
+        thumb.dataset.page = pageNumber;
+        thumb.title = `Page ${pageNumber}`;
+        thumb.innerHTML = `<img src="${url}" alt="Page ${pageNumber}"><span>${pageNumber}</span>`;
+        thumb.addEventListener('click', () => togglePage(pageNumber));
+        pdfThumbnails.appendChild(thumb);
+        highlightSelectedPages();
+    }, { signal: job.controller.signal }).catch(error => {
+        if (error.name !== 'AbortError') {
+            console.error(error);
+            pdfThumbnails.textContent = 'Page previews are not available for this PDF';
+        }
+    });
+}
+
+// Page numbers typed in the pages field, or none while it doesn't parse
+function selectedPages() {
+    const count = pdfThumbnails.querySelectorAll('.pdf-thumbnail').length;
+    if (!pdfPages.value.trim() || count === 0) return new Set();
+    try {
+        return new Set(parsePageRange(pdfPages.value, count));
+    } catch {
+        return new Set();
+    }
+}
+
+function togglePage(pageNumber) {
+    const pages = selectedPages();
+    if (pages.has(pageNumber)) {
+        pages.delete(pageNumber);
+    } else {
+        pages.add(pageNumber);
+    }
+    pdfPages.value = formatPageRange([...pages].sort((a, b) => a - b));
+    highlightSelectedPages();
+}
+
+// [1, 2, 3, 5] → "1-3,5"
+function formatPageRange(pages) {
+    const parts = [];
+    for (let i = 0; i < pages.length; i++) {
+        let end = i;
+        while (end + 1 < pages.length && pages[end + 1] === pages[end] + 1) end++;
+        parts.push(end > i ? `${pages[i]}-${pages[end]}` : `${pages[i]}`);
+        i = end;
+    }
+    return parts.join(',');
+}
+
+function highlightSelectedPages() {
+    const pages = selectedPages();
+    pdfThumbnails.querySelectorAll('.pdf-thumbnail').forEach(thumb => {
+        thumb.classList.toggle('selected', pages.has(Number(thumb.dataset.page)));
+    });
+}
+
+async function runPdfTool() {
+    const operation = pdfOperation.value;
+    const sources = operation === 'merge'
+        ? files.filter(f => f.selected && getFileCategory(f.file) === 'pdf')
+        : files.filter(f => f.id === pdfSource.value);
+    if (sources.length === 0) return;
+
+    pdfToolInProgress = true;
+    pdfRunBtn.disabled = true;
+    pdfRunBtn.textContent = 'Working...';
+    pdfStatus.hidden = true;
+    try {
+        const { blob, name } = await runPdfOperation(operation, sources.map(f => f.file), {
+            pages: pdfPages.value,
+            splitMode: pdfSplitMode.value,
+            angle: Number(pdfAngle.value)
+        });
+        addResultFile(blob, name);
+    } catch (error) {
+        console.error(error);
+        pdfStatus.textContent = describeError(error).message;
+        pdfStatus.hidden = false;
+    } finally {
+        pdfToolInProgress = false;
+        renderPdfTools();
+    }
+}
+
+// ConversionError carries a stage and a user-facing message; anything else is unexpected
+function describeError(error) {
+    const stage = error.stage || 'encode';
+    const cause = error.cause && error.cause.message;
+    return {
+        stage,
+        message: error.message || 'Conversion failed',
+        detail: cause ? `${STAGE_LABELS[stage] || stage} failed: ${cause}` : '',
+        cause: error.cause || error
+    };
+}
+
+function getDownloadName(fileObj) {
+    if (fileObj.outputName) return fileObj.outputName;
+    // Multi-page results come back as a ZIP bundle, so prefer the blob's own type
+    const ext = FILE_EXTENSIONS[fileObj.resultBlob.type] || FILE_EXTENSIONS[fileObj.targetFormat] || 'bin';
+    const originalName = fileObj.file.name.replace(/\.[^/.]+$/, "");
+    return `${originalName}_converted.${ext}`;
+}
+
 function downloadFile(id) {
     const fileObj = files.find(f => f.id === id);
     if (fileObj && fileObj.resultBlob) {
-        // Determine extension
-        const extMap = {
-            'image/jpeg': 'jpg',
-            'image/png': 'png',
-            'image/webp': 'webp',
-            'image/bmp': 'bmp',
-            'image/gif': 'gif',
-            'application/pdf': 'pdf',
-            'text/html': 'html',
-            'text/csv': 'csv',
-            'text/plain': 'txt',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
-            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx'
-        };
-        const ext = extMap[fileObj.targetFormat] || 'bin';
-        const originalName = fileObj.file.name.replace(/\.[^/.]+$/, "");
-        saveAs(fileObj.resultBlob, `${originalName}_converted.${ext}`);
+        saveAs(fileObj.resultBlob, getDownloadName(fileObj));
+    }
+}
+
+// Bundle results get unpacked into a folder of their own instead of nesting ZIPs
+async function collectDownloadEntries() {
+    const used = new Set();
+    const entries = [];
+    for (const fileObj of files.filter(f => f.status === 'done' && f.resultBlob)) {
+        // Files from a ZIP go back into the folder they came from
+        const name = uniqueName((fileObj.path ? fileObj.path + '/' : '') + getDownloadName(fileObj), used);
+        if (fileObj.resultBlob.type === 'application/zip') {
+            const folder = name.replace(/\.zip$/, '');
+            const inner = await readZipEntries(fileObj.resultBlob);
+            inner.forEach(entry => entries.push({ name: `${folder}/${entry.name}`, blob: entry.blob }));
+        } else {
+            entries.push({ name, blob: fileObj.resultBlob });
+        }
+    }
+    return entries;
+}
+
+async function downloadAllFiles() {
+    const entries = await collectDownloadEntries();
+    if (entries.length === 0) return;
+
+    const zipName = 'converted_files.zip';
+    downloadAllBtn.disabled = true;
+    try {
+        if (window.showSaveFilePicker) {
+            // Stream straight to disk where the browser allows it
+            let handle;
+            try {
+                handle = await window.showSaveFilePicker({
+                    suggestedName: zipName,
+                    types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') return; // Picker dismissed
+                throw error;
+            }
+            const writable = await handle.createWritable();
+            try {
+                await writeZip(entries, chunk => writable.write(chunk));
+                await writable.close();
+            } catch (error) {
+                await writable.abort();
+                throw error;
+            }
+        } else {
+            // Without the picker the archive is built as a Blob first, which other browsers
+            // may hold in memory in full (see createZipBlob)
+            saveAs(await createZipBlob(entries), zipName);
+        }
+    } catch (error) {
+        console.error(error);
+        alert(`Could not create the ZIP archive: ${error.message}`);
+    } finally {
+        downloadAllBtn.disabled = false;
     }
 }
@@ -0,0 +1,237 @@
+// Markdown in and out. Reading is marked's GitHub-flavoured parser (tables, fenced code,
+// autolinks); writing walks HTML, so every source that becomes HTML on the way (DOCX through
+// mammoth, HTML itself) can be written as Markdown.
+import { Marked } from 'marked';
+import { getPlatform } from './platform.js';
+
+const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE', 'FOOTER',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'UL'
+]);
+const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'HEAD', 'TITLE', 'NOSCRIPT', 'TEMPLATE']);
+
+/**
+ * Renders Markdown as an HTML fragment.
+ * @param {string} markdown
+ * @param {Object<string, Blob>} [images] files for relative image paths, keyed by path relative to
+ *        the document ("img/logo.png"); they are inlined as data URLs so the HTML stands alone
+ * @returns {Promise<string>}
+ */
+export async function markdownToHtml(markdown, images = {}) {
+    const marked = new Marked({
+        gfm: true,
+        async: true,
+        walkTokens: async (token) => {
+            if (token.type !== 'image') return;
+            const blob = images[normalizePath(token.href)];
+            if (blob) token.href = await blobToDataUrl(blob);
+        }
+    });
+    return marked.parse(markdown);
+}
+
+/**
+ * The relative image paths a Markdown document refers to, e.g. to collect the files for
+ * markdownToHtml. URLs (http:, data:...) and absolute paths are left out.
+ * @param {string} markdown
+ * @returns {string[]}
+ */
+export function markdownImagePaths(markdown) {
+    const marked = new Marked({ gfm: true });
+    const paths = new Set();
+    marked.walkTokens(marked.lexer(markdown), (token) => {
+        if (token.type === 'image' && !/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(token.href)) {
+            paths.add(normalizePath(token.href));
+        }
+    });
+    return [...paths];
+}
+
+/**
+ * Writes HTML as GitHub-flavoured Markdown: headings, paragraphs, emphasis, links, images,
+ * nested lists, block quotes, code and tables. Anything else keeps its text.
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToMarkdown(html) {
+    const doc = getPlatform().parseHtml(html);
+    return blocks(doc.body).join('\n\n').trim() + '\n';
+}
+
+/**
+ * A GitHub-flavoured Markdown table. Markdown tables always have a header row, so without one
+ * the columns are headed A, B, C... like spreadsheet columns.
+ * @param {string[][]} rows cell text
+ * @param {boolean} [hasHeader] the first row holds the column names
+ * @returns {string}
+ */
+export function rowsToMarkdownTable(rows, hasHeader = true) {
+    const width = Math.max(1, ...rows.map(row => row.length));
+    const cell = (value) => escapeText(String(value ?? '')).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>').trim();
+    const line = (row) => '| ' + Array.from({ length: width }, (_, i) => cell(row[i])).join(' | ') + ' |';
+
+    const header = hasHeader && rows.length ? rows[0] : Array.from({ length: width }, (_, i) => columnName(i));
+    const body = hasHeader ? rows.slice(1) : rows;
+    return [line(header), '|' + ' --- |'.repeat(width), ...body.map(line)].join('\n');
+}
+
+// Block-level Markdown for each child of a container; runs of inline content become paragraphs
+function blocks(container) {
+    const out = [];
+    let run = '';
+    const flush = () => {
+        // Line breaks at either end of a paragraph would show as stray backslashes
+        const text = run.replace(/^(\s*\\\n)+|(\\\n\s*)+$/g, '').replace(/[ \t]*\n[ \t]*/g, '\n').trim();
+        if (text) out.push(escapeLineStarts(text));
+        run = '';
+    };
+
+    container.childNodes.forEach(node => {
+        if (node.nodeType === 1 && BLOCK_TAGS.has(node.tagName)) {
+            flush();
+            const markdown = block(node);
+            if (markdown) out.push(markdown);
+        } else {
+            run += inline(node);
+        }
+    });
+    flush();
+    return out;
+}
+
+function block(el) {
+    const tag = el.tagName;
+    if (/^H[1-6]$/.test(tag)) {
+        const text = inlineChildren(el).replace(/\s+/g, ' ').trim();
+        return text ? '#'.repeat(Number(tag[1])) + ' ' + text : '';
+    }
+    if (tag === 'P' || tag === 'DT' || tag === 'FIGCAPTION') return blocks(el).join('\n\n');
+    if (tag === 'HR') return '---';
+    if (tag === 'PRE') return codeBlock(el);
+    if (tag === 'BLOCKQUOTE') return blocks(el).join('\n\n').split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+    if (tag === 'UL' || tag === 'OL') return list(el);
+    if (tag === 'TABLE') return table(el);
+    return blocks(el).join('\n\n');
+}
+
+function list(el) {
+    const ordered = el.tagName === 'OL';
+    let number = Number(el.getAttribute('start')) || 1;
+    const items = Array.from(el.children).filter(child => child.tagName === 'LI');
+    // Items whose content is in paragraphs make a loose list, spaced by blank lines
+    const loose = items.some(item => Array.from(item.children).some(child => child.tagName === 'P'));
+
+    return items.map(item => {
+        const marker = ordered ? `${number++}. ` : '- ';
+        const checkbox = item.querySelector('input[type="checkbox"]');
+        const task = checkbox ? (checkbox.hasAttribute('checked') ? '[x] ' : '[ ] ') : '';
+        const content = blocks(item).join(loose ? '\n\n' : '\n');
+        const indent = ' '.repeat(marker.length);
+        return marker + task + content.split('\n').map((line, i) => i === 0 || !line ? line : indent + line).join('\n');
+    }).join(loose ? '\n\n' : '\n');
+}
+
+function table(el) {
+    const rows = Array.from(el.querySelectorAll('tr')).filter(row => row.closest('table') === el);
+    if (rows.length === 0) return '';
+    const cells = rows.map(row => Array.from(row.children)
+        .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+        .map(cell => blocks(cell).join('<br>')));
+    // The text is Markdown already; rowsToMarkdownTable would escape it a second time
+    const width = Math.max(...cells.map(row => row.length));
+    const line = (row) => '| ' + Array.from({ length: width }, (_, i) => (row[i] || '').replace(/\|/g, '\\|').replace(/\\?\n/g, '<br>')).join(' | ') + ' |';
+    return [line(cells[0]), '|' + ' --- |'.repeat(width), ...cells.slice(1).map(line)].join('\n');
+}
+
+function codeBlock(el) {
+    const code = el.querySelector('code');
+    const language = code ? ((code.getAttribute('class') || '').match(/(?:^|\s)(?:language|lang)-(\S+)/) || [])[1] || '' : '';
+    const text = el.textContent.replace(/\n$/, '');
+    const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    return `${fence}${language}\n${text}\n${fence}`;
+}
+
+function inline(node) {
+    if (node.nodeType === 3) return escapeText(node.textContent.replace(/\s+/g, ' '));
+    if (node.nodeType !== 1 || SKIP_TAGS.has(node.tagName)) return '';
+
+    const tag = node.tagName;
+    if (tag === 'BR') return '\\\n';
+    if (tag === 'IMG') {
+        const src = node.getAttribute('src');
+        return src ? `![${escapeText(node.getAttribute('alt') || '')}](${linkTarget(src, node.getAttribute('title'))})` : '';
+    }
+    if (tag === 'INPUT') return ''; // Task list checkboxes are written by list()
+    if (tag === 'CODE' || tag === 'KBD' || tag === 'SAMP' || tag === 'TT') {
+        const text = node.textContent;
+        const fence = '`'.repeat(Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length)) + 1);
+        const pad = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+        return text ? fence + pad + text + pad + fence : '';
+    }
+
+    const content = inlineChildren(node);
+    if (tag === 'A') {
+        const href = node.getAttribute('href');
+        if (!href || href.startsWith('#_')) return content; // mammoth's bookmark anchors
+        if (content === escapeText(href)) return `<${href}>`;
+        return `[${content}](${linkTarget(href, node.getAttribute('title'))})`;
+    }
+    if (tag === 'STRONG' || tag === 'B') return wrap(content, '**');
+    if (tag === 'EM' || tag === 'I' || tag === 'CITE') return wrap(content, '*');
+    if (tag === 'DEL' || tag === 'S' || tag === 'STRIKE') return wrap(content, '~~');
+    return content;
+}
+
+function inlineChildren(el) {
+    return Array.from(el.childNodes).map(inline).join('');
+}
+
+// Emphasis markers must touch the text, so surrounding spaces move outside them
+function wrap(content, marker) {
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : content;
+}
+
+function linkTarget(url, title) {
+    const target = /[\s()]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+    return title ? `${target} "${title.replace(/"/g, '\\"')}"` : target;
+}
+
+function escapeText(text) {
+    return text.replace(/([\\`*_[\]<>~])/g, '\\$1');
+}
+
+// Text that would read as a heading, list item or quote at the start of a line
+function escapeLineStarts(text) {
+    return text
+        .replace(/^(#{1,6}|[-+])(\s)/gm, '\\$1$2')
+        .replace(/^(\d+)([.)]\s)/gm, '$1\\$2');
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+function normalizePath(path) {
+    let decoded = path;
+    try {
+        decoded = decodeURI(path);
+    } catch {
+        // Not percent-encoded after all
+    }
+    return decoded.replace(/^\.\//, '').replace(/[?#].*$/, '');
+}
+
+async function blobToDataUrl(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+}
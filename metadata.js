@@ -0,0 +1,677 @@
+// Image and document metadata. EXIF, ICC profiles and XMP are read from JPEG, PNG, WebP and
+// TIFF sources and written back into the JPEG, PNG and WebP files the canvas encodes, which
+// otherwise carry none of it. PDF info and DOCX core properties are read for display and to
+// fill in the properties of PDF outputs.
+import { zlibSync, unzlibSync, unzipSync, strFromU8, strToU8 } from 'fflate';
+import { pngChunk } from './png.js';
+
+/** What a conversion does with the source's metadata. */
+export const METADATA_MODES = ['strip', 'keep', 'stripLocation'];
+
+/**
+ * @typedef {Object} ImageMetadata
+ * @property {Uint8Array|null} exif EXIF as a TIFF structure, as stored after "Exif\0\0" in JPEG
+ * @property {Uint8Array|null} icc ICC colour profile
+ * @property {string|null} xmp XMP packet
+ */
+
+/**
+ * @typedef {Object} MetadataSection
+ * @property {string} title e.g. 'EXIF', 'GPS', 'ICC profile'
+ * @property {Array<[string, string]>} rows label and value
+ */
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const EXIF_POINTER = 0x8769;
+const GPS_POINTER = 0x8825;
+const INTEROP_POINTER = 0xA005;
+const ORIENTATION = 0x0112;
+const MAKER_NOTE = 0x927C;
+
+// IFD0 tags that describe how a TIFF stores its pixels; meaningless once the image is re-encoded
+const STRUCTURE_TAGS = new Set([
+    0x00FE, 0x0100, 0x0101, 0x0102, 0x0103, 0x0106, 0x0111, 0x0115, 0x0116, 0x0117, 0x011C,
+    0x0140, 0x0142, 0x0143, 0x0144, 0x0145, 0x0152, 0x0153, 0x0201, 0x0202, 0x02BC, 0x8773,
+    EXIF_POINTER, GPS_POINTER
+]);
+// Exif tags that no longer hold once the image is resized or cropped
+const STALE_EXIF_TAGS = new Set([0xA002, 0xA003, INTEROP_POINTER]);
+
+const TAG_NAMES = {
+    0x010E: 'Description', 0x010F: 'Camera make', 0x0110: 'Camera model', 0x0112: 'Orientation',
+    0x011A: 'X resolution', 0x011B: 'Y resolution', 0x0128: 'Resolution unit', 0x0131: 'Software',
+    0x0132: 'Modified', 0x013B: 'Artist', 0x8298: 'Copyright',
+    0x829A: 'Exposure time', 0x829D: 'F-number', 0x8822: 'Exposure program', 0x8827: 'ISO',
+    0x9000: 'Exif version', 0x9003: 'Taken', 0x9004: 'Digitized', 0x9010: 'Time zone',
+    0x9201: 'Shutter speed', 0x9202: 'Aperture', 0x9204: 'Exposure bias', 0x9207: 'Metering mode',
+    0x9209: 'Flash', 0x920A: 'Focal length', 0xA001: 'Colour space', 0xA002: 'Width', 0xA003: 'Height',
+    0xA405: 'Focal length (35 mm)', 0xA430: 'Camera owner', 0xA431: 'Body serial number',
+    0xA433: 'Lens make', 0xA434: 'Lens model',
+    0x0000: 'GPS version', 0x0001: 'Latitude ref', 0x0002: 'Latitude', 0x0003: 'Longitude ref',
+    0x0004: 'Longitude', 0x0005: 'Altitude ref', 0x0006: 'Altitude', 0x0007: 'GPS time',
+    0x0010: 'Direction ref', 0x0011: 'Direction', 0x001D: 'GPS date'
+};
+
+/**
+ * Finds the EXIF, ICC profile and XMP of a JPEG, PNG, WebP or TIFF file. Other formats, and
+ * damaged metadata, give nulls.
+ * @param {Uint8Array} bytes
+ * @returns {ImageMetadata}
+ */
+export function extractImageMetadata(bytes) {
+    const metadata = { exif: null, icc: null, xmp: null };
+    try {
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) readJpegMetadata(bytes, metadata);
+        else if (ascii(bytes, 1, 3) === 'PNG') readPngMetadata(bytes, metadata);
+        else if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') readWebpMetadata(bytes, metadata);
+        else if (ascii(bytes, 0, 2) === 'II' || ascii(bytes, 0, 2) === 'MM') readTiffMetadata(bytes, metadata);
+    } catch {
+        // Damaged metadata reads as missing, keeping whatever was found before the damage
+    }
+    return metadata;
+}
+
+/**
+ * Writes metadata into an encoded JPEG, PNG or WebP. The EXIF is rewritten for the new image:
+ * orientation reset (the pixels are already upright), thumbnail and size tags dropped, and the
+ * GPS data left out when stripping location, along with the location in the XMP.
+ * @param {Uint8Array} bytes the encoded image
+ * @param {string} type its MIME type
+ * @param {ImageMetadata} metadata from extractImageMetadata
+ * @param {string} mode 'keep' or 'stripLocation'; 'strip' returns the bytes unchanged
+ * @returns {Uint8Array}
+ */
+export function embedImageMetadata(bytes, type, metadata, mode) {
+    if (mode !== 'keep' && mode !== 'stripLocation') return bytes;
+    const prepared = {
+        exif: metadata.exif && rewriteExif(metadata.exif, { location: mode === 'keep' }),
+        icc: metadata.icc,
+        xmp: metadata.xmp && (mode === 'keep' ? metadata.xmp : stripXmpLocation(metadata.xmp))
+    };
+    if (!prepared.exif && !prepared.icc && !prepared.xmp) return bytes;
+
+    if (type === 'image/jpeg') return writeJpegMetadata(bytes, prepared);
+    if (type === 'image/png') return writePngMetadata(bytes, prepared);
+    if (type === 'image/webp') return writeWebpMetadata(bytes, prepared);
+    return bytes;
+}
+
+/**
+ * The metadata as labelled values for display.
+ * @param {ImageMetadata} metadata
+ * @returns {MetadataSection[]}
+ */
+export function describeImageMetadata({ exif, icc, xmp }) {
+    const sections = [];
+    if (exif) {
+        const parsed = parseExif(exif);
+        const rows = [...parsed.ifd0, ...parsed.exif]
+            .filter(entry => TAG_NAMES[entry.tag])
+            .map(entry => [TAG_NAMES[entry.tag], formatTag(entry, parsed.littleEndian)])
+            .filter(([, value]) => value !== '');
+        if (rows.length) sections.push({ title: 'EXIF', rows });
+        if (parsed.gps.length) sections.push({ title: 'GPS', rows: describeGps(parsed.gps, parsed.littleEndian) });
+    }
+    if (icc) sections.push({ title: 'ICC profile', rows: describeIcc(icc) });
+    if (xmp) {
+        const rows = [['Size', `${strToU8(xmp).length} bytes`]];
+        if (/exif:GPS(Latitude|Longitude)/.test(xmp)) rows.push(['Location', 'Contains GPS coordinates']);
+        sections.push({ title: 'XMP', rows });
+    }
+    return sections;
+}
+
+/**
+ * PDF document properties (title, author...) from the EXIF, for image → PDF conversions.
+ * @param {ImageMetadata} metadata
+ * @returns {Object<string, string>} jsPDF setDocumentProperties keys
+ */
+export function imagePdfProperties({ exif }) {
+    if (!exif) return {};
+    const parsed = parseExif(exif);
+    const text = tag => {
+        const entry = parsed.ifd0.find(e => e.tag === tag);
+        return entry ? formatTag(entry, parsed.littleEndian) : '';
+    };
+    return compact({ subject: text(0x010E), author: text(0x013B), creator: text(0x0131) });
+}
+
+/**
+ * The core properties (and the application) of a DOCX file.
+ * @param {Uint8Array} bytes
+ * @returns {Object<string, string>} title, subject, creator, keywords, description,
+ *          lastModifiedBy, revision, created, modified, category, application, company
+ */
+export function readDocxProperties(bytes) {
+    const files = unzipSync(bytes, { filter: file => file.name === 'docProps/core.xml' || file.name === 'docProps/app.xml' });
+    const core = files['docProps/core.xml'] ? strFromU8(files['docProps/core.xml']) : '';
+    const app = files['docProps/app.xml'] ? strFromU8(files['docProps/app.xml']) : '';
+    const element = (xml, name) => {
+        const match = xml.match(new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${name}>`));
+        return match ? decodeXml(match[1]).trim() : '';
+    };
+    return compact({
+        title: element(core, 'title'),
+        subject: element(core, 'subject'),
+        creator: element(core, 'creator'),
+        keywords: element(core, 'keywords'),
+        description: element(core, 'description'),
+        lastModifiedBy: element(core, 'lastModifiedBy'),
+        revision: element(core, 'revision'),
+        created: element(core, 'created'),
+        modified: element(core, 'modified'),
+        category: element(core, 'category'),
+        application: element(app, 'Application'),
+        company: element(app, 'Company')
+    });
+}
+
+/**
+ * DOCX properties as a display section.
+ * @param {Object<string, string>} properties from readDocxProperties
+ * @returns {MetadataSection[]}
+ */
+export function describeDocxProperties(properties) {
+    const labels = {
+        title: 'Title', subject: 'Subject', creator: 'Author', keywords: 'Keywords', description: 'Description',
+        lastModifiedBy: 'Last modified by', revision: 'Revision', created: 'Created', modified: 'Modified',
+        category: 'Category', application: 'Application', company: 'Company'
+    };
+    const rows = Object.entries(labels)
+        .filter(([key]) => properties[key])
+        .map(([key, label]) => [label, ['created', 'modified'].includes(key) ? formatDate(new Date(properties[key])) : properties[key]]);
+    return rows.length ? [{ title: 'Document properties', rows }] : [];
+}
+
+/**
+ * A PDF's info dictionary as a display section.
+ * @param {Object} info pdf.js `getMetadata().info`
+ * @param {boolean} hasXmp whether the PDF also has an XMP metadata stream
+ * @returns {MetadataSection[]}
+ */
+export function describePdfInfo(info, hasXmp) {
+    const labels = {
+        Title: 'Title', Author: 'Author', Subject: 'Subject', Keywords: 'Keywords', Creator: 'Creator',
+        Producer: 'Producer', CreationDate: 'Created', ModDate: 'Modified', PDFFormatVersion: 'PDF version'
+    };
+    const rows = Object.entries(labels)
+        .filter(([key]) => info[key])
+        .map(([key, label]) => [label, /Date$/.test(key) ? formatPdfDate(info[key]) : String(info[key])]);
+    if (hasXmp) rows.push(['XMP', 'Present']);
+    return rows.length ? [{ title: 'PDF info', rows }] : [];
+}
+
+// --- Reading ---
+
+function readJpegMetadata(bytes, metadata) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const iccChunks = [];
+    let pos = 2;
+    while (pos + 4 <= bytes.length && bytes[pos] === 0xFF) {
+        const marker = bytes[pos + 1];
+        const length = view.getUint16(pos + 2);
+        if (marker === 0xDA) break; // Start of scan: no more metadata
+        const data = bytes.subarray(pos + 4, pos + 2 + length);
+        if (marker === 0xE1 && ascii(data, 0, 6) === 'Exif\0\0' && !metadata.exif) {
+            metadata.exif = data.slice(6);
+        } else if (marker === 0xE1 && ascii(data, 0, XMP_HEADER.length) === XMP_HEADER) {
+            metadata.xmp = strFromU8(data.subarray(XMP_HEADER.length));
+        } else if (marker === 0xE2 && ascii(data, 0, 12) === 'ICC_PROFILE\0') {
+            iccChunks[data[12] - 1] = data.subarray(14);
+        }
+        pos += 2 + length;
+    }
+    if (iccChunks.length) metadata.icc = concat(iccChunks.filter(Boolean));
+}
+
+function readPngMetadata(bytes, metadata) {
+    for (const { type, data } of readPngChunks(bytes)) {
+        if (type === 'eXIf') {
+            metadata.exif = data.slice();
+        } else if (type === 'iCCP') {
+            const nameEnd = data.indexOf(0);
+            metadata.icc = unzlibSync(data.subarray(nameEnd + 2));
+        } else if (type === 'iTXt') {
+            const keywordEnd = data.indexOf(0);
+            if (ascii(data, 0, keywordEnd) !== 'XML:com.adobe.xmp') continue;
+            const compressed = data[keywordEnd + 1] === 1;
+            const languageEnd = data.indexOf(0, keywordEnd + 3);
+            const translatedEnd = data.indexOf(0, languageEnd + 1);
+            const text = data.subarray(translatedEnd + 1);
+            metadata.xmp = strFromU8(compressed ? unzlibSync(text) : text);
+        }
+    }
+}
+
+function readWebpMetadata(bytes, metadata) {
+    for (const { type, data } of readWebpChunks(bytes)) {
+        // Some writers keep JPEG's "Exif\0\0" prefix
+        if (type === 'EXIF') metadata.exif = (ascii(data, 0, 6) === 'Exif\0\0' ? data.subarray(6) : data).slice();
+        else if (type === 'ICCP') metadata.icc = data.slice();
+        else if (type === 'XMP ') metadata.xmp = strFromU8(data);
+    }
+}
+
+// A TIFF is itself an EXIF structure: the descriptive tags of its first page become the EXIF,
+// and the profile and XMP have tags of their own
+function readTiffMetadata(bytes, metadata) {
+    const parsed = parseExif(bytes);
+    const tag = id => parsed.all.find(entry => entry.tag === id);
+    if (tag(0x8773)) metadata.icc = tag(0x8773).bytes.slice();
+    if (tag(0x02BC)) metadata.xmp = strFromU8(tag(0x02BC).bytes);
+    const exif = { ...parsed, ifd0: parsed.ifd0.filter(entry => !STRUCTURE_TAGS.has(entry.tag)) };
+    if (exif.ifd0.length || exif.exif.length || exif.gps.length) metadata.exif = writeExif(exif);
+}
+
+// EXIF (a TIFF structure) → the entries of IFD0 and its Exif and GPS sub-IFDs. Each entry keeps
+// its value's raw bytes in the source byte order. `all` is IFD0 including the pointer and
+// structure tags.
+function parseExif(tiff) {
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    const littleEndian = view.getUint16(0) === 0x4949;
+    const readIfd = (offset) => {
+        const entries = [];
+        if (!offset || offset + 2 > tiff.length) return entries;
+        const count = view.getUint16(offset, littleEndian);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > tiff.length) break;
+            const type = view.getUint16(entry + 2, littleEndian);
+            const valueCount = view.getUint32(entry + 4, littleEndian);
+            const size = (TYPE_SIZES[type] || 1) * valueCount;
+            const valueOffset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+            if (valueOffset + size > tiff.length) continue;
+            entries.push({ tag: view.getUint16(entry, littleEndian), type, count: valueCount, bytes: tiff.subarray(valueOffset, valueOffset + size) });
+        }
+        return entries;
+    };
+    const pointer = (entries, tag) => {
+        const entry = entries.find(e => e.tag === tag);
+        return entry ? new DataView(entry.bytes.buffer, entry.bytes.byteOffset, 4).getUint32(0, littleEndian) : 0;
+    };
+
+    const all = readIfd(view.getUint32(4, littleEndian));
+    const exif = readIfd(pointer(all, EXIF_POINTER));
+    const gps = readIfd(pointer(all, GPS_POINTER));
+    return {
+        littleEndian,
+        all,
+        ifd0: all.filter(entry => entry.tag !== EXIF_POINTER && entry.tag !== GPS_POINTER),
+        exif: exif.filter(entry => entry.tag !== INTEROP_POINTER),
+        gps
+    };
+}
+
+// --- Writing ---
+
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const JPEG_SEGMENT_MAX = 65533; // Segment length field (2 bytes) counts itself
+
+// Rebuilds the EXIF for an image that was re-encoded, leaving out the thumbnail (IFD1), which
+// still shows the uncropped original
+function rewriteExif(exif, { location }) {
+    const parsed = parseExif(exif);
+    const ifd0 = parsed.ifd0.map(entry => entry.tag === ORIENTATION ? shortEntry(ORIENTATION, 1, parsed.littleEndian) : entry);
+    const written = {
+        littleEndian: parsed.littleEndian,
+        ifd0,
+        exif: parsed.exif.filter(entry => !STALE_EXIF_TAGS.has(entry.tag)),
+        gps: location ? parsed.gps : []
+    };
+    let bytes = writeExif(written);
+    // One JPEG segment holds at most 64 KB; the maker note is what usually makes it bigger
+    if (bytes.length + 8 > JPEG_SEGMENT_MAX) {
+        written.exif = written.exif.filter(entry => entry.tag !== MAKER_NOTE);
+        bytes = writeExif(written);
+    }
+    return bytes;
+}
+
+function shortEntry(tag, value, littleEndian) {
+    const bytes = new Uint8Array(2);
+    new DataView(bytes.buffer).setUint16(0, value, littleEndian);
+    return { tag, type: 3, count: 1, bytes };
+}
+
+// Writes IFD0, then the Exif and GPS IFDs, each followed by the values too big for an entry
+function writeExif({ littleEndian, ifd0, exif, gps }) {
+    const pointerEntry = tag => ({ tag, type: 4, count: 1, bytes: new Uint8Array(4) });
+    const main = [...ifd0];
+    if (exif.length) main.push(pointerEntry(EXIF_POINTER));
+    if (gps.length) main.push(pointerEntry(GPS_POINTER));
+    const tables = [main, exif, gps].filter((entries, i) => i === 0 || entries.length)
+        .map(entries => [...entries].sort((a, b) => a.tag - b.tag));
+
+    const sizes = tables.map(entries => {
+        const data = entries.reduce((sum, e) => sum + (e.bytes.length > 4 ? e.bytes.length + (e.bytes.length & 1) : 0), 0);
+        return 2 + entries.length * 12 + 4 + data;
+    });
+    const offsets = [];
+    let offset = 8;
+    sizes.forEach(size => {
+        offsets.push(offset);
+        offset += size;
+    });
+
+    const out = new Uint8Array(offset);
+    const view = new DataView(out.buffer);
+    view.setUint16(0, littleEndian ? 0x4949 : 0x4D4D);
+    view.setUint16(2, 42, littleEndian);
+    view.setUint32(4, 8, littleEndian);
+
+    // Sub-IFD pointers follow the order the tables were laid out in
+    let next = 1;
+    tables[0].forEach(entry => {
+        if (entry.tag === EXIF_POINTER || entry.tag === GPS_POINTER) {
+            new DataView(entry.bytes.buffer).setUint32(0, offsets[next++], littleEndian);
+        }
+    });
+
+    tables.forEach((entries, t) => {
+        const start = offsets[t];
+        let data = start + 2 + entries.length * 12 + 4;
+        view.setUint16(start, entries.length, littleEndian);
+        entries.forEach((entry, i) => {
+            const pos = start + 2 + i * 12;
+            view.setUint16(pos, entry.tag, littleEndian);
+            view.setUint16(pos + 2, entry.type, littleEndian);
+            view.setUint32(pos + 4, entry.count, littleEndian);
+            if (entry.bytes.length <= 4) {
+                out.set(entry.bytes, pos + 8);
+            } else {
+                view.setUint32(pos + 8, data, littleEndian);
+                out.set(entry.bytes, data);
+                data += entry.bytes.length + (entry.bytes.length & 1);
+            }
+        });
+        view.setUint32(start + 2 + entries.length * 12, 0, littleEndian); // No next IFD
+    });
+    return out;
+}
+
+// Removes the exif:GPS… properties, written either as attributes or as elements
+function stripXmpLocation(xmp) {
+    return xmp
+        .replace(/\s+exif:GPS\w+\s*=\s*("[^"]*"|'[^']*')/g, '')
+        .replace(/<exif:(GPS\w+)\b[^>]*\/>/g, '')
+        .replace(/<exif:(GPS\w+)\b[^>]*>[\s\S]*?<\/exif:\1>/g, '');
+}
+
+// Exif APP1, XMP APP1 and ICC APP2 segments go after the JFIF header, before everything else
+function writeJpegMetadata(bytes, { exif, icc, xmp }) {
+    const segment = (marker, data) => {
+        const header = new Uint8Array(4);
+        header[0] = 0xFF;
+        header[1] = marker;
+        new DataView(header.buffer).setUint16(2, data.length + 2);
+        return concat([header, data]);
+    };
+    const segments = [];
+    if (exif) segments.push(segment(0xE1, concat([strToU8('Exif\0\0'), exif])));
+    if (xmp) {
+        const data = concat([strToU8(XMP_HEADER), strToU8(xmp)]);
+        if (data.length + 2 <= JPEG_SEGMENT_MAX) segments.push(segment(0xE1, data));
+    }
+    if (icc) {
+        // Profiles larger than a segment are split and numbered
+        const chunkSize = JPEG_SEGMENT_MAX - 2 - 14;
+        const count = Math.ceil(icc.length / chunkSize);
+        for (let i = 0; i < count; i++) {
+            const header = concat([strToU8('ICC_PROFILE\0'), Uint8Array.of(i + 1, count)]);
+            segments.push(segment(0xE2, concat([header, icc.subarray(i * chunkSize, (i + 1) * chunkSize)])));
+        }
+    }
+
+    let insertAt = 2;
+    if (bytes[2] === 0xFF && bytes[3] === 0xE0) {
+        insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+    }
+    return concat([bytes.subarray(0, insertAt), ...segments, bytes.subarray(insertAt)]);
+}
+
+// iCCP (replacing sRGB, which can't sit next to it), eXIf and the XMP iTXt go right after IHDR
+function writePngMetadata(bytes, { exif, icc, xmp }) {
+    const chunks = readPngChunks(bytes).filter(chunk => !(icc && (chunk.type === 'sRGB' || chunk.type === 'iCCP')));
+    const added = [];
+    if (icc) added.push(pngChunk('iCCP', concat([strToU8('ICC Profile\0\0'), zlibSync(icc)])));
+    if (exif) added.push(pngChunk('eXIf', exif));
+    if (xmp) added.push(pngChunk('iTXt', concat([strToU8('XML:com.adobe.xmp\0\0\0\0\0'), strToU8(xmp)])));
+    return concat([
+        bytes.subarray(0, 8),
+        pngChunk(chunks[0].type, chunks[0].data),
+        ...added,
+        ...chunks.slice(1).map(chunk => pngChunk(chunk.type, chunk.data))
+    ]);
+}
+
+function readPngChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let pos = 8;
+    while (pos + 12 <= bytes.length) {
+        const length = view.getUint32(pos);
+        chunks.push({ type: ascii(bytes, pos + 4, 4), data: bytes.subarray(pos + 8, pos + 8 + length) });
+        pos += 12 + length;
+    }
+    return chunks;
+}
+
+// Metadata needs the extended (VP8X) container, which also has to announce each chunk:
+// VP8X, ICCP, the image chunks, then EXIF and XMP
+function writeWebpMetadata(bytes, { exif, icc, xmp }) {
+    const chunks = readWebpChunks(bytes).filter(chunk => !['VP8X', 'ICCP', 'EXIF', 'XMP '].includes(chunk.type));
+    const size = webpCanvasSize(bytes, chunks);
+    if (!size) return bytes;
+
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = (icc ? 0x20 : 0) | (size.alpha ? 0x10 : 0) | (exif ? 0x08 : 0) | (xmp ? 0x04 : 0);
+    writeU24(vp8x, 4, size.width - 1);
+    writeU24(vp8x, 7, size.height - 1);
+
+    const body = concat([
+        strToU8('WEBP'),
+        webpChunk('VP8X', vp8x),
+        ...(icc ? [webpChunk('ICCP', icc)] : []),
+        ...chunks.map(chunk => webpChunk(chunk.type, chunk.data)),
+        ...(exif ? [webpChunk('EXIF', exif)] : []),
+        ...(xmp ? [webpChunk('XMP ', strToU8(xmp))] : [])
+    ]);
+    const header = concat([strToU8('RIFF'), new Uint8Array(4)]);
+    new DataView(header.buffer).setUint32(4, body.length, true);
+    return concat([header, body]);
+}
+
+// The canvas size, from an existing VP8X or from the VP8 / VP8L bitstream header
+function webpCanvasSize(bytes, chunks) {
+    const existing = readWebpChunks(bytes).find(chunk => chunk.type === 'VP8X');
+    if (existing) {
+        const d = existing.data;
+        return {
+            width: (d[4] | (d[5] << 8) | (d[6] << 16)) + 1,
+            height: (d[7] | (d[8] << 8) | (d[9] << 16)) + 1,
+            alpha: !!(d[0] & 0x10)
+        };
+    }
+    const lossy = chunks.find(chunk => chunk.type === 'VP8 ');
+    if (lossy) {
+        const d = lossy.data;
+        return { width: (d[6] | (d[7] << 8)) & 0x3FFF, height: (d[8] | (d[9] << 8)) & 0x3FFF, alpha: false };
+    }
+    const lossless = chunks.find(chunk => chunk.type === 'VP8L');
+    if (lossless) {
+        const d = lossless.data;
+        const bits = (d[1] | (d[2] << 8) | (d[3] << 16) | (d[4] << 24)) >>> 0;
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1, alpha: !!((bits >>> 28) & 1) };
+    }
+    return null;
+}
+
+function readWebpChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let pos = 12;
+    while (pos + 8 <= bytes.length) {
+        const size = view.getUint32(pos + 4, true);
+        chunks.push({ type: ascii(bytes, pos, 4), data: bytes.subarray(pos + 8, pos + 8 + size) });
+        pos += 8 + size + (size & 1); // Chunks are padded to an even size
+    }
+    return chunks;
+}
+
+function webpChunk(type, data) {
+    const out = new Uint8Array(8 + data.length + (data.length & 1));
+    out.set(strToU8(type), 0);
+    new DataView(out.buffer).setUint32(4, data.length, true);
+    out.set(data, 8);
+    return out;
+}
+
+// --- Display ---
+
+function readValues(entry, littleEndian) {
+    const view = new DataView(entry.bytes.buffer, entry.bytes.byteOffset, entry.bytes.byteLength);
+    const values = [];
+    for (let i = 0; i < entry.count && i < 64; i++) {
+        if (entry.type === 3) values.push(view.getUint16(i * 2, littleEndian));
+        else if (entry.type === 4) values.push(view.getUint32(i * 4, littleEndian));
+        else if (entry.type === 9) values.push(view.getInt32(i * 4, littleEndian));
+        else if (entry.type === 5 || entry.type === 10) {
+            const get = entry.type === 5 ? 'getUint32' : 'getInt32';
+            const denominator = view[get](i * 8 + 4, littleEndian);
+            values.push(denominator ? view[get](i * 8, littleEndian) / denominator : 0);
+        } else if (entry.type === 1 || entry.type === 7) values.push(entry.bytes[i]);
+    }
+    return values;
+}
+
+function formatTag(entry, littleEndian) {
+    if (entry.type === 2) return strFromU8(entry.bytes, true).replace(/\0+$/, '').trim();
+    if (entry.tag === 0x9000) return ascii(entry.bytes, 0, 4); // Exif version, e.g. "0232"
+    if (entry.type === 7) return '';
+    const values = readValues(entry, littleEndian);
+    const [value] = values;
+    switch (entry.tag) {
+        case ORIENTATION: return ['', 'Normal', 'Flipped', 'Rotated 180°', 'Flipped vertically', 'Transposed', 'Rotated 90° CW', 'Transverse', 'Rotated 90° CCW'][value] || String(value);
+        case 0x829A: return value > 0 && value < 1 ? `1/${Math.round(1 / value)} s` : `${value} s`;
+        case 0x829D: return `f/${round(value, 1)}`;
+        case 0x920A: return `${round(value, 1)} mm`;
+        case 0xA405: return `${value} mm`;
+        case 0x9209: return value & 1 ? 'Fired' : 'Did not fire';
+        case 0xA001: return value === 1 ? 'sRGB' : 'Uncalibrated';
+        case 0x0128: return ({ 2: 'inches', 3: 'cm' })[value] || 'none';
+        default: return values.map(v => round(v, 4)).join(', ');
+    }
+}
+
+function describeGps(entries, littleEndian) {
+    const find = tag => entries.find(entry => entry.tag === tag);
+    const text = tag => (find(tag) ? strFromU8(find(tag).bytes, true).replace(/\0+$/, '') : '');
+    const degrees = (tag, refTag, negative) => {
+        const entry = find(tag);
+        if (!entry) return null;
+        const [d = 0, m = 0, s = 0] = readValues(entry, littleEndian);
+        const value = d + m / 60 + s / 3600;
+        return text(refTag) === negative ? -value : value;
+    };
+
+    const rows = [];
+    const latitude = degrees(0x0002, 0x0001, 'S');
+    const longitude = degrees(0x0004, 0x0003, 'W');
+    if (latitude !== null && longitude !== null) {
+        rows.push(['Location', `${latitude.toFixed(6)}, ${longitude.toFixed(6)}`]);
+    }
+    if (find(0x0006)) {
+        const [altitude] = readValues(find(0x0006), littleEndian);
+        const below = find(0x0005) && find(0x0005).bytes[0] === 1;
+        rows.push(['Altitude', `${round(below ? -altitude : altitude, 1)} m`]);
+    }
+    if (find(0x001D)) rows.push(['GPS date', text(0x001D)]);
+    if (find(0x0011)) rows.push(['Direction', `${round(readValues(find(0x0011), littleEndian)[0], 1)}°`]);
+    if (!rows.length) rows.push(['Tags', String(entries.length)]);
+    return rows;
+}
+
+function describeIcc(icc) {
+    const view = new DataView(icc.buffer, icc.byteOffset, icc.byteLength);
+    const rows = [];
+    const description = iccDescription(icc, view);
+    if (description) rows.push(['Description', description]);
+    if (icc.length >= 24) {
+        rows.push(['Colour space', ascii(icc, 16, 4).trim()]);
+        rows.push(['Version', `${icc[8]}.${icc[9] >> 4}`]);
+    }
+    rows.push(['Size', `${icc.length} bytes`]);
+    return rows;
+}
+
+// The 'desc' tag: ASCII in version 2 profiles, UTF-16 'mluc' records in version 4
+function iccDescription(icc, view) {
+    if (icc.length < 132) return '';
+    const count = view.getUint32(128);
+    for (let i = 0; i < count && 132 + i * 12 + 12 <= icc.length; i++) {
+        const entry = 132 + i * 12;
+        if (ascii(icc, entry, 4) !== 'desc') continue;
+        const offset = view.getUint32(entry + 4);
+        const type = ascii(icc, offset, 4);
+        if (type === 'desc') {
+            const length = view.getUint32(offset + 8);
+            return ascii(icc, offset + 12, length).replace(/\0+$/, '');
+        }
+        if (type === 'mluc' && view.getUint32(offset + 8) > 0) {
+            const length = view.getUint32(offset + 20);
+            const start = offset + view.getUint32(offset + 24);
+            let text = '';
+            for (let c = 0; c + 1 < length && start + c + 1 < icc.length; c += 2) {
+                text += String.fromCharCode(view.getUint16(start + c));
+            }
+            return text.replace(/\0+$/, '');
+        }
+    }
+    return '';
+}
+
+// "D:20240131120000+01'00'" → a local date
+function formatPdfDate(value) {
+    const match = String(value).match(/^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/);
+    if (!match) return String(value);
+    const [, y, mo = '01', d = '01', h = '00', mi = '00', s = '00', zone] = match;
+    const offset = !zone || zone === 'Z' ? 'Z' : `${zone.slice(0, 3)}:${zone.replace(/'/g, '').slice(3, 5) || '00'}`;
+    return formatDate(new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${offset}`));
+}
+
+function formatDate(date) {
+    return isNaN(date) ? '' : date.toLocaleString();
+}
+
+function decodeXml(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+function compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value));
+}
+
+function round(value, digits) {
+    return String(Math.round(value * 10 ** digits) / 10 ** digits);
+}
+
+function ascii(bytes, start, length) {
+    return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+function writeU24(bytes, offset, value) {
+    bytes[offset] = value & 0xFF;
+    bytes[offset + 1] = (value >> 8) & 0xFF;
+    bytes[offset + 2] = (value >> 16) & 0xFF;
+}
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+}
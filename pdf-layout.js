@@ -0,0 +1,789 @@
+// Page layout for documents written as PDF. Text is drawn with jsPDF's standard fonts, so it
+// stays selectable and searchable; those only cover WinAnsi (Western European), so text in
+// other scripts is drawn with the platform's fonts onto a canvas and placed as an image. It
+// shows correctly, right-to-left included, but can't be selected. Wrapping, page breaks, tables
+// and page numbers are worked out here. Content arrives as HTML (DOCX through mammoth, HTML, Markdown), plain text or
+// spreadsheet rows and is turned into a flat list of blocks first:
+//   { type: 'paragraph', runs, size, indent, marker?, pre?, quote?, spaceBefore, spaceAfter }
+//   { type: 'image', image: { data, format, width, height }, indent }
+//   { type: 'table', rows: [[{ runs, header?, span? }]], headerRows, alignNumbers? }
+//   { type: 'rule' } and { type: 'pageBreak' }
+// A run is { text, bold?, italic?, mono?, underline?, strike?, link? } or { br: true }.
+import { jsPDF } from 'jspdf';
+import { getPlatform } from './platform.js';
+import { encodePng } from './png.js';
+
+export const PAGE_SIZES = { a4: [210, 297], letter: [215.9, 279.4], legal: [215.9, 355.6] }; // mm, portrait
+
+/**
+ * Page setup options of every converter that writes documents as PDF.
+ */
+export const PDF_PAGE_OPTIONS = {
+    pageSize: { type: 'string', default: 'a4', description: "'a4', 'letter' or 'legal'" },
+    orientation: { type: 'string', default: 'auto', description: "'portrait', 'landscape' or 'auto' (landscape when a table is too wide for portrait)" },
+    margin: { type: 'number', default: 15, description: 'Page margin in mm' },
+    header: { type: 'string', default: '', description: 'Text at the top of every page' },
+    pageNumbers: { type: 'boolean', default: true, description: 'Number the pages in the footer ("Page 2 of 5")' }
+};
+
+const PT = 25.4 / 72; // mm per point
+const PX_TO_MM = 25.4 / 96;
+const BODY_SIZE = 10.5; // pt
+const HEADING_SIZES = [20, 16, 13.5, 12, 11, 10.5];
+const CODE_SIZE = 9;
+const LINE_HEIGHT = 1.35;
+const LIST_INDENT = 6; // mm
+const QUOTE_INDENT = 6;
+const MIN_TABLE_SIZE = 6; // pt; wide tables shrink to this before their columns start to wrap
+const CELL_PADDING = 1.5; // mm
+const MAX_NATURAL_COLUMN = 70; // mm; longer cell text wraps rather than widening its column
+const HEADER_SPACE = 7; // mm between the header/footer line and the text
+const LINK_COLOR = [5, 99, 193];
+const MUTED_COLOR = [90, 90, 90];
+const BULLETS = ['•', '-', '·'];
+const HEADER_SIZE = 8.5; // pt, for the header and page numbers
+const RASTER_SCALE = 300 / 72; // px per pt for text drawn as an image
+const RASTER_FONTS = { sans: 'Helvetica, Arial, sans-serif', mono: '"Courier New", Courier, monospace' };
+// What the standard fonts can encode: Latin-1 and the extra Windows-1252 punctuation
+const WIN_ANSI_RE = /^[\u0020-\u007e\u00a0-\u00ff€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ]*$/;
+const RTL_RE = /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+
+const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION',
+    'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN',
+    'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD', 'TR', 'UL'
+]);
+const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'HEAD', 'TITLE', 'META', 'LINK', 'NOSCRIPT', 'TEMPLATE']);
+
+/**
+ * Lays out an HTML document as PDF pages: headings, paragraphs, inline formatting, links, lists,
+ * block quotes, code, images and tables. Only data: and blob: images are embedded; remote
+ * images become links.
+ * @param {string} html
+ * @param {Object} [options] PDF_PAGE_OPTIONS, plus `title` and other `properties` (author,
+ *        subject, keywords, creator) for the document properties
+ * @returns {Promise<Blob>}
+ */
+export async function htmlToPdf(html, options = {}) {
+    const doc = getPlatform().parseHtml(html);
+    const reader = new HtmlReader();
+    await reader.loadImages(Array.from(doc.querySelectorAll('img')));
+    return layout(reader.blocks(doc.body, { indent: 0 }), options);
+}
+
+/**
+ * Lays out plain text as PDF pages, keeping its line breaks and spacing.
+ * @param {string} text
+ * @param {Object} [options] PDF_PAGE_OPTIONS, plus `title`
+ * @returns {Blob}
+ */
+export function textToPdf(text, options = {}) {
+    const runs = text.replace(/\r\n?/g, '\n').split('\n')
+        .flatMap((line, i) => i === 0 ? [{ text: line }] : [{ br: true }, { text: line }]);
+    return layout([paragraphBlock(runs, { pre: true })], options);
+}
+
+/**
+ * Lays out spreadsheet sheets as PDF tables, each sheet from a new page under its name. Header
+ * rows repeat on every page and sheets too wide for the page are scaled down to fit it.
+ * @param {Array<{name: string, rows: string[][], hasHeader?: boolean}>} sheets cell text
+ * @param {Object} [options] PDF_PAGE_OPTIONS, plus `title`
+ * @param {(index: number) => void} [options.onSheet] called as each sheet is laid out
+ * @returns {Blob}
+ */
+export function sheetsToPdf(sheets, options = {}) {
+    const blocks = [];
+    sheets.forEach(({ name, rows, hasHeader = true }, i) => {
+        if (i > 0) blocks.push({ type: 'pageBreak', onLayout: () => options.onSheet && options.onSheet(i - 1) });
+        blocks.push(paragraphBlock([{ text: name }], { heading: 2 }));
+        if (rows.length) {
+            blocks.push({
+                type: 'table',
+                rows: rows.map((row, r) => {
+                    const header = hasHeader && r === 0;
+                    return row.map(value => ({ runs: [{ text: String(value), bold: header }], header }));
+                }),
+                headerRows: hasHeader ? 1 : 0,
+                alignNumbers: true
+            });
+        }
+    });
+    const blob = layout(blocks, options);
+    if (options.onSheet && sheets.length) options.onSheet(sheets.length - 1);
+    return blob;
+}
+
+function layout(blocks, options) {
+    let writer = new PdfWriter(options, options.orientation === 'landscape');
+    // Auto orientation turns the pages when a table wouldn't fit across a portrait page
+    if ((options.orientation || 'auto') === 'auto' && !writer.landscape &&
+        blocks.some(block => block.type === 'table' && writer.naturalTableWidth(block) > writer.width)) {
+        writer = new PdfWriter(options, true);
+    }
+    blocks.forEach(block => writer.add(block));
+    return writer.finish();
+}
+
+function paragraphBlock(runs, { heading, pre, mono, indent = 0, quote, bold } = {}) {
+    const size = heading ? HEADING_SIZES[heading - 1] : mono ? CODE_SIZE : BODY_SIZE;
+    return {
+        type: 'paragraph',
+        runs: bold || heading || mono ? runs.map(run => run.br ? run : { ...run, bold: run.bold || bold || !!heading, mono: run.mono || mono }) : runs,
+        size,
+        indent,
+        pre,
+        quote,
+        background: mono,
+        spaceBefore: heading ? size * 0.6 * PT : 0,
+        spaceAfter: (heading ? size * 0.3 : mono ? BODY_SIZE * 0.8 : BODY_SIZE * 0.5) * PT
+    };
+}
+
+// Turns HTML into blocks, the way docx-writer turns it into WordprocessingML
+class HtmlReader {
+    constructor() {
+        this.images = new Map(); // <img> element -> { data, format, width, height }
+    }
+
+    async loadImages(elements) {
+        for (const img of elements) {
+            try {
+                const image = await loadImage(img.getAttribute('src'));
+                if (!image) continue;
+                const width = parseInt(img.getAttribute('width'), 10) || image.width;
+                const height = parseInt(img.getAttribute('height'), 10) || Math.round(width * image.height / image.width);
+                this.images.set(img, { ...image, width, height });
+            } catch {
+                // An image that can't be read is drawn as its alt text, as a remote one is
+            }
+        }
+    }
+
+    // Inline content between blocks is gathered into paragraphs; images split them
+    blocks(node, ctx) {
+        const out = [];
+        let runs = [];
+        const flush = () => {
+            if (runs.some(run => run.br || (run.text && run.text.trim()) || (ctx.pre && run.text))) {
+                const paragraph = paragraphBlock(ctx.pre ? runs : trimRuns(runs), ctx);
+                if (ctx.list && !ctx.list.used) {
+                    paragraph.marker = ctx.list.marker;
+                    ctx.list.used = true;
+                }
+                if (ctx.list) paragraph.spaceAfter = BODY_SIZE * 0.25 * PT;
+                out.push(paragraph);
+            }
+            runs = [];
+        };
+
+        node.childNodes.forEach(child => {
+            if (child.nodeType === 1 && BLOCK_TAGS.has(child.tagName)) {
+                flush();
+                out.push(...this.block(child, ctx));
+                return;
+            }
+            this.inline(child, {}, ctx).forEach(run => {
+                if (run.image) {
+                    flush();
+                    out.push({ type: 'image', image: run.image, indent: ctx.indent });
+                } else {
+                    runs.push(run);
+                }
+            });
+        });
+        flush();
+        return out;
+    }
+
+    block(el, ctx) {
+        const tag = el.tagName;
+
+        if (/^H[1-6]$/.test(tag)) {
+            return this.blocks(el, { ...ctx, heading: Number(tag[1]) });
+        }
+        if (tag === 'UL' || tag === 'OL') {
+            const level = ctx.list ? ctx.list.level + 1 : 0;
+            let number = Number(el.getAttribute('start')) || 1;
+            const items = Array.from(el.children).flatMap(item => {
+                const marker = tag === 'OL' ? `${number++}.` : BULLETS[level % BULLETS.length];
+                const list = { marker, level, used: false };
+                const blocks = this.blocks(item, { ...ctx, indent: ctx.indent + LIST_INDENT, list });
+                // An item that starts with a nested list still shows its own marker
+                if (!list.used) blocks.unshift({ ...paragraphBlock([], ctx), indent: ctx.indent + LIST_INDENT, marker });
+                return blocks;
+            });
+            if (items.length && !ctx.list) items[items.length - 1].spaceAfter = BODY_SIZE * 0.5 * PT;
+            return items;
+        }
+        if (tag === 'TABLE') {
+            return [this.table(el)];
+        }
+        if (tag === 'BLOCKQUOTE') {
+            return this.blocks(el, { ...ctx, indent: ctx.indent + QUOTE_INDENT, quote: true });
+        }
+        if (tag === 'PRE') {
+            return this.blocks(el, { ...ctx, pre: true, mono: true });
+        }
+        if (tag === 'HR') {
+            return [{ type: 'rule' }];
+        }
+        if (tag === 'DD') {
+            return this.blocks(el, { ...ctx, indent: ctx.indent + LIST_INDENT });
+        }
+        if (tag === 'DT') {
+            return this.blocks(el, { ...ctx, bold: true });
+        }
+        return this.blocks(el, ctx);
+    }
+
+    inline(node, fmt, ctx) {
+        if (node.nodeType === 3) {
+            const text = ctx.pre ? node.nodeValue : node.nodeValue.replace(/\s+/g, ' ');
+            if (!ctx.pre) return [{ ...fmt, text }];
+            // Keep line breaks inside <pre>
+            return text.replace(/\n$/, '').split('\n').flatMap((line, i) =>
+                i === 0 ? [{ ...fmt, text: line }] : [{ br: true }, { ...fmt, text: line }]
+            );
+        }
+        if (node.nodeType !== 1 || SKIP_TAGS.has(node.tagName)) return [];
+
+        const tag = node.tagName;
+        if (tag === 'BR') return [{ br: true }];
+        if (tag === 'IMG') {
+            const image = this.images.get(node);
+            if (image) return [{ image }];
+            const alt = node.getAttribute('alt') || '';
+            const src = (node.getAttribute('src') || '').trim();
+            if (/^https?:/i.test(src)) return [{ ...fmt, link: fmt.link || src, text: alt || src }];
+            return alt ? [{ ...fmt, text: alt }] : [];
+        }
+
+        const next = { ...fmt };
+        if (tag === 'B' || tag === 'STRONG') next.bold = true;
+        if (tag === 'I' || tag === 'EM' || tag === 'CITE' || tag === 'VAR') next.italic = true;
+        if (tag === 'U' || tag === 'INS') next.underline = true;
+        if (tag === 'S' || tag === 'STRIKE' || tag === 'DEL') next.strike = true;
+        if (tag === 'CODE' || tag === 'KBD' || tag === 'SAMP' || tag === 'TT') next.mono = true;
+        if (tag === 'A') {
+            const href = node.getAttribute('href');
+            if (href && /^(https?:|mailto:)/i.test(href)) next.link = href;
+        }
+
+        const style = node.getAttribute('style') || '';
+        if (/font-weight\s*:\s*(bold|[6-9]00)/i.test(style)) next.bold = true;
+        if (/font-style\s*:\s*italic/i.test(style)) next.italic = true;
+        if (/text-decoration[^;]*underline/i.test(style)) next.underline = true;
+
+        return Array.from(node.childNodes).flatMap(child => this.inline(child, next, ctx));
+    }
+
+    table(el) {
+        const rows = tableRows(el).map(row => tableCells(row).map(cell => ({
+            runs: trimRuns(this.cellRuns(cell, { bold: cell.tagName === 'TH' })),
+            header: cell.tagName === 'TH' || row.parentElement.tagName === 'THEAD',
+            span: parseInt(cell.getAttribute('colspan'), 10) || 1
+        })));
+        // Leading rows that are all header cells repeat on every page
+        let headerRows = 0;
+        while (headerRows < rows.length - 1 && rows[headerRows].length && rows[headerRows].every(cell => cell.header)) {
+            headerRows++;
+        }
+        return { type: 'table', rows, headerRows };
+    }
+
+    // Cells hold wrapped text only: their blocks become lines, images their alt text
+    cellRuns(node, fmt) {
+        const runs = [];
+        node.childNodes.forEach(child => {
+            if (child.nodeType === 1 && BLOCK_TAGS.has(child.tagName)) {
+                if (runs.length && !runs[runs.length - 1].br) runs.push({ br: true });
+                runs.push(...this.cellRuns(child, fmt));
+                if (child.tagName === 'TD' || child.tagName === 'TH') runs.push({ ...fmt, text: ' ' });
+            } else {
+                this.inline(child, fmt, {}).forEach(run => {
+                    if (run.image) return;
+                    runs.push(run);
+                });
+            }
+        });
+        while (runs.length && runs[runs.length - 1].br) runs.pop();
+        return runs;
+    }
+}
+
+class PdfWriter {
+    constructor({ pageSize = 'a4', margin = 15, header = '', pageNumbers = true, title = '', properties = {} }, landscape) {
+        let [width, height] = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+        if (landscape) [width, height] = [height, width];
+        this.landscape = landscape;
+        this.pageWidth = width;
+        this.pageHeight = height;
+        this.margin = Math.min(Math.max(Number(margin) || 0, 0), width / 4);
+        this.header = String(header || '').trim();
+        this.pageNumbers = pageNumbers !== false;
+
+        this.left = this.margin;
+        this.width = width - 2 * this.margin;
+        this.top = this.margin + (this.header ? HEADER_SPACE : 0);
+        this.bottom = height - this.margin - (this.pageNumbers ? HEADER_SPACE : 0);
+        this.y = this.top;
+
+        this.doc = new jsPDF({ unit: 'mm', format: [width, height], orientation: landscape ? 'landscape' : 'portrait' });
+        this.doc.setProperties({ ...(title ? { title } : {}), ...properties });
+    }
+
+    add(block) {
+        if (block.type === 'paragraph') this.paragraph(block);
+        else if (block.type === 'image') this.image(block);
+        else if (block.type === 'table') this.table(block);
+        else if (block.type === 'rule') this.rule();
+        else if (block.type === 'pageBreak') {
+            if (block.onLayout) block.onLayout();
+            if (this.y > this.top) this.newPage();
+        }
+    }
+
+    finish() {
+        const doc = this.doc;
+        const pages = doc.getNumberOfPages();
+        const header = this.header ? this.wrap([{ text: this.header }], HEADER_SIZE, this.width, false)[0] : null;
+        for (let i = 1; i <= pages; i++) {
+            doc.setPage(i);
+            if (header) {
+                const x = header.rtl ? this.left + this.width - header.width : this.left;
+                this.drawText(header.segments[0].text, {}, HEADER_SIZE, x, this.margin + HEADER_SIZE * PT, MUTED_COLOR, header.rtl);
+            }
+            if (this.pageNumbers) {
+                doc.setFont('helvetica', 'normal');
+                doc.setFontSize(HEADER_SIZE);
+                doc.setTextColor(...MUTED_COLOR);
+                doc.text(`Page ${i} of ${pages}`, this.pageWidth / 2, this.pageHeight - this.margin, { align: 'center' });
+            }
+        }
+        return doc.output('blob');
+    }
+
+    newPage() {
+        this.doc.addPage([this.pageWidth, this.pageHeight], this.landscape ? 'landscape' : 'portrait');
+        this.y = this.top;
+    }
+
+    // Starts a new page unless `height` still fits on this one (or this one is empty)
+    ensure(height) {
+        if (this.y + height > this.bottom && this.y > this.top) this.newPage();
+    }
+
+    paragraph(block) {
+        const lineHeight = block.size * LINE_HEIGHT * PT;
+        const x = this.left + block.indent;
+        const width = this.width - block.indent;
+        const lines = this.wrap(block.runs, block.size, width, block.pre);
+
+        if (this.y > this.top) this.y += block.spaceBefore;
+        // Headings stay with the first lines of what follows them
+        const keep = block.spaceBefore ? lineHeight + 2 * BODY_SIZE * LINE_HEIGHT * PT : lineHeight;
+        this.ensure(keep);
+
+        lines.forEach((line, i) => {
+            this.ensure(lineHeight);
+            if (block.background) {
+                this.doc.setFillColor(244, 244, 244);
+                this.doc.rect(x - 1.5, this.y, width + 1.5, lineHeight, 'F');
+            }
+            if (block.quote) {
+                this.doc.setDrawColor(200, 200, 200);
+                this.doc.setLineWidth(0.8);
+                this.doc.line(x - QUOTE_INDENT + 1.5, this.y, x - QUOTE_INDENT + 1.5, this.y + lineHeight);
+            }
+            if (i === 0 && block.marker) {
+                this.drawText(block.marker, {}, block.size, x - LIST_INDENT + 1, this.baseline(this.y, block.size, lineHeight));
+            }
+            const lineX = line.rtl ? x + width - line.width : x;
+            this.drawLine(line, lineX, this.y, block.size, lineHeight, block.quote ? MUTED_COLOR : null);
+            this.y += lineHeight;
+        });
+        this.y += block.spaceAfter;
+    }
+
+    image(block) {
+        const { data, format, width, height } = block.image;
+        const maxWidth = this.width - block.indent;
+        const scale = Math.min(1, maxWidth / (width * PX_TO_MM), (this.bottom - this.top) / (height * PX_TO_MM));
+        const w = width * PX_TO_MM * scale;
+        const h = height * PX_TO_MM * scale;
+        this.ensure(h);
+        this.doc.addImage(data, format, this.left + block.indent, this.y, w, h, undefined, 'FAST');
+        this.y += h + BODY_SIZE * 0.5 * PT;
+    }
+
+    rule() {
+        this.ensure(4);
+        this.doc.setDrawColor(190, 190, 190);
+        this.doc.setLineWidth(0.3);
+        this.doc.line(this.left, this.y + 2, this.left + this.width, this.y + 2);
+        this.y += 4;
+    }
+
+    naturalTableWidth(block) {
+        return sum(this.columnWidths(block.rows, BODY_SIZE).natural);
+    }
+
+    table(block) {
+        const { size, widths } = this.fitColumns(block.rows, this.width);
+        const lineHeight = size * LINE_HEIGHT * PT;
+        const rows = block.rows.map(row => this.prepareRow(row, widths, size, block.alignNumbers));
+        const headerRows = rows.slice(0, block.headerRows);
+        const headerHeight = sum(headerRows.map(row => row.lines * lineHeight + 2 * CELL_PADDING));
+
+        const startPage = () => {
+            this.newPage();
+            headerRows.forEach(row => this.drawRow(row, 0, row.lines, size, lineHeight));
+        };
+
+        if (this.y > this.top) this.y += BODY_SIZE * 0.25 * PT;
+        const first = rows[block.headerRows];
+        this.ensure(headerHeight + (first ? first.lines * lineHeight + 2 * CELL_PADDING : 0));
+        headerRows.forEach(row => this.drawRow(row, 0, row.lines, size, lineHeight));
+
+        rows.slice(block.headerRows).forEach(row => {
+            const height = row.lines * lineHeight + 2 * CELL_PADDING;
+            // Rows move to the next page whole, unless they are taller than a page anyway
+            if (this.y + height > this.bottom && height <= this.bottom - this.top - headerHeight) startPage();
+            let from = 0;
+            while (from < row.lines) {
+                const fit = Math.floor((this.bottom - this.y - 2 * CELL_PADDING) / lineHeight);
+                if (fit < 1 && this.y > this.top + headerHeight) {
+                    startPage();
+                    continue;
+                }
+                const count = Math.min(row.lines - from, Math.max(fit, 1));
+                this.drawRow(row, from, count, size, lineHeight);
+                from += count;
+                if (from < row.lines) startPage();
+            }
+        });
+        this.y += BODY_SIZE * 0.6 * PT;
+    }
+
+    // Column widths in mm at the natural width of their text, and the least they can shrink to
+    // (their longest word)
+    columnWidths(rows, size) {
+        const columns = Math.max(1, ...rows.map(row => sum(row.map(cell => cell.span || 1))));
+        const natural = new Array(columns).fill(2 * CELL_PADDING + 2);
+        const minimum = new Array(columns).fill(2 * CELL_PADDING + 2);
+        rows.forEach(row => {
+            let column = 0;
+            row.forEach(cell => {
+                const span = cell.span || 1;
+                if (span === 1) {
+                    natural[column] = Math.max(natural[column], Math.min(this.runsWidth(cell.runs, size), MAX_NATURAL_COLUMN) + 2 * CELL_PADDING);
+                    minimum[column] = Math.max(minimum[column], this.longestWord(cell.runs, size) + 2 * CELL_PADDING);
+                }
+                column += span;
+            });
+        });
+        return { natural, minimum: minimum.map((min, i) => Math.min(min, natural[i])) };
+    }
+
+    // Tables wider than the page first shrink their text, down to MIN_TABLE_SIZE, then wrap
+    // their columns: every column keeps its longest word where it can and they share the rest
+    // in proportion to their natural widths
+    fitColumns(rows, available) {
+        let size = BODY_SIZE;
+        let { natural, minimum } = this.columnWidths(rows, size);
+        if (sum(natural) > available) {
+            size = Math.max(MIN_TABLE_SIZE, size * available / sum(natural));
+            ({ natural, minimum } = this.columnWidths(rows, size));
+        }
+        const total = sum(natural);
+        if (total <= available) return { size, widths: natural };
+
+        if (sum(minimum) > available) {
+            return { size, widths: natural.map(width => width * available / total) };
+        }
+        const slack = natural.map((width, i) => width - minimum[i]);
+        const share = (available - sum(minimum)) / sum(slack);
+        return { size, widths: minimum.map((min, i) => min + slack[i] * share) };
+    }
+
+    prepareRow(row, widths, size, alignNumbers) {
+        let column = 0;
+        const cells = row.map(cell => {
+            const span = cell.span || 1;
+            const width = sum(widths.slice(column, column + span));
+            column += span;
+            const lines = this.wrap(cell.runs, size, width - 2 * CELL_PADDING, false);
+            const text = cell.runs.map(run => run.text || '').join('').trim();
+            return { ...cell, width, lines, right: alignNumbers && /^[-+(]?[$€£¥]?\s?[\d.,]+\s?%?\)?$/.test(text) };
+        });
+        // Columns this row has no cells for still get their borders
+        while (column < widths.length) cells.push({ runs: [], width: widths[column++], lines: [] });
+        return { cells, lines: Math.max(1, ...cells.map(cell => cell.lines.length)) };
+    }
+
+    drawRow(row, from, count, size, lineHeight) {
+        const height = count * lineHeight + 2 * CELL_PADDING;
+        let x = this.left;
+        this.doc.setDrawColor(170, 170, 170);
+        this.doc.setLineWidth(0.2);
+        row.cells.forEach(cell => {
+            if (cell.header) {
+                this.doc.setFillColor(238, 238, 238);
+                this.doc.rect(x, this.y, cell.width, height, 'FD');
+            } else {
+                this.doc.rect(x, this.y, cell.width, height);
+            }
+            cell.lines.slice(from, from + count).forEach((line, i) => {
+                const lineX = cell.right || line.rtl ? x + cell.width - CELL_PADDING - line.width : x + CELL_PADDING;
+                this.drawLine(line, lineX, this.y + CELL_PADDING + i * lineHeight, size, lineHeight);
+            });
+            x += cell.width;
+        });
+        this.y += height;
+    }
+
+    // Right-to-left lines run their segments from the right
+    drawLine(line, x, top, size, lineHeight, color) {
+        const baseline = this.baseline(top, size, lineHeight);
+        (line.rtl ? [...line.segments].reverse() : line.segments).forEach(segment => {
+            this.drawText(segment.text, segment.run, size, x, baseline, color, line.rtl, segment.raster);
+            x += segment.width;
+        });
+    }
+
+    baseline(top, size, lineHeight) {
+        return top + (lineHeight - size * PT) / 2 + size * PT * 0.8;
+    }
+
+    drawText(text, run, size, x, baseline, color, rtl = false, raster = !WIN_ANSI_RE.test(text)) {
+        const doc = this.doc;
+        const textColor = run.link ? LINK_COLOR : color || [0, 0, 0];
+        if (!raster) {
+            this.setFont(run, size);
+            doc.setTextColor(...textColor);
+            doc.text(text, x, baseline);
+        } else {
+            this.drawRasterText(text, run, size, x, baseline, textColor, rtl);
+        }
+        if (!run.link && !run.underline && !run.strike) return;
+
+        const width = this.measure(text, run, size, raster);
+        doc.setDrawColor(...textColor);
+        doc.setLineWidth(size * 0.05 * PT);
+        if (run.link || run.underline) doc.line(x, baseline + size * 0.12 * PT, x + width, baseline + size * 0.12 * PT);
+        if (run.strike) doc.line(x, baseline - size * 0.28 * PT, x + width, baseline - size * 0.28 * PT);
+        if (run.link) doc.link(x, baseline - size * 0.8 * PT, width, size * PT, { url: run.link });
+    }
+
+    // The canvas lays the text out itself: shaping, fallback fonts and right-to-left order
+    drawRasterText(text, run, size, x, baseline, color, rtl) {
+        const fontPx = size * RASTER_SCALE;
+        const ascent = Math.round(fontPx * 1.15);
+        const width = Math.ceil(this.rasterContext(run, size).measureText(text).width) + 2;
+        const height = Math.ceil(fontPx * 1.5);
+        const context = getPlatform().createCanvas(width, height).getContext('2d');
+        context.font = rasterFont(run, fontPx);
+        context.direction = rtl ? 'rtl' : 'ltr';
+        context.textAlign = 'left';
+        context.fillStyle = `rgb(${color.join(', ')})`;
+        context.fillText(text, 1, ascent);
+
+        const mm = PT / RASTER_SCALE;
+        const png = encodePng(context.getImageData(0, 0, width, height));
+        this.doc.addImage(png, 'PNG', x - mm, baseline - ascent * mm, width * mm, height * mm, undefined, 'FAST');
+    }
+
+    // A canvas kept for measuring text drawn as an image
+    rasterContext(run, size) {
+        if (!this.measureContext) this.measureContext = getPlatform().createCanvas(1, 1).getContext('2d');
+        this.measureContext.font = rasterFont(run, size * RASTER_SCALE);
+        return this.measureContext;
+    }
+
+    setFont(run, size) {
+        const style = run.bold && run.italic ? 'bolditalic' : run.bold ? 'bold' : run.italic ? 'italic' : 'normal';
+        this.doc.setFont(run.mono ? 'courier' : 'helvetica', style);
+        this.doc.setFontSize(size);
+    }
+
+    // Text the standard fonts can't show is measured as the canvas will draw it
+    measure(text, run, size, raster = !WIN_ANSI_RE.test(text)) {
+        if (raster) {
+            return this.rasterContext(run, size).measureText(text).width / RASTER_SCALE * PT;
+        }
+        this.setFont(run, size);
+        return this.doc.getTextWidth(text);
+    }
+
+    // Breaks runs into lines of at most `width` mm: at spaces, or inside words longer than a
+    // line. Each line is a list of segments, one per stretch of identically formatted text that is
+    // either all drawn by jsPDF or all drawn on the canvas.
+    // Lines take the direction of the first letter of the paragraph or hard line they belong to.
+    wrap(runs, size, width, pre) {
+        const lines = [];
+        let line = { segments: [], width: 0 };
+        let paragraphStart = 0;
+        const endParagraph = () => {
+            const paragraph = lines.slice(paragraphStart);
+            const rtl = isRtl(paragraph.flatMap(l => l.segments.map(segment => segment.text)).join(''));
+            paragraph.forEach(l => {
+                l.rtl = rtl;
+            });
+            paragraphStart = lines.length;
+        };
+        const endLine = () => {
+            const last = line.segments[line.segments.length - 1];
+            if (last && !pre && /\s$/.test(last.text)) {
+                last.text = last.text.replace(/\s+$/, '');
+                const trimmedWidth = this.measure(last.text, last.run, size, last.raster);
+                line.width -= last.width - trimmedWidth;
+                last.width = trimmedWidth;
+            }
+            lines.push(line);
+            line = { segments: [], width: 0 };
+        };
+        const append = (text, run, textWidth, raster = !WIN_ANSI_RE.test(text)) => {
+            const last = line.segments[line.segments.length - 1];
+            if (last && last.run === run && last.raster === raster) {
+                last.text += text;
+                last.width += textWidth;
+            } else {
+                line.segments.push({ text, run, width: textWidth, raster });
+            }
+            line.width += textWidth;
+        };
+
+        runs.forEach(run => {
+            if (run.br) {
+                endLine();
+                endParagraph();
+                return;
+            }
+            const text = pre ? (run.text || '').replace(/\t/g, '    ') : run.text || '';
+            (text.match(/\s+|\S+/g) || []).forEach(piece => {
+                const space = /^\s/.test(piece);
+                if (space && !pre) {
+                    // A space joins the text before it, measured the way that text is drawn
+                    const last = line.segments[line.segments.length - 1];
+                    if (last) {
+                        const raster = last.run === run && last.raster;
+                        append(' ', run, this.measure(' ', run, size, raster), raster);
+                    }
+                    return;
+                }
+                const pieceWidth = this.measure(piece, run, size);
+                if (line.width + pieceWidth <= width + 0.01) {
+                    append(piece, run, pieceWidth);
+                    return;
+                }
+                if (line.segments.length) endLine();
+                if (space) return; // Spaces where a line wraps aren't drawn
+                let rest = piece;
+                while (this.measure(rest, run, size) > width + 0.01) {
+                    // The most characters that fit, at least one
+                    let count = 1;
+                    let high = rest.length - 1;
+                    while (count < high) {
+                        const middle = Math.ceil((count + high) / 2);
+                        if (this.measure(rest.slice(0, middle), run, size) > width + 0.01) high = middle - 1;
+                        else count = middle;
+                    }
+                    append(rest.slice(0, count), run, this.measure(rest.slice(0, count), run, size));
+                    endLine();
+                    rest = rest.slice(count);
+                }
+                append(rest, run, this.measure(rest, run, size));
+            });
+        });
+        if (line.segments.length || lines.length === 0) endLine();
+        endParagraph();
+        return lines;
+    }
+
+    // Width of the longest line, unwrapped
+    runsWidth(runs, size) {
+        let widest = 0;
+        let current = 0;
+        runs.forEach(run => {
+            if (run.br) {
+                current = 0;
+                return;
+            }
+            current += this.measure((run.text || '').replace(/\s+/g, ' '), run, size);
+            widest = Math.max(widest, current);
+        });
+        return widest;
+    }
+
+    longestWord(runs, size) {
+        let longest = 0;
+        runs.forEach(run => {
+            (run.text || '').split(/\s+/).forEach(word => {
+                if (word) longest = Math.max(longest, this.measure(word, run, size));
+            });
+        });
+        return longest;
+    }
+}
+
+// Rows of this table only, not of tables nested in its cells
+function tableRows(table) {
+    return Array.from(table.children).flatMap(child =>
+        child.tagName === 'TR' ? [child] : Array.from(child.children).filter(row => row.tagName === 'TR')
+    );
+}
+
+function tableCells(row) {
+    return Array.from(row.children).filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH');
+}
+
+// Drop whitespace at the edges of a paragraph left over from HTML source formatting
+function trimRuns(runs) {
+    const result = runs.map(run => ({ ...run }));
+    const textRuns = result.filter(run => typeof run.text === 'string');
+    if (textRuns.length) {
+        textRuns[0].text = textRuns[0].text.replace(/^\s+/, '');
+        textRuns[textRuns.length - 1].text = textRuns[textRuns.length - 1].text.replace(/\s+$/, '');
+    }
+    return result;
+}
+
+function isRtl(text) {
+    const letter = text.match(/\p{L}/u);
+    return !!letter && RTL_RE.test(letter[0]);
+}
+
+function rasterFont(run, px) {
+    return `${run.italic ? 'italic ' : ''}${run.bold ? 'bold ' : ''}${px}px ${run.mono ? RASTER_FONTS.mono : RASTER_FONTS.sans}`;
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+// jsPDF embeds JPEG and PNG as they are; anything else is drawn to a canvas and re-encoded as PNG.
+// Remote images are never requested, so laying out stays offline; they become links (see inline).
+async function loadImage(src) {
+    if (!src || !/^(data|blob):/i.test(src.trim())) return null;
+
+    const response = await fetch(src);
+    let blob = await response.blob();
+    const platform = getPlatform();
+    const image = await platform.decodeImage(blob);
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+
+    if (blob.type !== 'image/jpeg' && blob.type !== 'image/png') {
+        const canvas = platform.createCanvas(width, height);
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        blob = await platform.canvasToBlob(canvas, 'image/png');
+    }
+    if (image.close) image.close();
+
+    return {
+        data: new Uint8Array(await blob.arrayBuffer()),
+        format: blob.type === 'image/jpeg' ? 'JPEG' : 'PNG',
+        width,
+        height
+    };
+}
@@ -0,0 +1,248 @@
+// Turns the pdf.js text layer into simple document blocks (headings, paragraphs, list items)
+// so PDFs can be exported as plain text, HTML or Markdown.
+import { escapeHtml } from './format.js';
+
+const BULLET_RE = /^([•◦▪▫‣∙·●○■□–—*-])\s+(.*)$/;
+const ORDERED_RE = /^(\(?(?:\d{1,3}|[a-zA-Z]|[ivxIVX]{1,5})[.)])\s+(.*)$/;
+
+/**
+ * Reads the text layer of every page and groups it into blocks.
+ * @param {import('pdfjs-dist').PDFDocumentProxy} pdf
+ * @param {(done: number, total: number) => void} [onPage] called after each page is read
+ * @returns {Promise<Array<Array<{type: string, text: string, level?: number, ordered?: boolean}>>>} blocks per page
+ */
+export async function extractPdfBlocks(pdf, onPage) {
+    const pageLines = [];
+    for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i);
+        const content = await page.getTextContent();
+        pageLines.push(groupLines(content.items));
+        page.cleanup();
+        if (onPage) onPage(i, pdf.numPages);
+    }
+
+    const bodySize = findBodySize(pageLines.flat());
+    return pageLines.map(lines => groupBlocks(lines, bodySize));
+}
+
+export function blocksToText(pages) {
+    return pages.map((blocks, i) => {
+        const body = groupListItems(blocks).map(block => {
+            if (block.type === 'list') {
+                return block.items.map(item => `${item.marker} ${item.text}`).join('\n');
+            }
+            return block.text;
+        }).join('\n\n');
+        return i === 0 ? body : `----- Page ${i + 1} -----\n\n${body}`;
+    }).join('\n\n') + '\n';
+}
+
+export function blocksToHtml(pages, title = '') {
+    const sections = pages.map((blocks, i) => {
+        const body = groupListItems(blocks).map(block => {
+            if (block.type === 'heading') {
+                return `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`;
+            }
+            if (block.type === 'list') {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const items = block.items.map(item => `  <li>${escapeHtml(item.text)}</li>`).join('\n');
+                return `<${tag}>\n${items}\n</${tag}>`;
+            }
+            return `<p>${escapeHtml(block.text)}</p>`;
+        }).join('\n');
+        return `<section class="page" data-page="${i + 1}">\n${body}\n</section>`;
+    }).join('\n<hr>\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+${sections}
+</body>
+</html>
+`;
+}
+
+export function blocksToMarkdown(pages) {
+    return pages.map((blocks, i) => {
+        const body = groupListItems(blocks).map(block => {
+            if (block.type === 'heading') {
+                return '#'.repeat(block.level) + ' ' + escapeMarkdown(block.text);
+            }
+            if (block.type === 'list') {
+                return block.items.map((item, n) =>
+                    (block.ordered ? `${n + 1}. ` : '- ') + escapeMarkdown(item.text)
+                ).join('\n');
+            }
+            return escapeMarkdown(block.text);
+        }).join('\n\n');
+        return i === 0 ? body : `---\n\n<!-- Page ${i + 1} -->\n\n${body}`;
+    }).join('\n\n') + '\n';
+}
+
+// Text items come in content-stream order, which is reading order for almost every
+// producer, so lines are built in that order instead of re-sorting by position
+// (re-sorting breaks multi-column layouts).
+function groupLines(items) {
+    const lines = [];
+    let current = null;
+
+    const flush = () => {
+        if (current && current.text.trim()) {
+            current.text = current.text.replace(/\s+/g, ' ').trim();
+            lines.push(current);
+        }
+        current = null;
+    };
+
+    for (const item of items) {
+        if (typeof item.str !== 'string') continue; // marked content
+
+        const [, , c, d, x, y] = item.transform;
+        const size = Math.hypot(c, d) || item.height || 1;
+
+        if (item.str) {
+            const sameLine = current &&
+                Math.abs(y - current.y) <= size * 0.5 &&
+                x >= current.right - size;
+
+            if (sameLine) {
+                const gap = x - current.right;
+                if (gap > size * 0.15 && !/\s$/.test(current.text) && !/^\s/.test(item.str)) {
+                    current.text += ' ';
+                }
+                current.text += item.str;
+                current.right = Math.max(current.right, x + item.width);
+                current.size = Math.max(current.size, size);
+            } else {
+                flush();
+                current = { text: item.str, x, y, right: x + item.width, size };
+            }
+        }
+
+        if (item.hasEOL) flush();
+    }
+    flush();
+
+    return lines;
+}
+
+// The most common font size (weighted by characters) is taken as body text.
+function findBodySize(lines) {
+    const counts = new Map();
+    lines.forEach(line => {
+        const size = Math.round(line.size * 2) / 2;
+        counts.set(size, (counts.get(size) || 0) + line.text.length);
+    });
+
+    let bodySize = 0;
+    let best = -1;
+    counts.forEach((count, size) => {
+        if (count > best) {
+            best = count;
+            bodySize = size;
+        }
+    });
+    return bodySize || 12;
+}
+
+function headingLevel(line, bodySize) {
+    const ratio = line.size / bodySize;
+    if (ratio < 1.15 || line.text.length > 120) return 0;
+    if (ratio >= 1.8) return 1;
+    if (ratio >= 1.4) return 2;
+    return 3;
+}
+
+function groupBlocks(lines, bodySize) {
+    const blocks = [];
+    let open = null; // paragraph or list item still accepting continuation lines
+    let prev = null;
+
+    lines.forEach(line => {
+        const gap = prev ? prev.y - line.y : 0;
+        const closeGap = gap > 0 && gap <= line.size * 1.8;
+        const level = headingLevel(line, bodySize);
+
+        if (level) {
+            const last = blocks[blocks.length - 1];
+            if (!open && last && last.type === 'heading' && last.level === level && closeGap) {
+                last.text += ' ' + line.text; // heading wrapped onto a second line
+            } else {
+                blocks.push({ type: 'heading', level, text: line.text });
+            }
+            open = null;
+            prev = line;
+            return;
+        }
+
+        const bullet = line.text.match(BULLET_RE);
+        const ordered = !bullet && line.text.match(ORDERED_RE);
+        if (bullet || ordered) {
+            open = {
+                type: 'item',
+                ordered: !!ordered,
+                marker: (bullet || ordered)[1],
+                text: (bullet || ordered)[2],
+                x: line.x,
+                size: line.size
+            };
+            blocks.push(open);
+            prev = line;
+            return;
+        }
+
+        const continues = open && closeGap &&
+            Math.abs(line.size - open.size) <= open.size * 0.15 &&
+            (open.type !== 'item' || line.x > open.x);
+
+        if (continues) {
+            open.text = joinLines(open.text, line.text);
+        } else {
+            open = { type: 'paragraph', text: line.text, x: line.x, size: line.size };
+            blocks.push(open);
+        }
+        prev = line;
+    });
+
+    return blocks.map(({ type, text, level, ordered, marker }) =>
+        type === 'heading' ? { type, level, text } :
+        type === 'item' ? { type, ordered, marker, text } :
+        { type, text }
+    );
+}
+
+function joinLines(text, next) {
+    // Re-join words hyphenated across a line break
+    if (/[a-z]-$/.test(text) && /^[a-z]/.test(next)) {
+        return text.slice(0, -1) + next;
+    }
+    return text + ' ' + next;
+}
+
+function groupListItems(blocks) {
+    const grouped = [];
+    blocks.forEach(block => {
+        if (block.type !== 'item') {
+            grouped.push(block);
+            return;
+        }
+        const last = grouped[grouped.length - 1];
+        if (last && last.type === 'list' && last.ordered === block.ordered) {
+            last.items.push(block);
+        } else {
+            grouped.push({ type: 'list', ordered: block.ordered, items: [block] });
+        }
+    });
+    return grouped;
+}
+
+function escapeMarkdown(text) {
+    return text
+        .replace(/([\\`*_[\]<>])/g, '\\$1')
+        .replace(/^(#+|[-+])(\s)/, '\\$1$2')
+        .replace(/^(\d+)([.)]\s)/, '$1\\$2');
+}
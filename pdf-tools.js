@@ -0,0 +1,175 @@
+// Page-level PDF operations: merge, split, extract and rotate. Unlike convertFile these keep
+// a PDF a PDF; pages are copied with pdf-lib, so text, vector graphics and links are untouched.
+import { PDFDocument, degrees } from 'pdf-lib';
+import { ConversionError, parsePageRange, loadPdfDocument } from './converter.js';
+import { createZipBlob } from './bundle.js';
+
+/**
+ * Runs a PDF operation.
+ * @param {'merge' | 'split' | 'extract' | 'rotate'} operation
+ * @param {File[]} files merge joins all of them in order; the other operations use files[0]
+ * @param {Object} [options]
+ * @param {string} [options.pages] pages to extract or rotate ("1-3,5", empty = all); when splitting
+ *        by ranges, every comma-separated part becomes its own document
+ * @param {'ranges' | 'single'} [options.splitMode] split by `pages` or into single pages
+ * @param {number} [options.angle] clockwise rotation, a multiple of 90
+ * @param {(progress: {stage: string, done: number, total: number, unit: string}) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{blob: Blob, name: string}>} a PDF, or a ZIP of PDFs when a split gives several parts
+ * @throws {ConversionError}
+ */
+export async function runPdfOperation(operation, files, options = {}) {
+    if (files.length === 0) {
+        throw new ConversionError('No PDF selected', { stage: 'read' });
+    }
+
+    const baseName = files[0].name.replace(/\.[^/.]+$/, '');
+    switch (operation) {
+        case 'merge':
+            return { blob: await mergePdfs(files, options), name: 'merged.pdf' };
+        case 'split':
+            return splitPdf(files[0], baseName, options);
+        case 'extract':
+            return { blob: await extractPages(files[0], options), name: `${baseName}_pages.pdf` };
+        case 'rotate':
+            return { blob: await rotatePages(files[0], options), name: `${baseName}_rotated.pdf` };
+        default:
+            throw new ConversionError(`Unknown PDF operation "${operation}"`, { stage: 'read' });
+    }
+}
+
+async function mergePdfs(files, options) {
+    const merged = await PDFDocument.create();
+    for (const [index, file] of files.entries()) {
+        const source = await loadPdf(file, options);
+        const pages = await merged.copyPages(source, source.getPageIndices());
+        pages.forEach(page => merged.addPage(page));
+        reportProgress(options, 'render', index + 1, files.length, 'files');
+    }
+    return savePdf(merged);
+}
+
+async function splitPdf(file, baseName, options) {
+    const source = await loadPdf(file, options);
+    const numPages = source.getPageCount();
+
+    let parts;
+    if (options.splitMode === 'single') {
+        parts = source.getPageIndices().map(i => [i + 1]);
+    } else {
+        if (!options.pages || !options.pages.trim()) {
+            throw new ConversionError('Enter the page ranges to split into, e.g. "1-3, 4-6, 7-"', { stage: 'read' });
+        }
+        parts = options.pages.split(',').filter(part => part.trim()).map(part => parsePageRange(part, numPages));
+    }
+
+    const pad = String(numPages).length;
+    const documents = [];
+    for (const [index, pageNumbers] of parts.entries()) {
+        throwIfAborted(options);
+        const suffix = options.splitMode === 'single'
+            ? `page${String(pageNumbers[0]).padStart(pad, '0')}`
+            : `part${index + 1}`;
+        documents.push({ name: `${baseName}_${suffix}.pdf`, blob: await copyToNewPdf(source, pageNumbers) });
+        reportProgress(options, 'render', index + 1, parts.length, 'files');
+    }
+
+    if (documents.length === 1) {
+        return documents[0];
+    }
+    return { blob: await createZipBlob(documents), name: `${baseName}_split.zip` };
+}
+
+async function extractPages(file, options) {
+    const source = await loadPdf(file, options);
+    const pageNumbers = parsePageRange(options.pages, source.getPageCount());
+    const blob = await copyToNewPdf(source, pageNumbers);
+    reportProgress(options, 'render', 1, 1, 'files');
+    return blob;
+}
+
+async function rotatePages(file, options) {
+    const doc = await loadPdf(file, options);
+    const angle = Number(options.angle) || 90;
+    if (angle % 90 !== 0) {
+        throw new ConversionError('Pages can only be rotated in steps of 90°', { stage: 'read' });
+    }
+
+    const pageNumbers = parsePageRange(options.pages, doc.getPageCount());
+    pageNumbers.forEach(pageNumber => {
+        const page = doc.getPage(pageNumber - 1);
+        page.setRotation(degrees(((page.getRotation().angle + angle) % 360 + 360) % 360));
+    });
+    reportProgress(options, 'render', 1, 1, 'files');
+    return savePdf(doc);
+}
+
+async function copyToNewPdf(source, pageNumbers) {
+    const doc = await PDFDocument.create();
+    const pages = await doc.copyPages(source, pageNumbers.map(n => n - 1));
+    pages.forEach(page => doc.addPage(page));
+    return savePdf(doc);
+}
+
+async function loadPdf(file, options) {
+    throwIfAborted(options);
+    const bytes = await file.arrayBuffer();
+    reportProgress(options, 'read', bytes.byteLength, bytes.byteLength, 'bytes');
+    try {
+        return await PDFDocument.load(bytes);
+    } catch (error) {
+        const message = error.name === 'EncryptedPDFError'
+            ? `${file.name} is password protected`
+            : `${file.name} could not be read as a PDF`;
+        throw new ConversionError(message, { stage: 'decode', cause: error });
+    }
+}
+
+async function savePdf(doc) {
+    try {
+        return new Blob([await doc.save()], { type: 'application/pdf' });
+    } catch (error) {
+        throw new ConversionError('Writing the PDF failed', { stage: 'encode', cause: error });
+    }
+}
+
+/**
+ * Renders a small preview of every page with pdf.js, one page at a time, so pages can be
+ * picked by sight. Runs on the main thread (it needs a document canvas).
+ * @param {File} file
+ * @param {(pageNumber: number, blob: Blob, numPages: number) => void} onThumbnail
+ * @param {{width?: number, signal?: AbortSignal}} [options]
+ * @returns {Promise<void>}
+ */
+export async function renderPdfThumbnails(file, onThumbnail, { width = 110, signal } = {}) {
+    const pdf = await loadPdfDocument(file, { signal });
+    try {
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            if (signal) signal.throwIfAborted();
+            const page = await pdf.getPage(pageNumber);
+            const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.floor(viewport.width);
+            canvas.height = Math.floor(viewport.height);
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            page.cleanup();
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+            onThumbnail(pageNumber, blob, pdf.numPages);
+        }
+    } finally {
+        pdf.destroy();
+    }
+}
+
+function reportProgress(options, stage, done, total, unit) {
+    if (options.onProgress) {
+        options.onProgress({ stage, done, total, unit });
+    }
+}
+
+function throwIfAborted(options) {
+    if (options.signal) {
+        options.signal.throwIfAborted();
+    }
+}
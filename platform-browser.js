@@ -0,0 +1,98 @@
+// Platform for the page and its conversion workers. Workers have no DOM, so they draw on an
+// OffscreenCanvas and decode with createImageBitmap; HTML parsing, heic2any and pdf.js
+// rendering and drawing SVG into PDF only work on the main thread (see canConvertInWorker).
+import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import { ConversionError } from './converter.js';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+/** @type {import('./platform.js').Platform} */
+export const browserPlatform = {
+    pdfjs: pdfjsLib,
+
+    createCanvas(width, height) {
+        if (typeof document === 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    },
+
+    canvasToBlob(canvas, type, quality = 0.9) {
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type, quality });
+        }
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new ConversionError('The browser could not encode this format', { stage: 'encode' }));
+                }
+            }, type, quality);
+        });
+    },
+
+    async decodeImage(blob, onProgress) {
+        if (typeof document === 'undefined') {
+            if (onProgress) onProgress('decode', 0, 1, 'images');
+            return createImageBitmap(blob);
+        }
+        const dataUrl = await readFileAsDataURL(blob, onProgress);
+        if (onProgress) onProgress('decode', 0, 1, 'images');
+        return loadImage(dataUrl);
+    },
+
+    parseHtml(html) {
+        return new DOMParser().parseFromString(html, 'text/html');
+    },
+
+    async decodeHeic(blob, toType) {
+        // Loaded on first use; heic2any touches `window` as soon as it is evaluated, which would
+        // stop the worker module from loading at all
+        const { default: heic2any } = await import('heic2any');
+        const output = await heic2any({ blob, toType, multiple: true });
+        return Array.isArray(output) ? output : [output];
+    },
+
+    async renderSvgToPdf(pdf, svg, box) {
+        // Loaded on first use; svg2pdf.js needs the element in the page to measure text and boxes
+        const { svg2pdf } = await import('svg2pdf.js');
+        const parsed = new DOMParser().parseFromString(svg, 'image/svg+xml');
+        if (parsed.querySelector('parsererror') || parsed.documentElement.localName !== 'svg') {
+            throw new ConversionError('This SVG could not be parsed', { stage: 'decode' });
+        }
+        const element = document.importNode(parsed.documentElement, true);
+        const holder = document.createElement('div');
+        holder.style.cssText = 'position:absolute;left:-99999px;top:0;visibility:hidden';
+        holder.appendChild(element);
+        document.body.appendChild(holder);
+        try {
+            await svg2pdf(element, pdf, box);
+        } finally {
+            holder.remove();
+        }
+    }
+};
+
+function readFileAsDataURL(file, onProgress) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onprogress = (e) => onProgress && onProgress('read', e.loaded, e.total, 'bytes');
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(file);
+    });
+}
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('The browser could not decode this image'));
+        img.src = src;
+    });
+}
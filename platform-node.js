@@ -0,0 +1,57 @@
+// Platform for Node (the formatconv CLI): canvases from @napi-rs/canvas, HTML parsing with
+// linkedom and the legacy pdf.js build, which runs without the newest JS built-ins.
+import { createRequire } from 'node:module';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+import { DOMParser } from 'linkedom';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { ConversionError } from './converter.js';
+
+const require = createRequire(import.meta.url);
+// pdf.js reads the metrics of the 14 standard fonts from here when a PDF doesn't embed them
+const STANDARD_FONTS = require.resolve('pdfjs-dist/package.json').replace(/package\.json$/, 'standard_fonts/');
+
+// Formats @napi-rs/canvas can encode
+const ENCODINGS = { 'image/png': 'png', 'image/jpeg': 'jpeg', 'image/webp': 'webp', 'image/avif': 'avif' };
+
+/** @type {import('./platform.js').Platform} */
+export const nodePlatform = {
+    pdfjs: {
+        ...pdfjsLib,
+        getDocument: (params) => pdfjsLib.getDocument({ standardFontDataUrl: STANDARD_FONTS, ...params })
+    },
+
+    createCanvas(width, height) {
+        return createCanvas(width, height);
+    },
+
+    async canvasToBlob(canvas, type, quality = 0.9) {
+        const format = ENCODINGS[type];
+        if (!format) {
+            throw new ConversionError(`Encoding ${type} is not supported here`, { stage: 'encode' });
+        }
+        const bytes = await canvas.encode(format, Math.round(quality * 100));
+        return new Blob([bytes], { type });
+    },
+
+    async decodeImage(blob, onProgress) {
+        const bytes = Buffer.from(await blob.arrayBuffer());
+        if (onProgress) onProgress('decode', 0, 1, 'images');
+        return loadImage(bytes);
+    },
+
+    parseHtml(html) {
+        // linkedom leaves fragments outside <body>; a browser would put them inside
+        const source = /<body[\s>]/i.test(html) ? html : `<!DOCTYPE html><html><head></head><body>${html}</body></html>`;
+        return new DOMParser().parseFromString(source, 'text/html');
+    },
+
+    async decodeHeic() {
+        throw new ConversionError('HEIC images can only be decoded in the browser', { stage: 'decode' });
+    },
+
+    async renderSvgToPdf() {
+        // svg2pdf.js measures the SVG through a live DOM, which linkedom doesn't provide
+        throw new ConversionError('SVG can only be drawn into PDF as vectors in the browser', { stage: 'render' });
+    }
+};
+
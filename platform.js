@@ -0,0 +1,37 @@
+// The environment-specific parts of converting: canvases, image decoding, HTML parsing, HEIC
+// decoding, SVG to PDF and pdf.js. The converters only reach them through getPlatform(), so
+// the same code runs in the page and its workers (platform-browser.js) and in Node (platform-node.js).
+
+/**
+ * @typedef {Object} Platform
+ * @property {typeof import('pdfjs-dist')} pdfjs pdf.js, with its worker set up
+ * @property {(width: number, height: number) => Object} createCanvas a canvas with a 2D context
+ * @property {(canvas: Object, type: string, quality: number) => Promise<Blob>} canvasToBlob
+ *           rejects with a ConversionError when the type can't be encoded
+ * @property {(blob: Blob, onProgress?: (stage: string, done: number, total: number, unit: string) => void) => Promise<Object>} decodeImage
+ *           something drawImage accepts, with width/height
+ * @property {(html: string) => Document} parseHtml
+ * @property {(blob: Blob, toType: string) => Promise<Blob[]>} decodeHeic every image in a HEIC/HEIF file
+ * @property {(pdf: import('jspdf').jsPDF, svg: string, box: {x: number, y: number, width: number, height: number}) => Promise<void>} renderSvgToPdf
+ *           draws the SVG as vectors into the box on the current page, in the PDF's units
+ */
+
+let current = null;
+
+/**
+ * Installs the platform the converters use. Call once at startup, before converting.
+ * @param {Platform} platform
+ */
+export function setPlatform(platform) {
+    current = platform;
+}
+
+/**
+ * @returns {Platform}
+ */
+export function getPlatform() {
+    if (!current) {
+        throw new Error('No platform installed; call setPlatform() with platform-browser.js or platform-node.js first');
+    }
+    return current;
+}
@@ -0,0 +1,69 @@
+// PNG encoding without a canvas round trip: canvas.toBlob is asynchronous, while the PDF layout
+// needs its images while it draws. Also the chunk writer metadata.js uses.
+import { zlibSync, strToU8 } from 'fflate';
+
+/**
+ * Encodes pixels as an 8-bit RGBA PNG.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image RGBA pixels, e.g. ImageData
+ * @returns {Uint8Array}
+ */
+export function encodePng({ width, height, data }) {
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header.set([8, 6, 0, 0, 0], 8); // 8 bits per channel, RGBA, deflate, no filter, no interlace
+
+    // Every row starts with its filter type, 0 (none)
+    const rowSize = width * 4;
+    const raw = new Uint8Array((rowSize + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(data.subarray(y * rowSize, (y + 1) * rowSize), y * (rowSize + 1) + 1);
+    }
+
+    const parts = [
+        new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlibSync(raw, { level: 6 })),
+        pngChunk('IEND', new Uint8Array(0))
+    ];
+    const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+}
+
+/**
+ * One PNG chunk: length, type, data and CRC.
+ * @param {string} type four-letter chunk type
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function pngChunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    out.set(strToU8(type), 4);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
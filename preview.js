@@ -0,0 +1,231 @@
+// Previews of sources and results, drawn into a container on the page: images, PDF pages,
+// spreadsheet tables, documents as sanitized HTML, text, and the contents of ZIP bundles.
+// Runs on the main thread (it needs the DOM).
+import mammoth from 'mammoth';
+import { findConverter, convertFile, readSheetRows, MIME_BY_EXTENSION } from './converter.js';
+import { renderPdfThumbnails } from './pdf-tools.js';
+import { markdownToHtml } from './markdown.js';
+import { readZipEntries } from './bundle.js';
+import { escapeHtml, formatSize } from './format.js';
+
+const MAX_PDF_PAGES = 50; // Pages rendered before the rest are summarized
+const MAX_SHEET_ROWS = 500;
+const MAX_TEXT_LENGTH = 200000;
+const PDF_PAGE_WIDTH = 800; // px the pages are rendered at; the pane scales them to fit
+
+// Image types an <img> shows as-is; the rest (TIFF, HEIC) are converted to PNG first
+const BROWSER_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp', 'image/svg+xml', 'image/avif', 'image/x-icon'];
+
+/**
+ * @typedef {Object} PreviewInfo
+ * @property {'image'|'pdf'|'sheets'|'document'|'text'|'zip'|'none'} kind
+ * @property {string} [imageUrl] for images, what the before/after comparison shows
+ * @property {number} [width] image size in px
+ * @property {number} [height]
+ * @property {number} [pages] PDF page count
+ * @property {number} [sheets] sheet count
+ * @property {number} [entries] files in a ZIP
+ * @property {() => void} dispose releases object URLs and stops rendering
+ */
+
+/**
+ * Renders a preview of a file into an empty container.
+ * @param {HTMLElement} container
+ * @param {File} file a source, or a result wrapped in a File named like its download
+ * @param {{options?: Object, signal?: AbortSignal}} [settings] `options` are the source's
+ *        conversion settings, for how it is read (CSV delimiter and encoding)
+ * @returns {Promise<PreviewInfo>}
+ */
+export async function renderPreview(container, file, { options = {}, signal } = {}) {
+    const urls = [];
+    const controller = new AbortController();
+    signal?.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    const dispose = () => {
+        controller.abort();
+        urls.forEach(url => URL.revokeObjectURL(url));
+    };
+    const context = { urls, signal: controller.signal, options };
+
+    try {
+        return { ...await renderByKind(container, file, context), dispose };
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.error(error);
+        container.innerHTML = `<p class="preview-note">No preview: ${escapeHtml(error.message || 'the file could not be read')}</p>`;
+        return { kind: 'none', dispose };
+    }
+}
+
+function renderByKind(container, file, context) {
+    const converter = findConverter(file);
+    if (file.type === 'application/zip' || /\.zip$/i.test(file.name)) return renderZip(container, file, context);
+    if (converter?.category === 'image' || file.type.startsWith('image/')) return renderImage(container, file, context);
+    if (converter?.id === 'pdf') return renderPdf(container, file, context);
+    if (converter?.id === 'spreadsheet') return renderSheets(container, file, context);
+    if (converter?.id === 'docx') return renderDocx(container, file);
+    if (converter?.id === 'html') return file.text().then(html => renderHtml(container, html));
+    if (converter?.id === 'markdown') return file.text().then(markdown => markdownToHtml(markdown)).then(html => renderHtml(container, html));
+    if (converter?.category === 'text' || file.type.startsWith('text/') || file.type === 'application/json') {
+        return renderText(container, file);
+    }
+    container.innerHTML = '<p class="preview-note">No preview for this format</p>';
+    return { kind: 'none' };
+}
+
+async function renderImage(container, file, context) {
+    let blob = file;
+    if (!BROWSER_IMAGE_TYPES.includes(file.type)) {
+        // Multi-page TIFFs come back as a bundle; the first page stands for the file
+        blob = await convertFile(file, 'image/png', { signal: context.signal });
+        if (blob.type === 'application/zip') blob = (await readZipEntries(blob))[0].blob;
+    }
+    const url = URL.createObjectURL(blob);
+    context.urls.push(url);
+
+    const image = new Image();
+    image.src = url;
+    image.alt = file.name;
+    image.className = 'preview-image';
+    await image.decode();
+    container.replaceChildren(image);
+    return { kind: 'image', imageUrl: url, width: image.naturalWidth, height: image.naturalHeight };
+}
+
+async function renderPdf(container, file, context) {
+    container.replaceChildren();
+    let pages = 0;
+    const note = document.createElement('p');
+    note.className = 'preview-note';
+
+    // Pages appear as they render; past the limit only the count is kept
+    const limit = new AbortController();
+    context.signal.addEventListener('abort', () => limit.abort(), { once: true });
+    try {
+        await renderPdfThumbnails(file, (pageNumber, blob, numPages) => {
+            pages = numPages;
+            const url = URL.createObjectURL(blob);
+            context.urls.push(url);
+            const image = document.createElement('img');
+            image.src = url;
+            image.alt = `Page ${pageNumber}`;
+            image.title = `Page ${pageNumber} of ${numPages}`;
+            image.className = 'preview-page';
+            container.appendChild(image);
+            if (pageNumber === MAX_PDF_PAGES && numPages > MAX_PDF_PAGES) {
+                note.textContent = `Showing the first ${MAX_PDF_PAGES} of ${numPages} pages`;
+                container.appendChild(note);
+                limit.abort();
+            }
+        }, { width: PDF_PAGE_WIDTH, signal: limit.signal });
+    } catch (error) {
+        if (!limit.signal.aborted || context.signal.aborted) throw error;
+    }
+    return { kind: 'pdf', pages };
+}
+
+async function renderSheets(container, file, context) {
+    const { delimiter, encoding } = context.options;
+    const sheets = await readSheetRows(file, { delimiter, encoding, maxRows: MAX_SHEET_ROWS });
+
+    const tabs = document.createElement('div');
+    tabs.className = 'preview-tabs';
+    const body = document.createElement('div');
+    body.className = 'preview-sheet';
+    const show = (index) => {
+        const { rows, totalRows } = sheets[index];
+        const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+        body.innerHTML = `
+            <table class="preview-table">
+                ${rows.map(row => `<tr>${Array.from({ length: width }, (_, i) => `<td>${escapeHtml(row[i] ?? '')}</td>`).join('')}</tr>`).join('')}
+            </table>
+            ${totalRows > rows.length ? `<p class="preview-note">Showing ${rows.length} of ${totalRows} rows</p>` : ''}
+            ${totalRows === 0 ? '<p class="preview-note">This sheet is empty</p>' : ''}
+        `;
+        tabs.querySelectorAll('button').forEach((tab, i) => tab.classList.toggle('active', i === index));
+    };
+    sheets.forEach(({ name }, index) => {
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.textContent = name;
+        tab.addEventListener('click', () => show(index));
+        tabs.appendChild(tab);
+    });
+
+    container.replaceChildren(...(sheets.length > 1 ? [tabs] : []), body);
+    if (sheets.length) show(0);
+    return { kind: 'sheets', sheets: sheets.length };
+}
+
+async function renderDocx(container, file) {
+    const arrayBuffer = await file.arrayBuffer();
+    const result = await mammoth.convertToHtml({ arrayBuffer });
+    return renderHtml(container, result.value);
+}
+
+// Shown in a sandboxed frame, so even what the sanitizer misses can't run or reach the page
+function renderHtml(container, html) {
+    const frame = document.createElement('iframe');
+    frame.className = 'preview-frame';
+    frame.setAttribute('sandbox', '');
+    frame.setAttribute('referrerpolicy', 'no-referrer');
+    frame.srcdoc = `<!DOCTYPE html><html><head><meta charset="utf-8">
+        <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data: blob:; style-src 'unsafe-inline'">
+        <style>body { font-family: sans-serif; line-height: 1.5; margin: 1rem; color: #111; background: #fff; }
+        img { max-width: 100%; } table { border-collapse: collapse; } td, th { border: 1px solid #ccc; padding: 0.2rem 0.4rem; }</style>
+        </head><body>${sanitizeHtml(html)}</body></html>`;
+    container.replaceChildren(frame);
+    return { kind: 'document' };
+}
+
+async function renderText(container, file) {
+    const text = await file.text();
+    const pre = document.createElement('pre');
+    pre.className = 'preview-text';
+    pre.textContent = text.length > MAX_TEXT_LENGTH ? text.slice(0, MAX_TEXT_LENGTH) + '\n…' : text;
+    container.replaceChildren(pre);
+    return { kind: 'text' };
+}
+
+// Lists what a bundle holds and previews its first file
+async function renderZip(container, file, context) {
+    const entries = await readZipEntries(file);
+    const list = document.createElement('ul');
+    list.className = 'preview-entries';
+    list.innerHTML = entries.map(entry => `<li>${escapeHtml(entry.name)} <span>${formatSize(entry.blob.size)}</span></li>`).join('');
+    container.replaceChildren(list);
+
+    if (entries.length) {
+        const first = document.createElement('div');
+        container.appendChild(first);
+        // Zip entries carry no type; the extension says what they are
+        const name = entries[0].name.split('/').pop();
+        const type = MIME_BY_EXTENSION[name.split('.').pop().toLowerCase()] || '';
+        const inner = await renderByKind(first, new File([entries[0].blob], name, { type }), context);
+        return { ...inner, kind: inner.kind === 'image' ? 'image' : 'zip', entries: entries.length };
+    }
+    return { kind: 'zip', entries: 0 };
+}
+
+/**
+ * Strips scripts, frames, forms, event handlers, and links or sources that aren't plain web
+ * addresses or embedded data, so a document can be shown without running anything.
+ * @param {string} html
+ * @returns {string}
+ */
+export function sanitizeHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.querySelectorAll('script, iframe, frame, frameset, object, embed, applet, form, input, button, textarea, select, link, meta, base, noscript, template')
+        .forEach(element => element.remove());
+    doc.body.querySelectorAll('*').forEach(element => {
+        [...element.attributes].forEach(({ name, value }) => {
+            const url = value.trim().toLowerCase();
+            if (name.startsWith('on') || name === 'srcdoc' || name === 'formaction' ||
+                (['href', 'src', 'xlink:href', 'action', 'background', 'poster'].includes(name) &&
+                    !/^(https?:|data:image\/|blob:|#|mailto:)/.test(url)) ||
+                (name === 'style' && /url\s*\(|expression\s*\(/i.test(value))) {
+                element.removeAttribute(name);
+            }
+        });
+    });
+    return doc.body.innerHTML;
+}
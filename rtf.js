@@ -0,0 +1,100 @@
+// RTF to plain text: keeps the visible text and paragraph/table structure, drops formatting,
+// font and colour tables, metadata and embedded pictures.
+
+// Destinations whose content is never shown as document text
+const HIDDEN_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata', 'colorschememapping',
+    'datastore', 'latentstyles', 'listtable', 'listoverridetable', 'rsidtbl', 'xmlnstbl', 'generator',
+    'filetbl', 'revtbl', 'fldinst', 'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl',
+    'footerr', 'footerf', 'footnote', 'bkmkstart', 'bkmkend', 'mmathPr', 'pgdsctbl'
+]);
+
+const SYMBOLS = {
+    par: '\n', line: '\n', sect: '\n', page: '\n', row: '\n', tab: '\t', cell: '\t',
+    emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+    emspace: ' ', enspace: ' ', qmspace: ' '
+};
+
+const CONTROL_WORD = /([a-zA-Z]{1,32})(-?\d{1,10})? ?/y;
+
+/**
+ * Extracts the text of an RTF document.
+ * @param {string} rtf the file decoded as Windows-1252, the encoding RTF escapes refer to
+ * @returns {string}
+ */
+export function rtfToText(rtf) {
+    const ansi = new TextDecoder('windows-1252');
+    const stack = [];
+    let hidden = false;
+    let fallbackLength = 1; // \ucN: characters after \uN that stand in for readers without Unicode
+    let skipFallback = 0;
+    let out = '';
+
+    const emit = (text) => {
+        if (hidden) return;
+        if (skipFallback > 0) {
+            skipFallback--;
+            return;
+        }
+        out += text;
+    };
+
+    for (let i = 0; i < rtf.length;) {
+        const ch = rtf[i];
+        if (ch === '{') {
+            stack.push({ hidden, fallbackLength });
+            i++;
+        } else if (ch === '}') {
+            ({ hidden, fallbackLength } = stack.pop() || { hidden: false, fallbackLength: 1 });
+            i++;
+        } else if (ch === '\r' || ch === '\n') {
+            i++; // Line breaks in the source are not text
+        } else if (ch !== '\\') {
+            emit(ch);
+            i++;
+        } else {
+            const next = rtf[i + 1];
+            if (next === '\\' || next === '{' || next === '}') {
+                emit(next);
+                i += 2;
+            } else if (next === "'") {
+                emit(ansi.decode(new Uint8Array([parseInt(rtf.substr(i + 2, 2), 16) || 0x3F])));
+                i += 4;
+            } else if (next === '*') {
+                hidden = true; // Optional destination this reader doesn't know
+                i += 2;
+            } else if (next === '~') {
+                emit(' ');
+                i += 2;
+            } else if (next === '\r' || next === '\n') {
+                emit('\n');
+                i += 2;
+            } else {
+                CONTROL_WORD.lastIndex = i + 1;
+                const match = CONTROL_WORD.exec(rtf);
+                if (!match) {
+                    i += 2; // Other control symbols (\-, \_, \|...) have no text worth keeping
+                    continue;
+                }
+                i = CONTROL_WORD.lastIndex;
+                const [, word, param] = match;
+                if (word === 'u') {
+                    const code = parseInt(param, 10);
+                    emit(String.fromCharCode(code < 0 ? code + 0x10000 : code));
+                    skipFallback = fallbackLength;
+                } else if (word === 'uc') {
+                    fallbackLength = parseInt(param, 10) || 0;
+                } else if (SYMBOLS[word]) {
+                    emit(SYMBOLS[word]);
+                } else if (HIDDEN_DESTINATIONS.has(word)) {
+                    hidden = true;
+                }
+            }
+        }
+    }
+
+    return out
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
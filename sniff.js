@@ -0,0 +1,282 @@
+// Format detection from file content. Names and browser-reported types are only hints: files get
+// renamed, lose their extension in archives or are saved with the wrong one. Only the first few
+// KB are read, plus the end of the file where a format keeps its trailer (ZIP directory, %%EOF).
+
+const HEAD_BYTES = 4096;
+const ZIP_TAIL_BYTES = 22 + 0xFFFF; // End of central directory record plus the longest comment
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const ODS_MIME = 'application/vnd.oasis.opendocument.spreadsheet';
+
+const FORMATS = {
+    jpeg: { type: 'image/jpeg', extension: 'jpg', label: 'JPEG' },
+    png: { type: 'image/png', extension: 'png', label: 'PNG' },
+    gif: { type: 'image/gif', extension: 'gif', label: 'GIF' },
+    webp: { type: 'image/webp', extension: 'webp', label: 'WebP' },
+    bmp: { type: 'image/bmp', extension: 'bmp', label: 'BMP' },
+    tiff: { type: 'image/tiff', extension: 'tif', label: 'TIFF' },
+    ico: { type: 'image/x-icon', extension: 'ico', label: 'ICO' },
+    heic: { type: 'image/heic', extension: 'heic', label: 'HEIC' },
+    avif: { type: 'image/avif', extension: 'avif', label: 'AVIF' },
+    svg: { type: 'image/svg+xml', extension: 'svg', label: 'SVG' },
+    pdf: { type: 'application/pdf', extension: 'pdf', label: 'PDF' },
+    docx: { type: DOCX_MIME, extension: 'docx', label: 'DOCX' },
+    xlsx: { type: XLSX_MIME, extension: 'xlsx', label: 'XLSX' },
+    ods: { type: ODS_MIME, extension: 'ods', label: 'ODS' },
+    xls: { type: 'application/vnd.ms-excel', extension: 'xls', label: 'XLS' },
+    zip: { type: 'application/zip', extension: 'zip', label: 'ZIP' },
+    office: { type: 'application/x-cfb', extension: 'bin', label: 'Office 97-2003 file' },
+    rtf: { type: 'application/rtf', extension: 'rtf', label: 'RTF' },
+    html: { type: 'text/html', extension: 'html', label: 'HTML' },
+    csv: { type: 'text/csv', extension: 'csv', label: 'CSV' },
+    text: { type: 'text/plain', extension: 'txt', label: 'text' },
+    // Recognised so they can be turned away with a reason rather than as unknown
+    doc: { type: 'application/msword', extension: 'doc', label: 'Word 97-2003 document', unsupported: 'save it as .docx first' },
+    odt: { type: 'application/vnd.oasis.opendocument.text', extension: 'odt', label: 'OpenDocument text', unsupported: 'save it as .docx first' },
+    ppt: { type: 'application/vnd.ms-powerpoint', extension: 'ppt', label: 'PowerPoint presentation', unsupported: 'export it as PDF first' },
+    pptx: { type: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extension: 'pptx', label: 'PowerPoint presentation', unsupported: 'export it as PDF first' }
+};
+
+// ISO base media (HEIF) brands, checked in this order so AVIF isn't taken for generic HEIF
+const HEIF_BRANDS = [
+    ['avif', 'avif'], ['avis', 'avif'],
+    ['heic', 'heic'], ['heix', 'heic'], ['hevc', 'heic'], ['hevx', 'heic'],
+    ['heim', 'heic'], ['heis', 'heic'], ['mif1', 'heic'], ['msf1', 'heic']
+];
+
+const TEXT_TYPES = ['text/plain', 'text/csv', 'text/html', 'text/markdown'];
+
+/**
+ * Whether a MIME type is one of the plain-text formats, which content alone can't tell apart
+ * reliably (a CSV is also valid text).
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isTextType(type) {
+    return TEXT_TYPES.includes(type);
+}
+
+/**
+ * Identifies a file from its content.
+ * @param {Blob} file
+ * @returns {Promise<{type: string, extension: string, label: string, unsupported?: string, damaged?: string} | null>}
+ *          null when the content matches no known format. `damaged` says what is wrong when the
+ *          format is recognised but the file is cut short; `unsupported` is advice for formats
+ *          that are recognised but can't be converted.
+ */
+export async function sniffFormat(file) {
+    const head = await readBytes(file, 0, HEAD_BYTES);
+    const format = await sniffBinary(file, head);
+    if (format) return format;
+    return sniffText(head);
+}
+
+async function sniffBinary(file, head) {
+    if (startsWith(head, [0xFF, 0xD8, 0xFF])) return FORMATS.jpeg;
+
+    if (startsWith(head, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        // The IEND chunk closes every PNG; some writers add padding after it
+        const tail = await readBytes(file, Math.max(file.size - 64, 0), 64);
+        return indexOf(tail, ascii('IEND')) === -1 ? damaged(FORMATS.png, 'the image data is cut off') : FORMATS.png;
+    }
+
+    if (startsWith(head, ascii('GIF87a')) || startsWith(head, ascii('GIF89a'))) return FORMATS.gif;
+
+    if (startsWith(head, ascii('RIFF')) && startsWith(head.subarray(8), ascii('WEBP'))) {
+        const riffSize = readU32(head, 4, true);
+        return riffSize + 8 > file.size ? damaged(FORMATS.webp, 'the image data is cut off') : FORMATS.webp;
+    }
+
+    // "BM" alone is too common a start for text, so the DIB header size has to be a known one too
+    if (startsWith(head, ascii('BM')) && head.length >= 18 && [12, 40, 52, 56, 64, 108, 124].includes(readU32(head, 14, true))) {
+        return readU32(head, 2, true) > file.size ? damaged(FORMATS.bmp, 'the pixel data is cut off') : FORMATS.bmp;
+    }
+
+    if (startsWith(head, [0x49, 0x49, 0x2A, 0x00]) || startsWith(head, [0x4D, 0x4D, 0x00, 0x2A])) return FORMATS.tiff;
+
+    // Icon directory: reserved 0, type 1, an image count, then entries whose reserved byte is 0
+    if (startsWith(head, [0x00, 0x00, 0x01, 0x00]) && head.length >= 22 && readU16(head, 4, true) > 0 && head[9] === 0) {
+        return FORMATS.ico;
+    }
+
+    if (startsWith(head.subarray(4), ascii('ftyp'))) {
+        const boxSize = Math.min(readU32(head, 0, false), head.length);
+        const brands = [];
+        for (let offset = 8; offset + 4 <= boxSize; offset += 4) {
+            if (offset !== 12) brands.push(String.fromCharCode(...head.subarray(offset, offset + 4))); // 12: minor version
+        }
+        const match = HEIF_BRANDS.find(([brand]) => brands.includes(brand));
+        if (match) return FORMATS[match[1]];
+    }
+
+    // Viewers accept a PDF header anywhere in the first KB; %%EOF marks a complete file
+    if (indexOf(head.subarray(0, 1024), ascii('%PDF-')) !== -1) {
+        const tail = await readBytes(file, Math.max(file.size - 1024, 0), 1024);
+        return indexOf(tail, ascii('%%EOF')) === -1 ? damaged(FORMATS.pdf, 'the document is cut off') : FORMATS.pdf;
+    }
+
+    if (startsWith(head, [0x50, 0x4B, 0x03, 0x04]) || startsWith(head, [0x50, 0x4B, 0x05, 0x06])) {
+        return sniffZip(file);
+    }
+
+    if (startsWith(head, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) {
+        return sniffCompoundFile(file, head);
+    }
+
+    if (startsWith(head, ascii('{\\rtf'))) return FORMATS.rtf;
+
+    return null;
+}
+
+// Office Open XML and OpenDocument files are ZIPs; their entries say which kind
+async function sniffZip(file) {
+    const tailStart = Math.max(file.size - ZIP_TAIL_BYTES, 0);
+    const tail = await readBytes(file, tailStart, ZIP_TAIL_BYTES);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+        if (tail[i] === 0x50 && tail[i + 1] === 0x4B && tail[i + 2] === 0x05 && tail[i + 3] === 0x06) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) return damaged(FORMATS.zip, 'the archive is cut off');
+
+    const entries = await readZipDirectory(file, tail, eocd, tailStart);
+    if (entries === null) return damaged(FORMATS.zip, 'the archive directory is unreadable');
+    const names = entries.map(entry => entry.name);
+    if (names.includes('word/document.xml')) return FORMATS.docx;
+    if (names.includes('xl/workbook.xml')) return FORMATS.xlsx;
+    if (names.includes('ppt/presentation.xml')) return FORMATS.pptx;
+
+    // OpenDocument keeps its type in an uncompressed "mimetype" entry (meant to come first,
+    // though not every writer manages that)
+    const mimetypeEntry = entries.find(entry => entry.name === 'mimetype' && entry.method === 0);
+    if (mimetypeEntry) {
+        const local = await readBytes(file, mimetypeEntry.offset, 30);
+        const start = 30 + readU16(local, 26, true) + readU16(local, 28, true);
+        const mimetype = await readBytes(file, mimetypeEntry.offset + start, Math.min(mimetypeEntry.size, 100));
+        const type = String.fromCharCode(...mimetype).trim();
+        if (type === ODS_MIME) return FORMATS.ods;
+        if (type === FORMATS.odt.type) return FORMATS.odt;
+    }
+    return FORMATS.zip;
+}
+
+async function readZipDirectory(file, tail, eocd, tailStart) {
+    const size = readU32(tail, eocd + 12, true);
+    const offset = readU32(tail, eocd + 16, true);
+    if (offset === 0xFFFFFFFF) return []; // ZIP64; too big to be an office document anyway
+    if (offset + size > file.size) return null;
+
+    const directory = offset >= tailStart && offset + size <= tailStart + tail.length
+        ? tail.subarray(offset - tailStart, offset - tailStart + size)
+        : await readBytes(file, offset, size);
+    const entries = [];
+    const decoder = new TextDecoder();
+    for (let pos = 0; pos + 46 <= directory.length;) {
+        if (readU32(directory, pos, true) !== 0x02014B50) return null;
+        const nameLength = readU16(directory, pos + 28, true);
+        entries.push({
+            name: decoder.decode(directory.subarray(pos + 46, pos + 46 + nameLength)),
+            method: readU16(directory, pos + 10, true),
+            size: readU32(directory, pos + 20, true),
+            offset: readU32(directory, pos + 42, true)
+        });
+        pos += 46 + nameLength + readU16(directory, pos + 30, true) + readU16(directory, pos + 32, true);
+    }
+    return entries;
+}
+
+// Legacy Office files are OLE compound files; the names of their streams say which kind. Only the
+// first directory sector is read, which is where writers put the main stream in practice.
+async function sniffCompoundFile(file, head) {
+    const sectorSize = 1 << readU16(head, 0x1E, true);
+    const offset = (readU32(head, 0x30, true) + 1) * sectorSize;
+    if (sectorSize > 4096 || offset + sectorSize > file.size) return damaged(FORMATS.office, 'the file is cut off');
+
+    const directory = await readBytes(file, offset, sectorSize);
+    const names = [];
+    for (let pos = 0; pos + 128 <= directory.length; pos += 128) {
+        const length = Math.min(readU16(directory, pos + 64, true), 64);
+        let name = '';
+        for (let i = 0; i + 2 < length; i += 2) name += String.fromCharCode(readU16(directory, pos + i, true));
+        names.push(name);
+    }
+    if (names.includes('Workbook') || names.includes('Book')) return FORMATS.xls;
+    if (names.includes('WordDocument')) return FORMATS.doc;
+    if (names.includes('PowerPoint Document')) return FORMATS.ppt;
+    return null;
+}
+
+function sniffText(head) {
+    if (head.length === 0) return null;
+    // UTF-16 text is full of NUL bytes, but its byte order mark gives it away
+    if (startsWith(head, [0xFF, 0xFE]) || startsWith(head, [0xFE, 0xFF])) return FORMATS.text;
+    // Binary data has NUL bytes and other control characters; text has almost none
+    let controls = 0;
+    for (const byte of head) {
+        if (byte === 0) return null;
+        if (byte < 0x09 || (byte > 0x0D && byte < 0x20 && byte !== 0x1B)) controls++;
+    }
+    if (controls > head.length / 100) return null;
+
+    const text = new TextDecoder().decode(head); // Drops a byte order mark
+    const start = text.trimStart().slice(0, 512).toLowerCase();
+    const html = /^(<!doctype html|<html|<head|<body)/.test(start) || /<html[\s>]/i.test(text);
+    // A long prolog (comments, entity declarations) can push the root element out of the window
+    if (!html && /^(<\?xml|<!--|<!doctype svg|<svg)/.test(start) && (/<svg[\s>]/i.test(text) || head.length === HEAD_BYTES)) {
+        return FORMATS.svg;
+    }
+    if (html) return FORMATS.html;
+    if (looksLikeCsv(text)) return FORMATS.csv;
+    return FORMATS.text;
+}
+
+// Several lines with the same, non-zero number of one delimiter
+function looksLikeCsv(text) {
+    // The last line may be cut off by the sniffing window
+    const lines = text.split(/\r?\n/).slice(0, -1).filter(line => line.trim()).slice(0, 10);
+    if (lines.length < 2) return false;
+    return [',', ';', '\t'].some(delimiter => {
+        const counts = lines.map(line => line.split(delimiter).length - 1);
+        return counts[0] > 0 && counts.every(count => count === counts[0]);
+    });
+}
+
+function damaged(format, reason) {
+    return { ...format, damaged: reason };
+}
+
+async function readBytes(file, start, length) {
+    return new Uint8Array(await file.slice(start, start + length).arrayBuffer());
+}
+
+function startsWith(bytes, prefix) {
+    if (bytes.length < prefix.length) return false;
+    return prefix.every((byte, i) => bytes[i] === byte);
+}
+
+function indexOf(bytes, needle) {
+    outer: for (let i = 0; i + needle.length <= bytes.length; i++) {
+        for (let j = 0; j < needle.length; j++) {
+            if (bytes[i + j] !== needle[j]) continue outer;
+        }
+        return i;
+    }
+    return -1;
+}
+
+function readU16(bytes, offset, littleEndian) {
+    if (offset + 2 > bytes.length) return 0;
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint16(offset, littleEndian);
+}
+
+function readU32(bytes, offset, littleEndian) {
+    if (offset + 4 > bytes.length) return 0;
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(offset, littleEndian);
+}
+
+function ascii(text) {
+    return Array.from(text, c => c.charCodeAt(0));
+}
@@ -0,0 +1,208 @@
+// Named conversion presets and the history of finished jobs, kept in IndexedDB so they outlive
+// the page. History entries hold the source file and the result, so a job can be downloaded
+// again or re-run after a reload.
+import { listConverters, parseOptionValue } from './converter.js';
+import { PDF_PAGE_OPTIONS } from './pdf-layout.js';
+
+const DB_NAME = 'sleekconvert';
+const DB_VERSION = 1;
+const HISTORY_LIMIT = 50; // Oldest jobs are dropped beyond this; each one holds two files
+const PRESET_FILE_FORMAT = 'sleekconvert-presets';
+
+/**
+ * @typedef {Object} Preset
+ * @property {string} name
+ * @property {string} target MIME type to convert to
+ * @property {Object} options converter settings, as in convertFile
+ * @property {Object} [pageSetup] page size, orientation, margin, header and page numbers for PDF layouts
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} id
+ * @property {number} date ms since the epoch
+ * @property {File} source the file that was converted
+ * @property {string} path folder the source came from inside a ZIP, or ''
+ * @property {string} target
+ * @property {Object} options the settings it was converted with
+ * @property {Blob} result
+ * @property {string} outputName
+ */
+
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('presets', { keyPath: 'name' });
+                db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => {
+            dbPromise = null; // Let the next call try again, e.g. after a blocked upgrade
+        });
+    }
+    return dbPromise;
+}
+
+// Runs `work` against one store and resolves with its last request's result once the
+// transaction has committed
+async function withStore(name, mode, work) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(name, mode);
+        const request = work(transaction.objectStore(name));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Saving was cancelled'));
+    });
+}
+
+/**
+ * @returns {Promise<Preset[]>} sorted by name
+ */
+export async function listPresets() {
+    const presets = await withStore('presets', 'readonly', store => store.getAll());
+    return presets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Saves a preset, replacing any with the same name.
+ * @param {Preset} preset
+ * @returns {Promise<void>}
+ * @throws {Error} when the preset is malformed or has a setting no converter to its target takes
+ */
+export async function savePreset(preset) {
+    const checked = checkPreset(preset);
+    await withStore('presets', 'readwrite', store => store.put(checked));
+}
+
+/**
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+export async function deletePreset(name) {
+    await withStore('presets', 'readwrite', store => store.delete(name));
+}
+
+/**
+ * The presets as a JSON document importPresets reads back.
+ * @param {Preset[]} presets
+ * @returns {Blob}
+ */
+export function exportPresets(presets) {
+    const json = JSON.stringify({ format: PRESET_FILE_FORMAT, version: 1, presets }, null, 2);
+    return new Blob([json], { type: 'application/json' });
+}
+
+/**
+ * Reads presets exported by exportPresets and saves them, replacing ones with the same name.
+ * Nothing is saved unless every preset in the file is valid.
+ * @param {string} json
+ * @returns {Promise<Preset[]>} the presets imported
+ * @throws {Error} when the file isn't a preset export or a preset is malformed
+ */
+export async function importPresets(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        throw new Error('This file is not valid JSON');
+    }
+    if (!data || data.format !== PRESET_FILE_FORMAT || !Array.isArray(data.presets)) {
+        throw new Error('This file is not a preset export');
+    }
+    const presets = data.presets.map(checkPreset);
+    await withStore('presets', 'readwrite', store => {
+        presets.forEach(preset => store.put(preset));
+    });
+    return presets;
+}
+
+// Keeps only the known fields, so a preset always stores and exports the same shape. Settings
+// must be ones a converter to the target declares, of the declared type: presets come from
+// files anyone can edit, and the page shows their values in its controls.
+function checkPreset(preset) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(preset) || typeof preset.name !== 'string' || !preset.name.trim()) {
+        throw new Error('Every preset needs a name');
+    }
+    if (typeof preset.target !== 'string' || !preset.target.includes('/')) {
+        throw new Error(`Preset "${preset.name}" has no target format`);
+    }
+    if ((preset.options !== undefined && !isObject(preset.options)) ||
+        (preset.pageSetup !== undefined && !isObject(preset.pageSetup))) {
+        throw new Error(`Preset "${preset.name}" has malformed settings`);
+    }
+    const declared = Object.assign({}, ...listConverters()
+        .filter(converter => converter.targets.includes(preset.target))
+        .map(converter => converter.options));
+    const checked = {
+        name: preset.name.trim(),
+        target: preset.target,
+        options: checkSettings(preset.name, preset.options || {}, declared)
+    };
+    if (preset.pageSetup) checked.pageSetup = checkSettings(preset.name, preset.pageSetup, PDF_PAGE_OPTIONS);
+    return checked;
+}
+
+function checkSettings(presetName, settings, declared) {
+    const checked = {};
+    Object.entries(settings).forEach(([key, value]) => {
+        if (!Object.hasOwn(declared, key)) {
+            throw new Error(`Preset "${presetName}" has an unknown setting "${key}"`);
+        }
+        try {
+            value = parseOptionValue(declared[key], value);
+        } catch (error) {
+            throw new Error(`Preset "${presetName}" has an invalid ${key}: ${error.message}`);
+        }
+        if (value !== undefined) checked[key] = value;
+    });
+    return checked;
+}
+
+/**
+ * @returns {Promise<HistoryEntry[]>} newest first
+ */
+export async function listHistory() {
+    const entries = await withStore('history', 'readonly', store => store.getAll());
+    return entries.reverse();
+}
+
+/**
+ * Records a finished job, dropping the oldest ones past the history limit.
+ * @param {Omit<HistoryEntry, 'id'>} entry
+ * @returns {Promise<number>} the new entry's id
+ */
+export async function addHistoryEntry(entry) {
+    const id = await withStore('history', 'readwrite', store => store.add(entry));
+    const keys = await withStore('history', 'readonly', store => store.getAllKeys());
+    if (keys.length > HISTORY_LIMIT) {
+        const oldest = keys.slice(0, keys.length - HISTORY_LIMIT);
+        await withStore('history', 'readwrite', store => {
+            oldest.forEach(key => store.delete(key));
+        });
+    }
+    return id;
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export async function deleteHistoryEntry(id) {
+    await withStore('history', 'readwrite', store => store.delete(id));
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+export async function clearHistory() {
+    await withStore('history', 'readwrite', store => store.clear());
+}
@@ -0,0 +1,281 @@
+// SVG sizing and raster tracing. SVGs are drawn at the size asked for rather than scaled up
+// from their intrinsic size, so they stay sharp; tracing turns logos and line art into flat
+// colour shapes.
+
+/** Longest side tracing works at; larger images are traced scaled down, then shown at full size. */
+export const MAX_TRACE_DIMENSION = 1024;
+
+const PX_PER_UNIT = { px: 1, pt: 96 / 72, pc: 16, mm: 96 / 25.4, cm: 96 / 2.54, in: 96, em: 16, ex: 8 };
+const DEFAULT_SIZE = { width: 300, height: 150 }; // What browsers give an SVG with no size at all
+const TRACE_TOLERANCE = 1; // px an outline may move when its pixel steps are straightened
+const SPECKLE_AREA = 4; // px²; shapes smaller than this are dropped as noise
+
+/**
+ * The size an SVG is drawn at, in px: its width and height attributes, or its viewBox when
+ * those are missing or relative.
+ * @param {string} svg
+ * @returns {{width: number, height: number}}
+ */
+export function readSvgSize(svg) {
+    const tag = rootTag(svg);
+    const width = parseLength(attribute(tag, 'width'));
+    const height = parseLength(attribute(tag, 'height'));
+    const viewBox = (attribute(tag, 'viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    const ratio = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0 ? viewBox[2] / viewBox[3] : null;
+
+    if (width && height) return { width, height };
+    if (width && ratio) return { width, height: width / ratio };
+    if (height && ratio) return { width: height * ratio, height };
+    if (ratio) return { width: viewBox[2], height: viewBox[3] };
+    return { width: width || DEFAULT_SIZE.width, height: height || DEFAULT_SIZE.height };
+}
+
+/**
+ * Gives an SVG an explicit size so it renders at exactly that many pixels. Without a width or
+ * height the size follows the SVG's aspect ratio; `scale` multiplies its own size.
+ * @param {string} svg
+ * @param {{svgWidth?: number, svgHeight?: number, svgScale?: number}} [options]
+ * @returns {{svg: string, width: number, height: number}}
+ */
+export function sizeSvg(svg, { svgWidth, svgHeight, svgScale } = {}) {
+    const natural = readSvgSize(svg);
+    const scale = Number(svgScale) > 0 ? Number(svgScale) : 1;
+    let width = Number(svgWidth) > 0 ? Number(svgWidth) : 0;
+    let height = Number(svgHeight) > 0 ? Number(svgHeight) : 0;
+    if (width && !height) height = width * natural.height / natural.width;
+    else if (height && !width) width = height * natural.width / natural.height;
+    else if (!width && !height) {
+        width = natural.width * scale;
+        height = natural.height * scale;
+    }
+    width = Math.max(1, Math.round(width));
+    height = Math.max(1, Math.round(height));
+
+    const tag = rootTag(svg);
+    let sized = tag.replace(/\s(width|height)\s*=\s*("[^"]*"|'[^']*')/g, '');
+    // Scaling needs a viewBox; one matching the old size keeps the drawing where it was
+    if (attribute(tag, 'viewBox') === null) {
+        sized = sized.replace(/^<svg/, `<svg viewBox="0 0 ${natural.width} ${natural.height}"`);
+    }
+    sized = sized.replace(/^<svg/, `<svg width="${width}" height="${height}"`);
+    return { svg: svg.replace(tag, sized), width, height };
+}
+
+/**
+ * Traces a raster image into an SVG of flat colour shapes: the colours are reduced to a
+ * palette and each colour's areas become one path. Suits logos, icons and line art.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData RGBA pixels
+ * @param {{colors?: number, width?: number, height?: number}} [options] palette size, and the
+ *        size to show the result at when the pixels are a scaled-down copy
+ * @returns {string}
+ */
+export function traceImage({ width, height, data }, { colors = 8, width: displayWidth = width, height: displayHeight = height } = {}) {
+    const palette = quantize(data, Math.min(Math.max(Math.round(colors) || 8, 2), 64));
+    const indices = indexPixels(data, palette);
+    const edges = palette.map(() => new Map());
+    const areas = new Array(palette.length).fill(0);
+
+    // Pixel edges between different colours, directed clockwise around each colour's areas
+    const stride = width + 1;
+    const addEdge = (map, from, to) => {
+        const list = map.get(from);
+        if (list) list.push(to);
+        else map.set(from, [to]);
+    };
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const c = indices[y * width + x];
+            if (c < 0) continue;
+            areas[c]++;
+            const map = edges[c];
+            const topLeft = y * stride + x;
+            if (y === 0 || indices[(y - 1) * width + x] !== c) addEdge(map, topLeft, topLeft + 1);
+            if (x === width - 1 || indices[y * width + x + 1] !== c) addEdge(map, topLeft + 1, topLeft + stride + 1);
+            if (y === height - 1 || indices[(y + 1) * width + x] !== c) addEdge(map, topLeft + stride + 1, topLeft + stride);
+            if (x === 0 || indices[y * width + x - 1] !== c) addEdge(map, topLeft + stride, topLeft);
+        }
+    }
+
+    // Biggest areas first, so the background doesn't cover the details
+    const order = palette.map((_, i) => i).filter(i => areas[i] > 0).sort((a, b) => areas[b] - areas[a]);
+    const paths = order.map(c => {
+        const d = chainLoops(edges[c], stride)
+            .filter(loop => Math.abs(polygonArea(loop)) >= SPECKLE_AREA)
+            .map(loop => pathData(simplifyLoop(loop)))
+            .join('');
+        if (!d) return '';
+        const fill = hexColor(palette[c]);
+        // The stroke closes hairline gaps where neighbouring outlines were straightened differently
+        return `<path fill="${fill}" stroke="${fill}" stroke-width="1" stroke-linejoin="round" fill-rule="evenodd" d="${d}"/>`;
+    }).filter(Boolean);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(displayWidth)}" height="${Math.round(displayHeight)}" viewBox="0 0 ${width} ${height}">\n${paths.join('\n')}\n</svg>\n`;
+}
+
+function rootTag(svg) {
+    const match = svg.match(/<svg\b(?:"[^"]*"|'[^']*'|[^>"'])*>/i);
+    return match ? match[0] : '<svg>';
+}
+
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+    return match ? (match[2] ?? match[3]) : null;
+}
+
+// Absolute lengths in px; percentages and nonsense are no length at all
+function parseLength(value) {
+    const match = (value || '').trim().match(/^([\d.]+(?:e[-+]?\d+)?)\s*(px|pt|pc|mm|cm|in|em|ex)?$/i);
+    if (!match) return 0;
+    const length = parseFloat(match[1]) * PX_PER_UNIT[(match[2] || 'px').toLowerCase()];
+    return length > 0 ? length : 0;
+}
+
+// Median cut over a sample of the opaque pixels
+function quantize(data, count) {
+    const total = data.length / 4;
+    const step = Math.max(1, Math.floor(total / 65536));
+    const pixels = [];
+    for (let i = 0; i < total; i += step) {
+        if (data[i * 4 + 3] >= 128) pixels.push([data[i * 4], data[i * 4 + 1], data[i * 4 + 2]]);
+    }
+    if (pixels.length === 0) return [];
+
+    const boxes = [pixels];
+    while (boxes.length < count) {
+        let widest = null;
+        boxes.forEach((box, index) => {
+            if (box.length < 2) return;
+            for (let channel = 0; channel < 3; channel++) {
+                let min = 255;
+                let max = 0;
+                box.forEach(pixel => {
+                    if (pixel[channel] < min) min = pixel[channel];
+                    if (pixel[channel] > max) max = pixel[channel];
+                });
+                if (max > min && (!widest || max - min > widest.range)) widest = { index, channel, range: max - min };
+            }
+        });
+        if (!widest) break;
+        const box = boxes[widest.index].sort((a, b) => a[widest.channel] - b[widest.channel]);
+        const half = box.length >> 1;
+        boxes.splice(widest.index, 1, box.slice(0, half), box.slice(half));
+    }
+
+    return boxes.map(box => [0, 1, 2].map(channel =>
+        Math.round(box.reduce((sum, pixel) => sum + pixel[channel], 0) / box.length)
+    ));
+}
+
+// Palette index of every pixel, -1 where it is (mostly) transparent
+function indexPixels(data, palette) {
+    const indices = new Int16Array(data.length / 4);
+    const cache = new Map();
+    for (let i = 0; i < indices.length; i++) {
+        if (data[i * 4 + 3] < 128 || palette.length === 0) {
+            indices[i] = -1;
+            continue;
+        }
+        const key = (data[i * 4] << 16) | (data[i * 4 + 1] << 8) | data[i * 4 + 2];
+        let index = cache.get(key);
+        if (index === undefined) {
+            let best = Infinity;
+            palette.forEach(([r, g, b], p) => {
+                const distance = (r - data[i * 4]) ** 2 + (g - data[i * 4 + 1]) ** 2 + (b - data[i * 4 + 2]) ** 2;
+                if (distance < best) {
+                    best = distance;
+                    index = p;
+                }
+            });
+            cache.set(key, index);
+        }
+        indices[i] = index;
+    }
+    return indices;
+}
+
+// Follows directed edges from vertex to vertex until each loop closes. Where two areas touch at
+// a corner a vertex has two ways out; either choice gives the same even-odd outline.
+function chainLoops(edges, stride) {
+    const loops = [];
+    for (const start of edges.keys()) {
+        while (edges.get(start)?.length) {
+            const loop = [];
+            let vertex = start;
+            do {
+                loop.push([vertex % stride, Math.floor(vertex / stride)]);
+                const next = edges.get(vertex);
+                const to = next.pop();
+                if (next.length === 0) edges.delete(vertex);
+                vertex = to;
+            } while (vertex !== start && edges.has(vertex));
+            loops.push(loop);
+        }
+    }
+    return loops;
+}
+
+// Drops the points in the middle of straight runs, then straightens pixel steps
+// (Douglas-Peucker within TRACE_TOLERANCE)
+function simplifyLoop(loop) {
+    const corners = loop.filter((point, i) => {
+        const prev = loop[(i + loop.length - 1) % loop.length];
+        const next = loop[(i + 1) % loop.length];
+        return (point[0] - prev[0]) * (next[1] - point[1]) !== (point[1] - prev[1]) * (next[0] - point[0]);
+    });
+    if (corners.length < 4) return corners;
+
+    // Split the loop at its two points furthest apart and simplify each half
+    let far = 0;
+    let farDistance = -1;
+    corners.forEach((point, i) => {
+        const distance = (point[0] - corners[0][0]) ** 2 + (point[1] - corners[0][1]) ** 2;
+        if (distance > farDistance) {
+            farDistance = distance;
+            far = i;
+        }
+    });
+    const first = douglasPeucker(corners.slice(0, far + 1));
+    const second = douglasPeucker([...corners.slice(far), corners[0]]);
+    return [...first.slice(0, -1), ...second.slice(0, -1)];
+}
+
+function douglasPeucker(points) {
+    if (points.length < 3) return points;
+    const [ax, ay] = points[0];
+    const [bx, by] = points[points.length - 1];
+    const length = Math.hypot(bx - ax, by - ay);
+    let index = 0;
+    let max = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const [px, py] = points[i];
+        const distance = length === 0
+            ? Math.hypot(px - ax, py - ay)
+            : Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / length;
+        if (distance > max) {
+            max = distance;
+            index = i;
+        }
+    }
+    if (max <= TRACE_TOLERANCE) return [points[0], points[points.length - 1]];
+    const left = douglasPeucker(points.slice(0, index + 1));
+    return [...left.slice(0, -1), ...douglasPeucker(points.slice(index))];
+}
+
+function polygonArea(points) {
+    let area = 0;
+    points.forEach(([x, y], i) => {
+        const [nx, ny] = points[(i + 1) % points.length];
+        area += x * ny - nx * y;
+    });
+    return area / 2;
+}
+
+function pathData(points) {
+    if (points.length < 3) return '';
+    const [first, ...rest] = points;
+    return `M${first[0]} ${first[1]}L${rest.map(([x, y]) => `${x} ${y}`).join(' ')}Z`;
+}
+
+function hexColor([r, g, b]) {
+    return '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+}
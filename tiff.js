@@ -0,0 +1,70 @@
+// TIFF encoding with UTIF. UTIF.encodeImage only writes single-page files, so the directories
+// for all pages are written with UTIF.encode and the uncompressed strips appended after them.
+import UTIF from 'utif';
+
+const MAX_DIRECTORY_BYTES = 20000; // UTIF.encode writes into a fixed buffer of this size
+
+/**
+ * Encodes one or more pages as an uncompressed RGB(A) TIFF.
+ * @param {Array<{width: number, height: number, data: Uint8ClampedArray}>} pages RGBA pixels, e.g. ImageData
+ * @returns {Uint8Array}
+ */
+export function encodeTiff(pages) {
+    const strips = pages.map(({ data }) => {
+        let opaque = true;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] !== 255) {
+                opaque = false;
+                break;
+            }
+        }
+        if (!opaque) return { samples: 4, bytes: new Uint8Array(data.buffer, data.byteOffset, data.length) };
+
+        const rgb = new Uint8Array(data.length / 4 * 3);
+        for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+            rgb[j] = data[i];
+            rgb[j + 1] = data[i + 1];
+            rgb[j + 2] = data[i + 2];
+        }
+        return { samples: 3, bytes: rgb };
+    });
+
+    // Tags in ascending order, as TIFF requires
+    const ifds = pages.map(({ width, height }, i) => {
+        const { samples, bytes } = strips[i];
+        const ifd = {
+            t256: [width],
+            t257: [height],
+            t258: new Array(samples).fill(8),
+            t259: [1], // No compression
+            t262: [2], // RGB
+            t273: [0], // Strip offset, filled in below
+            t277: [samples],
+            t278: [height],
+            t279: [bytes.length],
+            t282: [72],
+            t283: [72],
+            t284: [1],
+            t296: [2] // Inches
+        };
+        if (samples === 4) ifd.t338 = [2]; // Unassociated alpha, which is what canvas pixels are
+        return ifd;
+    });
+
+    // Directory size doesn't depend on the offsets, so one pass finds where the strips start
+    let header = new Uint8Array(UTIF.encode(ifds));
+    if (header.length >= MAX_DIRECTORY_BYTES) {
+        throw new Error(`Too many pages for one TIFF (${pages.length})`);
+    }
+    let offset = header.length;
+    ifds.forEach((ifd, i) => {
+        ifd.t273 = [offset];
+        offset += strips[i].bytes.length + (strips[i].bytes.length & 1); // Keep strips word-aligned
+    });
+    header = new Uint8Array(UTIF.encode(ifds));
+
+    const out = new Uint8Array(offset);
+    out.set(header);
+    ifds.forEach((ifd, i) => out.set(strips[i].bytes, ifd.t273[0]));
+    return out;
+}
@@ -0,0 +1,8 @@
+import { defineConfig } from 'vite';
+
+export default defineConfig({
+    worker: {
+        // The conversion worker pulls in jsPDF, which code-splits; IIFE workers can't
+        format: 'es'
+    }
+});
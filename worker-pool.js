@@ -0,0 +1,149 @@
+import { convertFile, canConvertInWorker, fromErrorData } from './converter.js';
+
+const supportsWorkers = typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+
+/**
+ * Creates a queue that runs at most `size` conversions at a time. Conversions that can run
+ * without the DOM go to a Web Worker; the rest (and everything, when workers are unavailable
+ * or fail to start) run on the main thread through the same queue.
+ *
+ * `options.onProgress` and `options.signal` work the same as for convertFile; aborting a
+ * worker job terminates that worker, and aborting a queued job drops it from the queue. An
+ * aborted main-thread job rejects at once but holds its slot until the converter stops.
+ * @param {number} [size]
+ * @returns {{ run: (file: File, targetType: string, options?: Object) => Promise<Blob>, terminate: () => void }}
+ */
+export function createConversionPool(size = defaultPoolSize()) {
+    const queue = [];
+    const idleWorkers = [];
+    const allWorkers = [];
+    let active = 0;
+    let workersBroken = !supportsWorkers;
+
+    function run(file, targetType, options = {}) {
+        return new Promise((resolve, reject) => {
+            const job = { file, targetType, options, resolve, reject };
+            const { signal } = options;
+            if (signal) {
+                if (signal.aborted) {
+                    reject(signal.reason);
+                    return;
+                }
+                signal.addEventListener('abort', () => {
+                    const index = queue.indexOf(job);
+                    if (index !== -1) {
+                        queue.splice(index, 1);
+                        reject(signal.reason);
+                    }
+                }, { once: true });
+            }
+            queue.push(job);
+            pump();
+        });
+    }
+
+    function pump() {
+        while (active < size && queue.length > 0) {
+            const job = queue.shift();
+            active++;
+            const conversion = execute(job);
+            // Converters only check the signal between steps, so settle as soon as it fires,
+            // but keep the slot until the conversion has actually stopped
+            raceAbort(conversion, job.options.signal).then(job.resolve, job.reject);
+            conversion.catch(() => {}).finally(() => {
+                active--;
+                pump();
+            });
+        }
+    }
+
+    async function execute(job) {
+        if (!workersBroken && canConvertInWorker(job.file, job.targetType)) {
+            try {
+                return await runInWorker(job);
+            } catch (error) {
+                if (!error.workerFailed) throw error;
+                // The worker script itself failed (e.g. a library that needs `window`).
+                // Stop using workers and finish the batch on the main thread.
+                console.warn('Conversion worker unavailable, falling back to the main thread', error);
+                workersBroken = true;
+            }
+        }
+        return convertFile(job.file, job.targetType, job.options);
+    }
+
+    function runInWorker(job) {
+        const worker = idleWorkers.pop() || spawnWorker();
+        const { onProgress, signal, ...options } = job.options;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                retireWorker(worker);
+                reject(signal.reason);
+            };
+            const settle = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            worker.onmessage = (e) => {
+                const message = e.data;
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message.progress);
+                    return;
+                }
+
+                settle();
+                idleWorkers.push(worker);
+                if (message.type === 'error') {
+                    reject(fromErrorData(message.error));
+                } else {
+                    resolve(message.blob);
+                }
+            };
+            worker.onerror = (e) => {
+                e.preventDefault();
+                settle();
+                retireWorker(worker);
+                const error = new Error(e.message || 'Conversion worker failed to load');
+                error.workerFailed = true;
+                reject(error);
+            };
+            worker.postMessage({ file: job.file, targetType: job.targetType, options });
+        });
+    }
+
+    function spawnWorker() {
+        const worker = new Worker(new URL('./conversion-worker.js', import.meta.url), { type: 'module' });
+        allWorkers.push(worker);
+        return worker;
+    }
+
+    function retireWorker(worker) {
+        worker.terminate();
+        [allWorkers, idleWorkers].forEach(list => {
+            const index = list.indexOf(worker);
+            if (index !== -1) list.splice(index, 1);
+        });
+    }
+
+    function terminate() {
+        allWorkers.slice().forEach(retireWorker);
+    }
+
+    return { run, terminate };
+}
+
+function raceAbort(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+function defaultPoolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(cores - 1, 4));
+}